@@ -17,6 +17,8 @@ const seedDatabase = require("./scripts/seed-database");
 
 // Import routes
 const authRoutes = require("./routes/auth");
+const apiRoutes = require("./routes/api");
+const docsRoutes = require("./routes/docs");
 const dashboardRoutes = require("./routes/dashboard");
 const adminRoutes = require("./routes/admin");
 
@@ -26,13 +28,21 @@ const {
     generalLimiter,
     authLimiter,
     adminLimiter,
+    apiLimiter,
+    deprecatedApi,
     sanitizeInput,
     requestLogger,
     securityHeaders,
     sessionSecurity,
+    trackSessionActivity,
     csrfProtection,
 } = require("./middleware/security");
 const { performanceMonitor } = require("./middleware/monitoring");
+const { ERROR_CODES, sendError } = require("./utils/apiResponse");
+const { getClientPasswordPolicy } = require("./config/passwordPolicy");
+const { checkMailTransport } = require("./utils/mailer");
+const { checkAppUrl } = require("./utils/emails");
+const { checkSigningKey } = require("./utils/license");
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -41,6 +51,7 @@ const PORT = process.env.PORT || 3000;
 connectDB().then(async () => {
     try {
         await Package.createDefaultPackages();
+        await Package.migrateEntitlements();
         await User.createDefaultAdmin();
         console.log("Database initialization completed");
     } catch (error) {
@@ -112,6 +123,10 @@ app.use(
 app.use(
     express.json({
         limit: "10mb",
+        // Signed desktop API requests cover the body exactly as it was sent
+        verify: (req, res, buf) => {
+            req.rawBody = buf;
+        },
     })
 );
 
@@ -168,12 +183,21 @@ app.use(
 // Session security middleware
 app.use(sessionSecurity);
 
+// Remember when each web session was last used
+app.use(trackSessionActivity);
+
 // CSRF protection
 app.use(csrfProtection);
 
 // Load user middleware
 app.use(loadUser);
 
+// Password rules for password fields and their strength meter
+app.use((req, res, next) => {
+    res.locals.passwordPolicy = getClientPasswordPolicy();
+    next();
+});
+
 // Routes with specific rate limiting
 // Redirect root path to login page for unauthenticated users
 // or to dashboard for authenticated users
@@ -194,6 +218,11 @@ app.get("/health", (req, res) => {
     });
 });
 
+// Authenticated desktop API endpoints are called often, so they get their own limiter
+// /auth/api is the original prefix, kept as a deprecated alias of /api/v1
+app.use("/api/v1", apiLimiter, apiRoutes);
+app.use("/auth/api", apiLimiter, deprecatedApi("/api/v1"), apiRoutes);
+app.use("/api/docs", docsRoutes);
 app.use("/auth", authLimiter, authRoutes);
 app.use("/dashboard", isAuthenticated, dashboardRoutes);
 app.use("/admin", isAuthenticated, adminLimiter, adminRoutes);
@@ -222,16 +251,19 @@ app.use((err, req, res, next) => {
         console.log(
             "Make sure all string values in your JSON are enclosed in double quotes"
         );
-        return res.status(400).json({
-            success: false,
-            message:
-                "Invalid JSON format. Make sure all string values are enclosed in double quotes.",
-            example: {
-                username: "your_username",
-                password: "your_password",
-                device_id: "your_device_id",
-            },
-        });
+        return sendError(
+            res,
+            400,
+            ERROR_CODES.INVALID_JSON,
+            "Invalid JSON format. Make sure all string values are enclosed in double quotes.",
+            {
+                example: {
+                    username: "your_username",
+                    password: "your_password",
+                    device_id: "your_device_id",
+                },
+            }
+        );
     }
 
     // Log security-related errors
@@ -240,6 +272,14 @@ app.use((err, req, res, next) => {
         securityLogger.logSecurityEvent(req, "ACCESS_DENIED", err.message);
     }
 
+    // API clients get the JSON error envelope instead of an error page
+    if (req.originalUrl.startsWith("/api/v1/") || req.originalUrl.startsWith("/auth/api/")) {
+        const status = err.status || 500;
+        return status >= 500
+            ? sendError(res, status, ERROR_CODES.INTERNAL_ERROR, "Something went wrong!")
+            : sendError(res, status, ERROR_CODES.BAD_REQUEST, err.message);
+    }
+
     // Don't leak error details in production
     const errorDetails =
         process.env.NODE_ENV === "production"
@@ -296,10 +336,16 @@ process.on("unhandledRejection", (reason, promise) => {
     process.exit(1);
 });
 
+// Emailed links need the public URL and licenses a lasting signing key, so refuse to start without them
+if (!checkAppUrl() || !checkSigningKey()) {
+    process.exit(1);
+}
+
 const server = app.listen(PORT, () => {
     console.log(`Server running on port ${PORT}`);
     console.log(`Environment: ${process.env.NODE_ENV || "development"}`);
     console.log(`Security features: Enhanced`);
+    checkMailTransport();
 });
 
 module.exports = app;
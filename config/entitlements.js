@@ -0,0 +1,129 @@
+// Catalogue of entitlements a package can grant to the desktop application
+// Keys are part of the API contract with the client, so never rename or reuse them
+// "flag" entitlements are on or off, "limit" entitlements may carry a numeric limit
+const ENTITLEMENTS = {
+  bulk_validation: {
+    label: "Bulk validation",
+    type: "flag",
+  },
+  max_list_size: {
+    label: "Maximum list size",
+    type: "limit",
+    unit: "emails",
+    min: 1,
+    max: 10000000,
+  },
+  export_csv: {
+    label: "Export to CSV",
+    type: "flag",
+  },
+  export_xlsx: {
+    label: "Export to Excel",
+    type: "flag",
+  },
+  smtp_check: {
+    label: "SMTP mailbox check",
+    type: "flag",
+  },
+  catch_all_detection: {
+    label: "Catch-all detection",
+    type: "flag",
+  },
+  proxy_support: {
+    label: "Proxy support",
+    type: "flag",
+  },
+}
+
+// Phrases in a package's feature texts that describe a catalogue entitlement
+// Only used to migrate packages created before the catalogue existed
+const FEATURE_PHRASES = {
+  bulk_validation: [/bulk/i],
+  export_csv: [/\bcsv\b/i],
+  export_xlsx: [/excel/i, /\bxlsx?\b/i],
+  smtp_check: [/\bsmtp\b/i, /mailbox/i],
+  catch_all_detection: [/catch[- ]?all/i],
+  proxy_support: [/prox(y|ies)/i],
+}
+
+// Derive entitlements from feature texts
+// Lists had no size limit before the catalogue, so max_list_size is always granted without one
+const entitlementsFromFeatures = (features = []) => {
+  const matched = Object.keys(FEATURE_PHRASES).filter((key) =>
+    features.some((feature) => FEATURE_PHRASES[key].some((phrase) => phrase.test(feature))),
+  )
+
+  return [{ key: "max_list_size", limit: null }, ...matched.map((key) => ({ key, limit: null }))]
+}
+
+// Turn stored entitlements into a map of every catalogue key
+// Values are false when not granted, true when granted without a limit, or the numeric limit
+const resolveEntitlements = (entitlements = []) => {
+  const resolved = {}
+
+  Object.keys(ENTITLEMENTS).forEach((key) => {
+    const granted = entitlements.find((entitlement) => entitlement.key === key)
+    if (!granted) {
+      resolved[key] = false
+    } else {
+      resolved[key] = granted.limit === null || granted.limit === undefined ? true : granted.limit
+    }
+  })
+
+  return resolved
+}
+
+// Grant every entitlement without limits, e.g. for admins without a package
+const resolveAllEntitlements = () => {
+  const resolved = {}
+  Object.keys(ENTITLEMENTS).forEach((key) => {
+    resolved[key] = true
+  })
+  return resolved
+}
+
+// Check submitted form fields ({ key: { enabled, limit } }) against the catalogue
+// Throws an error with a message for the admin form
+const validateEntitlementForm = (form) => {
+  if (typeof form !== "object" || form === null || Array.isArray(form)) {
+    throw new Error("Invalid entitlements")
+  }
+
+  Object.keys(form).forEach((key) => {
+    const definition = ENTITLEMENTS[key]
+
+    if (!definition) {
+      throw new Error(`Unknown entitlement: ${key}`)
+    }
+
+    const limit = form[key] && form[key].limit
+    if (definition.type === "limit" && limit !== undefined && limit !== "") {
+      const value = Number(limit)
+      if (!Number.isInteger(value) || value < definition.min || value > definition.max) {
+        throw new Error(`${definition.label} must be between ${definition.min.toLocaleString()} and ${definition.max.toLocaleString()}`)
+      }
+    }
+  })
+
+  return true
+}
+
+// Turn submitted form fields into entitlements for storage
+const parseEntitlementForm = (form = {}) => {
+  return Object.keys(ENTITLEMENTS)
+    .filter((key) => form[key] && form[key].enabled)
+    .map((key) => {
+      const limit = form[key].limit
+      const hasLimit = ENTITLEMENTS[key].type === "limit" && limit !== undefined && limit !== ""
+      return { key, limit: hasLimit ? Number.parseInt(limit) : null }
+    })
+}
+
+module.exports = {
+  ENTITLEMENTS,
+  resolveEntitlements,
+  resolveAllEntitlements,
+  validateEntitlementForm,
+  parseEntitlementForm,
+  entitlementsFromFeatures,
+}
@@ -0,0 +1,704 @@
+const { ENTITLEMENTS } = require("./entitlements")
+const { CHANNELS } = require("../models/ClientRelease")
+
+// Hand-written parts of the OpenAPI document for the desktop API
+// Paths, request fields, authentication and the common error responses are generated from
+// routes/api.js by utils/openapi.js; what the routes cannot tell (summaries, success responses,
+// examples and endpoint-specific errors) is described here, keyed by "<method> <path>"
+
+const OBJECT_ID_EXAMPLE = "665f1c2b9d3e4a0012ab34cd"
+
+const info = {
+  title: "Gmail Checker Desktop API",
+  version: "1.0.0",
+  description:
+    "API used by the Gmail Checker desktop application and by headless clients with API keys. " +
+    "Errors share one envelope; act on `error.code` rather than on the message. " +
+    "The same endpoints are served under the deprecated `/auth/api` prefix.",
+}
+
+const tags = [
+  { name: "Authentication", description: "Log in, verify and refresh desktop tokens" },
+  { name: "Licensing", description: "Offline licenses and client updates" },
+  { name: "Credits", description: "Email credit balance" },
+  { name: "Slots", description: "Concurrency slot leases" },
+  { name: "Usage", description: "Usage reports and presence" },
+]
+
+const entitlementProperties = {}
+Object.keys(ENTITLEMENTS).forEach((key) => {
+  const definition = ENTITLEMENTS[key]
+  entitlementProperties[key] =
+    definition.type === "limit"
+      ? {
+          description: `${definition.label}: false when not granted, true when unlimited, otherwise the limit in ${definition.unit}`,
+          oneOf: [{ type: "boolean" }, { type: "integer", minimum: definition.min, maximum: definition.max }],
+        }
+      : { description: definition.label, type: "boolean" }
+})
+
+const schemas = {
+  ObjectId: {
+    type: "string",
+    pattern: "^[0-9a-fA-F]{24}$",
+    example: OBJECT_ID_EXAMPLE,
+  },
+  Error: {
+    type: "object",
+    required: ["success", "message", "code", "error", "requestId"],
+    properties: {
+      success: { type: "boolean", enum: [false] },
+      message: { type: "string", description: "Message that can be shown to the user" },
+      code: { type: "string", description: "Same as error.code, kept for older clients" },
+      error: {
+        type: "object",
+        required: ["code", "message"],
+        properties: {
+          code: { type: "string" },
+          message: { type: "string" },
+          details: { description: "Failing fields for VALIDATION_FAILED" },
+        },
+      },
+      requestId: { type: "string", description: "Same as the X-Request-ID response header" },
+    },
+  },
+  Package: {
+    type: "object",
+    nullable: true,
+    required: ["id", "name", "emailCredits", "concurrencyLimit", "maxDevices"],
+    properties: {
+      id: { $ref: "#/components/schemas/ObjectId" },
+      name: { type: "string" },
+      emailCredits: { type: "integer" },
+      concurrencyLimit: { type: "integer" },
+      maxDevices: { type: "integer" },
+    },
+  },
+  Entitlements: {
+    type: "object",
+    description: "Every catalogue key is present; see the Entitlements section of docs/api.md",
+    required: Object.keys(ENTITLEMENTS),
+    properties: entitlementProperties,
+    additionalProperties: false,
+  },
+  DesktopProfile: {
+    type: "object",
+    required: ["id", "username", "email", "role", "isActive", "package", "packageEndDate", "creditBalance", "entitlements"],
+    properties: {
+      id: { $ref: "#/components/schemas/ObjectId" },
+      username: { type: "string" },
+      email: { type: "string" },
+      role: { type: "string", enum: ["user", "admin"] },
+      isActive: { type: "boolean" },
+      package: { $ref: "#/components/schemas/Package" },
+      packageEndDate: { type: "string", format: "date-time", nullable: true },
+      creditBalance: { type: "integer" },
+      entitlements: { $ref: "#/components/schemas/Entitlements" },
+    },
+  },
+  License: {
+    type: "object",
+    description: "Ed25519-signed offline license; payload is base64url JSON, see docs/api.md",
+    required: ["kid", "alg", "payload", "signature"],
+    properties: {
+      kid: { type: "string" },
+      alg: { type: "string", enum: ["EdDSA"] },
+      payload: { type: "string" },
+      signature: { type: "string" },
+    },
+  },
+  UpdateManifest: {
+    type: "object",
+    required: ["channel", "latestVersion", "minimumVersion", "releaseNotes", "downloadUrls", "publishedAt", "updateAvailable", "updateRequired"],
+    properties: {
+      channel: { type: "string", enum: CHANNELS },
+      latestVersion: { type: "string", nullable: true },
+      minimumVersion: { type: "string", nullable: true },
+      releaseNotes: { type: "string" },
+      downloadUrls: {
+        type: "object",
+        required: ["windows", "macos", "linux"],
+        properties: {
+          windows: { type: "string", nullable: true },
+          macos: { type: "string", nullable: true },
+          linux: { type: "string", nullable: true },
+        },
+      },
+      publishedAt: { type: "string", format: "date-time", nullable: true },
+      updateAvailable: { type: "boolean" },
+      updateRequired: { type: "boolean" },
+    },
+  },
+  RequestSigning: {
+    type: "object",
+    description: "Whether the user's package requires signed requests; see Request Signing in docs/api.md",
+    required: ["required", "algorithm", "maxAgeSeconds"],
+    properties: {
+      required: { type: "boolean" },
+      algorithm: { type: "string", enum: ["HMAC-SHA256"] },
+      maxAgeSeconds: { type: "integer" },
+    },
+  },
+  TokenResponse: {
+    type: "object",
+    required: [
+      "success",
+      "message",
+      "token",
+      "tokenExpiresAt",
+      "refreshToken",
+      "refreshTokenExpiresAt",
+      "signingSecret",
+      "requestSigning",
+      "user",
+      "license",
+    ],
+    properties: {
+      success: { type: "boolean", enum: [true] },
+      message: { type: "string" },
+      token: { type: "string", description: "Access token, sent as `Authorization: Bearer <token>`" },
+      tokenExpiresAt: { type: "string", format: "date-time" },
+      refreshToken: { type: "string", description: "Single-use refresh token" },
+      refreshTokenExpiresAt: { type: "string", format: "date-time" },
+      signingSecret: { type: "string", description: "HMAC secret for signing requests of this login; keep it with the tokens" },
+      requestSigning: { $ref: "#/components/schemas/RequestSigning" },
+      user: { $ref: "#/components/schemas/DesktopProfile" },
+      license: { $ref: "#/components/schemas/License" },
+      update: { $ref: "#/components/schemas/UpdateManifest" },
+    },
+  },
+  Message: {
+    type: "object",
+    required: ["success", "message"],
+    properties: {
+      success: { type: "boolean", enum: [true] },
+      message: { type: "string" },
+    },
+  },
+}
+
+const profileExample = {
+  id: OBJECT_ID_EXAMPLE,
+  username: "jane",
+  email: "jane@example.com",
+  role: "user",
+  isActive: true,
+  package: {
+    id: "665f1c2b9d3e4a0012ab0001",
+    name: "Professional",
+    emailCredits: 50000,
+    concurrencyLimit: 20,
+    maxDevices: 3,
+  },
+  packageEndDate: "2026-12-31T00:00:00.000Z",
+  creditBalance: 48210,
+  entitlements: {
+    bulk_validation: true,
+    max_list_size: 100000,
+    export_csv: true,
+    export_xlsx: true,
+    smtp_check: true,
+    catch_all_detection: false,
+    proxy_support: false,
+  },
+}
+
+const licenseExample = {
+  kid: "3f9a1c07b2d64e85",
+  alg: "EdDSA",
+  payload: "eyJ2ZXJzaW9uIjoxLCJsaWNlbnNlSWQiOiIuLi4ifQ",
+  signature: "tq3Xo8Lq1m0mW2d9YV3c0pM1nJ2KfB7e8xQhQ2Zl1cS5r0k9vX3yT4uA6bE7dF8gH9iJ0kL1mN2oP3qR4sT5uQ",
+}
+
+const manifestExample = {
+  channel: "stable",
+  latestVersion: "1.5.0",
+  minimumVersion: "1.2.0",
+  releaseNotes: "Faster SMTP checks.",
+  downloadUrls: {
+    windows: "https://downloads.example.com/gmail-checker-1.5.0.exe",
+    macos: "https://downloads.example.com/gmail-checker-1.5.0.dmg",
+    linux: null,
+  },
+  publishedAt: "2026-10-01T09:00:00.000Z",
+  updateAvailable: true,
+  updateRequired: false,
+}
+
+const signingExample = {
+  required: false,
+  algorithm: "HMAC-SHA256",
+  maxAgeSeconds: 300,
+}
+
+const tokenExample = (message, withUpdate) => ({
+  success: true,
+  message,
+  token: "9f8c2e1a4b7d6c5e3f2a1b0c9d8e7f6a5b4c3d2e1f0a9b8c7d6e5f4a3b2c1d0e",
+  tokenExpiresAt: "2026-10-19T10:15:00.000Z",
+  refreshToken: "1a2b3c4d5e6f7a8b9c0d1e2f3a4b5c6d7e8f9a0b1c2d3e4f5a6b7c8d9e0f1a2b3c4d5e6f7a8b9c0d1e2f3a4b5c6d",
+  refreshTokenExpiresAt: "2026-11-18T10:00:00.000Z",
+  signingSecret: "Qm9yZWQgb2YgZXhhbXBsZXM_VXNlIGEgcmVhbCBzZWNyZXQ",
+  requestSigning: signingExample,
+  user: profileExample,
+  license: licenseExample,
+  ...(withUpdate ? { update: manifestExample } : {}),
+})
+
+const json = (schema, example) => ({ content: { "application/json": { schema, example } } })
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` })
+
+// Errors of signed requests, see rejectInvalidSignature in middleware/auth.js
+const SIGNATURE_ERRORS = ["SIGNATURE_REQUIRED", "SIGNATURE_INVALID", "SIGNATURE_EXPIRED", "NONCE_REUSED"]
+
+// Endpoint-specific errors; the generator adds the envelope, an example and the common codes
+// (validation, authentication, signatures, client version, rate limiting and server errors)
+// "signed" marks endpoints outside token authentication that still check request signatures
+const operations = {
+  "post /login": {
+    tags: ["Authentication"],
+    operationId: "login",
+    summary: "Log in from a desktop device",
+    description:
+      "Checks the username and password, registers `device_id` as one of the user's devices " +
+      "and issues an access token, a refresh token and a signed offline license. " +
+      "Logging in from a device that is not registered yet fails with `DEVICE_LIMIT_REACHED` once the package's `maxDevices` is reached. " +
+      "Packages that require email verification refuse users with an unverified address with `EMAIL_NOT_VERIFIED`. " +
+      "When a maximum password age is configured, users whose password is older fail with `PASSWORD_EXPIRED` until they change it on the website. " +
+      "Wrong passwords delay the next attempt on the account, and too many lock it temporarily (`ACCOUNT_LOCKED`).",
+    requestExample: {
+      username: "jane",
+      password: "correct horse battery staple",
+      device_id: "7c1e2f0a-workstation",
+      device_name: "Office PC",
+      client_version: "1.5.0",
+      channel: "stable",
+    },
+    responses: {
+      200: { description: "Logged in", ...json(ref("TokenResponse"), tokenExample("Login successful", true)) },
+      401: { codes: ["INVALID_CREDENTIALS"] },
+      403: { codes: ["ACCOUNT_DISABLED", "PACKAGE_EXPIRED", "EMAIL_NOT_VERIFIED", "PASSWORD_EXPIRED", "DEVICE_LIMIT_REACHED"] },
+      429: { codes: ["ACCOUNT_LOCKED"], extra: { retryAfter: { type: "integer", description: "Seconds until the next attempt is accepted, also sent as Retry-After" } } },
+    },
+  },
+  "post /verify-token": {
+    tags: ["Authentication"],
+    operationId: "verifyToken",
+    signed: true,
+    summary: "Check an access token and reload the profile",
+    description:
+      "`device_id` must be the device the token was issued to. When it differs, or is left out, " +
+      "the token is revoked and the request fails with `DEVICE_MISMATCH`, so the user has to log in again. " +
+      "This is how a login from another device ends the session on this one.",
+    body: {
+      required: ["token", "device_id"],
+      properties: {
+        token: { type: "string", description: "Access token from login or refresh" },
+        device_id: { type: "string", description: "Device the token was issued to" },
+      },
+    },
+    requestExample: {
+      token: "9f8c2e1a4b7d6c5e3f2a1b0c9d8e7f6a5b4c3d2e1f0a9b8c7d6e5f4a3b2c1d0e",
+      device_id: "7c1e2f0a-workstation",
+      client_version: "1.5.0",
+    },
+    responses: {
+      200: {
+        description: "The token is valid",
+        ...json(
+          {
+            type: "object",
+            required: ["success", "message", "requestSigning", "user", "license", "update"],
+            properties: {
+              success: { type: "boolean", enum: [true] },
+              message: { type: "string" },
+              requestSigning: ref("RequestSigning"),
+              user: ref("DesktopProfile"),
+              license: ref("License"),
+              update: ref("UpdateManifest"),
+            },
+          },
+          {
+            success: true,
+            message: "Token is valid",
+            requestSigning: signingExample,
+            user: profileExample,
+            license: licenseExample,
+            update: manifestExample,
+          },
+        ),
+      },
+      400: { codes: ["TOKEN_MISSING"] },
+      401: { codes: ["TOKEN_INVALID", "TOKEN_REVOKED", "USER_NOT_FOUND", "DEVICE_MISMATCH", ...SIGNATURE_ERRORS] },
+      403: { codes: ["ACCOUNT_DISABLED", "PACKAGE_EXPIRED"] },
+    },
+  },
+  "post /refresh": {
+    tags: ["Authentication"],
+    operationId: "refreshToken",
+    signed: true,
+    summary: "Exchange a refresh token for a new token pair",
+    description:
+      "Refresh tokens are single-use. Sending one that was already used revokes every token of that login (`TOKEN_REUSED`).",
+    requestExample: {
+      refresh_token: "1a2b3c4d5e6f7a8b9c0d1e2f3a4b5c6d7e8f9a0b1c2d3e4f5a6b7c8d9e0f1a2b3c4d5e6f7a8b9c0d1e2f3a4b5c6d",
+      device_id: "7c1e2f0a-workstation",
+    },
+    responses: {
+      200: { description: "New token pair", ...json(ref("TokenResponse"), tokenExample("Token refreshed", false)) },
+      401: { codes: ["TOKEN_INVALID", "TOKEN_REVOKED", "TOKEN_REUSED", "USER_NOT_FOUND", "DEVICE_MISMATCH", ...SIGNATURE_ERRORS] },
+      403: { codes: ["ACCOUNT_DISABLED", "PACKAGE_EXPIRED"] },
+    },
+  },
+  "post /logout": {
+    tags: ["Authentication"],
+    operationId: "logout",
+    signed: true,
+    summary: "Log out and revoke the login's tokens",
+    description: "Signatures are checked when sent, but logging out never requires one.",
+    body: {
+      required: ["token"],
+      properties: {
+        token: { type: "string", description: "Access token to revoke" },
+      },
+    },
+    requestExample: { token: "9f8c2e1a4b7d6c5e3f2a1b0c9d8e7f6a5b4c3d2e1f0a9b8c7d6e5f4a3b2c1d0e" },
+    responses: {
+      200: { description: "Logged out", ...json(ref("Message"), { success: true, message: "Logout successful" }) },
+      400: { codes: ["TOKEN_MISSING"] },
+      401: { codes: ["TOKEN_INVALID", "SIGNATURE_INVALID", "SIGNATURE_EXPIRED", "NONCE_REUSED"] },
+    },
+  },
+  "get /license/keys": {
+    tags: ["Licensing"],
+    operationId: "getLicenseKeys",
+    summary: "Public keys that verify offline licenses",
+    responses: {
+      200: {
+        description: "Active key first, then retired keys still accepted during a rotation",
+        ...json(
+          {
+            type: "object",
+            required: ["success", "keys", "offlineGraceHours"],
+            properties: {
+              success: { type: "boolean", enum: [true] },
+              keys: {
+                type: "array",
+                items: {
+                  type: "object",
+                  required: ["kid", "kty", "crv", "x", "alg", "use", "status"],
+                  properties: {
+                    kid: { type: "string" },
+                    kty: { type: "string", enum: ["OKP"] },
+                    crv: { type: "string", enum: ["Ed25519"] },
+                    x: { type: "string" },
+                    alg: { type: "string", enum: ["EdDSA"] },
+                    use: { type: "string", enum: ["sig"] },
+                    status: { type: "string", enum: ["active", "retired"] },
+                  },
+                },
+              },
+              offlineGraceHours: { type: "integer" },
+            },
+          },
+          {
+            success: true,
+            keys: [
+              {
+                kid: "3f9a1c07b2d64e85",
+                kty: "OKP",
+                crv: "Ed25519",
+                x: "11qYAYKxCrfVS_7TyWQHOg7hcvPapiMlrwIaaPcHURo",
+                alg: "EdDSA",
+                use: "sig",
+                status: "active",
+              },
+            ],
+            offlineGraceHours: 72,
+          },
+        ),
+      },
+    },
+  },
+  "get /update-manifest": {
+    tags: ["Licensing"],
+    operationId: "getUpdateManifest",
+    summary: "Latest release of a channel",
+    requestExample: { channel: "stable", version: "1.4.2" },
+    responses: {
+      200: {
+        description: "Release information for the channel",
+        ...json(
+          {
+            allOf: [
+              ref("UpdateManifest"),
+              { type: "object", required: ["success"], properties: { success: { type: "boolean", enum: [true] } } },
+            ],
+          },
+          { success: true, ...manifestExample },
+        ),
+      },
+    },
+  },
+  "get /credits": {
+    tags: ["Credits"],
+    operationId: "getCredits",
+    summary: "Current email credit balance",
+    responses: {
+      200: {
+        description: "Balance",
+        ...json(
+          {
+            type: "object",
+            required: ["success", "balance"],
+            properties: { success: { type: "boolean", enum: [true] }, balance: { type: "integer" } },
+          },
+          { success: true, balance: 48210 },
+        ),
+      },
+    },
+  },
+  "post /credits/consume": {
+    tags: ["Credits"],
+    operationId: "consumeCredits",
+    summary: "Consume credits for checked emails",
+    requestExample: { amount: 100, reference: "job-2026-10-19-01" },
+    responses: {
+      200: {
+        description: "Credits consumed",
+        ...json(
+          {
+            type: "object",
+            required: ["success", "message", "transactionId", "amount", "balance"],
+            properties: {
+              success: { type: "boolean", enum: [true] },
+              message: { type: "string" },
+              transactionId: ref("ObjectId"),
+              amount: { type: "integer" },
+              balance: { type: "integer" },
+            },
+          },
+          { success: true, message: "Credits consumed", transactionId: OBJECT_ID_EXAMPLE, amount: 100, balance: 48110 },
+        ),
+      },
+      402: { codes: ["INSUFFICIENT_CREDITS"], extra: { balance: { type: "integer" } } },
+    },
+  },
+  "get /slots": {
+    tags: ["Slots"],
+    operationId: "getSlots",
+    summary: "Concurrency slots in use",
+    responses: {
+      200: {
+        description: "Slots in use and the package limit",
+        ...json(
+          {
+            type: "object",
+            required: ["success", "inUse", "limit"],
+            properties: {
+              success: { type: "boolean", enum: [true] },
+              inUse: { type: "integer" },
+              limit: { type: "integer" },
+            },
+          },
+          { success: true, inUse: 4, limit: 20 },
+        ),
+      },
+    },
+  },
+  "post /slots/acquire": {
+    tags: ["Slots"],
+    operationId: "acquireSlots",
+    summary: "Lease concurrency slots",
+    description: "A lease expires after `ttlSeconds` unless it is kept alive with `/slots/heartbeat`.",
+    requestExample: { slots: 5 },
+    responses: {
+      200: {
+        description: "Slots leased",
+        ...json(
+          {
+            type: "object",
+            required: ["success", "message", "leaseId", "slots", "expiresAt", "ttlSeconds"],
+            properties: {
+              success: { type: "boolean", enum: [true] },
+              message: { type: "string" },
+              leaseId: ref("ObjectId"),
+              slots: { type: "integer" },
+              expiresAt: { type: "string", format: "date-time" },
+              ttlSeconds: { type: "integer" },
+            },
+          },
+          {
+            success: true,
+            message: "Slots acquired",
+            leaseId: OBJECT_ID_EXAMPLE,
+            slots: 5,
+            expiresAt: "2026-10-19T10:01:00.000Z",
+            ttlSeconds: 60,
+          },
+        ),
+      },
+      403: { codes: ["NO_PACKAGE"] },
+      409: {
+        codes: ["CONCURRENCY_LIMIT_REACHED"],
+        extra: { inUse: { type: "integer" }, limit: { type: "integer" }, available: { type: "integer" } },
+      },
+    },
+  },
+  "post /slots/heartbeat": {
+    tags: ["Slots"],
+    operationId: "extendSlotLease",
+    summary: "Keep a slot lease alive",
+    requestExample: { lease_id: OBJECT_ID_EXAMPLE },
+    responses: {
+      200: {
+        description: "Lease extended",
+        ...json(
+          {
+            type: "object",
+            required: ["success", "message", "leaseId", "expiresAt"],
+            properties: {
+              success: { type: "boolean", enum: [true] },
+              message: { type: "string" },
+              leaseId: ref("ObjectId"),
+              expiresAt: { type: "string", format: "date-time" },
+            },
+          },
+          { success: true, message: "Lease extended", leaseId: OBJECT_ID_EXAMPLE, expiresAt: "2026-10-19T10:02:00.000Z" },
+        ),
+      },
+      404: { codes: ["LEASE_NOT_FOUND"] },
+    },
+  },
+  "post /slots/release": {
+    tags: ["Slots"],
+    operationId: "releaseSlots",
+    summary: "Give leased slots back",
+    requestExample: { lease_id: OBJECT_ID_EXAMPLE },
+    responses: {
+      200: { description: "Slots released", ...json(ref("Message"), { success: true, message: "Slots released" }) },
+      404: { codes: ["LEASE_NOT_FOUND"] },
+    },
+  },
+  "post /usage": {
+    tags: ["Usage"],
+    operationId: "reportUsage",
+    summary: "Report a finished check job",
+    description: "Reports with a `job_id` that was already reported are not stored twice; the first report is returned with status 200.",
+    requestExample: {
+      job_id: "job-2026-10-19-01",
+      checked: 100,
+      valid: 82,
+      invalid: 15,
+      errors: 3,
+      duration_ms: 45210,
+      finished_at: "2026-10-19T10:00:00.000Z",
+    },
+    responses: {
+      200: {
+        description: "The job was already reported",
+        ...json(
+          {
+            type: "object",
+            required: ["success", "message", "reportId"],
+            properties: { success: { type: "boolean", enum: [true] }, message: { type: "string" }, reportId: ref("ObjectId") },
+          },
+          { success: true, message: "Usage already reported", reportId: OBJECT_ID_EXAMPLE },
+        ),
+      },
+      201: {
+        description: "Usage reported",
+        ...json(
+          {
+            type: "object",
+            required: ["success", "message", "reportId"],
+            properties: { success: { type: "boolean", enum: [true] }, message: { type: "string" }, reportId: ref("ObjectId") },
+          },
+          { success: true, message: "Usage reported", reportId: OBJECT_ID_EXAMPLE },
+        ),
+      },
+    },
+  },
+  "post /heartbeat": {
+    tags: ["Usage"],
+    operationId: "heartbeat",
+    summary: "Tell the server the client is still running",
+    requestExample: { app_version: "1.5.0" },
+    responses: {
+      200: {
+        description: "Heartbeat received",
+        ...json(
+          {
+            type: "object",
+            required: ["success", "message", "onlineSince", "timeoutSeconds", "nextHeartbeatSeconds"],
+            properties: {
+              success: { type: "boolean", enum: [true] },
+              message: { type: "string" },
+              onlineSince: { type: "string", format: "date-time" },
+              timeoutSeconds: { type: "integer" },
+              nextHeartbeatSeconds: { type: "integer" },
+            },
+          },
+          {
+            success: true,
+            message: "Heartbeat received",
+            onlineSince: "2026-10-19T09:12:44.000Z",
+            timeoutSeconds: 120,
+            nextHeartbeatSeconds: 60,
+          },
+        ),
+      },
+    },
+  },
+}
+
+// Example message and extra fields of each error code, used for the generated error examples
+const errorExamples = {
+  VALIDATION_FAILED: { message: "Validation failed" },
+  BAD_REQUEST: { message: "request entity too large" },
+  INVALID_JSON: { message: "Invalid JSON format. Make sure all string values are enclosed in double quotes." },
+  INVALID_CREDENTIALS: { message: "Invalid username or password" },
+  TOKEN_MISSING: { message: "Token is required" },
+  TOKEN_INVALID: { message: "Invalid or expired token" },
+  TOKEN_REVOKED: { message: "You were signed out by an administrator. Please log in again.", extra: { reason: "admin_signout" } },
+  TOKEN_REUSED: { message: "Refresh token has already been used. Please log in again." },
+  USER_NOT_FOUND: { message: "User not found" },
+  ACCOUNT_DISABLED: { message: "Your account has been deactivated. Please contact support." },
+  PACKAGE_EXPIRED: { message: "Your package has expired. Please contact support to renew your subscription." },
+  ACCOUNT_LOCKED: {
+    message: "This account is temporarily locked after too many failed login attempts. Please try again in 15 minute(s) or reset your password.",
+    extra: { retryAfter: 900 },
+  },
+  EMAIL_NOT_VERIFIED: { message: "Please verify your email address before logging in. Check your inbox for the verification link." },
+  PASSWORD_EXPIRED: { message: "Your password has expired. Please log in on the website to choose a new one." },
+  NO_PACKAGE: { message: "No package is assigned to this account" },
+  DEVICE_MISMATCH: { message: "Session invalidated. User logged in on a different device." },
+  DEVICE_LIMIT_REACHED: {
+    message: "This account has reached its limit of 3 registered device(s). Please use a registered device or contact support to remove one.",
+  },
+  SIGNATURE_REQUIRED: { message: "This account requires signed requests. Please update the application and log in again." },
+  SIGNATURE_INVALID: { message: "Invalid request signature" },
+  SIGNATURE_EXPIRED: { message: "Request timestamp is out of range. Please check the system clock." },
+  NONCE_REUSED: { message: "This request was already received" },
+  SCOPE_MISSING: { message: 'This API key is missing the "credits:read" scope' },
+  IP_NOT_ALLOWED: { message: "This API key cannot be used from your IP address" },
+  CLIENT_OUTDATED: {
+    message: "This version of the application is no longer supported. Please update to version 1.5.0 or newer.",
+    extra: { update: { ...manifestExample, updateRequired: true } },
+  },
+  INSUFFICIENT_CREDITS: { message: "Insufficient email credits", extra: { balance: 20 } },
+  CONCURRENCY_LIMIT_REACHED: { message: "Concurrency limit reached", extra: { inUse: 18, limit: 20, available: 2 } },
+  LEASE_NOT_FOUND: { message: "Lease not found or expired" },
+  RATE_LIMITED: { message: "Too many API requests. Please slow down." },
+  NOT_FOUND: { message: "API endpoint not found" },
+  INTERNAL_ERROR: { message: "An error occurred. Please try again." },
+}
+
+module.exports = {
+  info,
+  tags,
+  schemas,
+  operations,
+  errorExamples,
+  SIGNATURE_ERRORS,
+}
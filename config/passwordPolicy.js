@@ -0,0 +1,135 @@
+const fs = require("fs")
+const path = require("path")
+
+// Password policy applied wherever a password is set: admin forms, password resets and account settings
+// The strength meter in public/js/main.js receives the same rules through getClientPasswordPolicy
+const CHARACTER_CLASSES = [
+  { key: "lower", label: "lowercase letters", pattern: /[a-z]/ },
+  { key: "upper", label: "uppercase letters", pattern: /[A-Z]/ },
+  { key: "digit", label: "numbers", pattern: /[0-9]/ },
+  { key: "symbol", label: "symbols", pattern: /[^a-zA-Z0-9]/ },
+]
+
+// Bundled list of common and breached passwords, PASSWORD_BLOCKLIST_FILE adds a list of your own
+const DEFAULT_BLOCKLIST_FILE = path.join(__dirname, "password-blocklist.txt")
+
+// bcrypt only uses the first 72 bytes, longer passwords would silently lose their tail
+const MAX_LENGTH = 72
+
+// Read a whole number setting, keeping 0 when it is set explicitly
+const readSetting = (name, defaultValue, min, max) => {
+  const value = Number.parseInt(process.env[name])
+  if (Number.isNaN(value)) return defaultValue
+  return Math.min(Math.max(value, min), max)
+}
+
+// Current policy settings
+const getPasswordPolicy = () => ({
+  minLength: readSetting("PASSWORD_MIN_LENGTH", 8, 1, MAX_LENGTH),
+  minCharacterClasses: readSetting("PASSWORD_MIN_CHARACTER_CLASSES", 2, 1, CHARACTER_CLASSES.length),
+  historySize: readSetting("PASSWORD_HISTORY", 5, 0, 24),
+  maxAgeDays: readSetting("PASSWORD_MAX_AGE_DAYS", 0, 0, 3650),
+})
+
+let blocklist = null
+
+// Load the blocklists once, one password per line, ignoring blank lines and # comments
+const getBlocklist = () => {
+  if (blocklist) return blocklist
+
+  const files = [DEFAULT_BLOCKLIST_FILE, process.env.PASSWORD_BLOCKLIST_FILE].filter(Boolean)
+  blocklist = new Set()
+
+  files.forEach((file) => {
+    try {
+      fs.readFileSync(file, "utf8")
+        .split(/\r?\n/)
+        .map((line) => line.trim().toLowerCase())
+        .filter((line) => line && !line.startsWith("#"))
+        .forEach((line) => blocklist.add(line))
+    } catch (error) {
+      console.error(`Password blocklist ${file} could not be read:`, error.message)
+    }
+  })
+
+  return blocklist
+}
+
+// Check a password against the blocklist, also without the digits and symbols people add to the end
+const isBlocklisted = (password) => {
+  const list = getBlocklist()
+  const lower = password.toLowerCase()
+  const stem = lower.replace(/[^a-z]+$/, "")
+  return list.has(lower) || (stem.length >= 4 && list.has(stem))
+}
+
+// Count the character classes a password uses
+const countCharacterClasses = (password) => {
+  return CHARACTER_CLASSES.filter((characterClass) => characterClass.pattern.test(password)).length
+}
+
+// Parts of the account a password must not contain
+const getPersonalTerms = ({ username, email } = {}) => {
+  return [username, email && String(email).split("@")[0]]
+    .filter((term) => term && String(term).length >= 3)
+    .map((term) => String(term).toLowerCase())
+}
+
+// Check a password against the policy rules that need no stored data
+// account holds the username and email it is set for, when known
+// Returns the list of problems, empty when the password is acceptable
+const validatePassword = (password, account = {}) => {
+  const policy = getPasswordPolicy()
+  const value = typeof password === "string" ? password : ""
+  const problems = []
+
+  if (value.length < policy.minLength) {
+    problems.push(`Password must be at least ${policy.minLength} characters long`)
+  }
+
+  if (Buffer.byteLength(value) > MAX_LENGTH) {
+    problems.push(`Password cannot be longer than ${MAX_LENGTH} characters`)
+  }
+
+  if (countCharacterClasses(value) < policy.minCharacterClasses) {
+    problems.push(`Password must contain at least ${policy.minCharacterClasses} of: ${CHARACTER_CLASSES.map((item) => item.label).join(", ")}`)
+  }
+
+  const lower = value.toLowerCase()
+  if (getPersonalTerms(account).some((term) => lower.includes(term))) {
+    problems.push("Password cannot contain your username or email address")
+  }
+
+  if (value && isBlocklisted(value)) {
+    problems.push("This password is too common or has appeared in a data breach. Please choose another one.")
+  }
+
+  return problems
+}
+
+// Describe the rules for form hints
+const describePasswordPolicy = () => {
+  const policy = getPasswordPolicy()
+  const classes = policy.minCharacterClasses > 1 ? `, with at least ${policy.minCharacterClasses} of lowercase letters, uppercase letters, numbers and symbols` : ""
+  return `At least ${policy.minLength} characters${classes}. Common passwords and passwords containing your username or email are not allowed.`
+}
+
+// Rules the strength meter checks in the browser, with the hint shown under password fields
+// The blocklist and password history are only checked on the server
+const getClientPasswordPolicy = () => {
+  const policy = getPasswordPolicy()
+  return {
+    minLength: policy.minLength,
+    minCharacterClasses: policy.minCharacterClasses,
+    description: describePasswordPolicy(),
+  }
+}
+
+module.exports = {
+  CHARACTER_CLASSES,
+  getPasswordPolicy,
+  validatePassword,
+  isBlocklisted,
+  describePasswordPolicy,
+  getClientPasswordPolicy,
+}
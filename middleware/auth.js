@@ -1,5 +1,12 @@
 const User = require("../models/User")
 const Package = require("../models/Package")
+const DesktopToken = require("../models/DesktopToken")
+const ApiKey = require("../models/ApiKey")
+const ClientRelease = require("../models/ClientRelease")
+const RequestNonce = require("../models/RequestNonce")
+const { ERROR_CODES, sendError } = require("../utils/apiResponse")
+const { getSignatureHeaders, verifyRequestSignature, getMaxAgeSeconds } = require("../utils/requestSigning")
+const { securityLogger } = require("./monitoring")
 
 // Middleware to check if user is authenticated
 const isAuthenticated = (req, res, next) => {
@@ -14,6 +21,9 @@ const isAuthenticated = (req, res, next) => {
   }
 }
 
+// Where users whose password has expired are sent, the only page they can use until they change it
+const EXPIRED_PASSWORD_REDIRECT = "/dashboard/account?error=Your password has expired. Please choose a new one."
+
 // Middleware to check if user is admin
 const isAdmin = async (req, res, next) => {
   try {
@@ -36,6 +46,15 @@ const isAdmin = async (req, res, next) => {
       })
     }
 
+    // The two-factor policy keeps admins out of the admin pages until they have set it up
+    if (user.mustEnrollTwoFactor()) {
+      return res.redirect("/dashboard/two-factor?error=Set up two-factor authentication to use the admin dashboard")
+    }
+
+    if (user.isPasswordExpired()) {
+      return res.redirect(EXPIRED_PASSWORD_REDIRECT)
+    }
+
     req.user = user
     next()
   } catch (error) {
@@ -93,6 +112,11 @@ const checkPackageValidity = async (req, res, next) => {
       })
     }
 
+    // An expired password has to be changed before the rest of the dashboard can be used
+    if (user.isPasswordExpired() && !req.originalUrl.startsWith("/dashboard/account")) {
+      return res.redirect(EXPIRED_PASSWORD_REDIRECT)
+    }
+
     // Update session with latest user data
     req.session.user = {
       _id: user._id,
@@ -167,6 +191,231 @@ const loadUser = async (req, res, next) => {
   }
 }
 
+// Respond to a desktop request made with a revoked token
+// The code lets the client tell a revoked login apart from an expired token
+const sendTokenRevoked = (res, tokenDoc) => {
+  return sendError(res, 401, ERROR_CODES.TOKEN_REVOKED, tokenDoc.getRevokedMessage(), {
+    reason: tokenDoc.revokedReason
+  })
+}
+
+// Respond with an error if the account may not use the desktop API
+// Returns the sent response, or null when the account is fine
+const rejectUnusableAccount = (res, user) => {
+  if (!user) {
+    return sendError(res, 401, ERROR_CODES.USER_NOT_FOUND, "User not found")
+  }
+
+  // Check if user is active
+  if (!user.isActive) {
+    return sendError(res, 403, ERROR_CODES.ACCOUNT_DISABLED, "Your account has been deactivated. Please contact support.")
+  }
+
+  // Check if non-admin user has valid package
+  if (!user.isAdmin() && !user.isPackageValid()) {
+    return sendError(res, 403, ERROR_CODES.PACKAGE_EXPIRED, "Your package has expired. Please contact support to renew your subscription.")
+  }
+
+  return null
+}
+
+// Count a failed login towards the account's lockout, shared by the web and desktop logins
+const recordLoginFailure = async (req, user, client) => {
+  const failure = await User.recordFailedLogin(user._id, {
+    client,
+    ip: req.ip,
+    userAgent: req.get("User-Agent"),
+    deviceId: client === "desktop" ? req.body.device_id : null,
+  })
+
+  if (failure) {
+    securityLogger.logSecurityEvent(
+      req,
+      failure.locked ? "ACCOUNT_LOCKED" : "LOGIN_FAILED",
+      `User ${user._id}, attempt ${failure.attempts}, next attempt after ${failure.lockedUntil.toISOString()}`,
+    )
+  }
+
+  return failure
+}
+
+// Check the two-factor code a signed-in user confirms a security change with
+// Wrong codes count towards the login lockout, so a hijacked session cannot guess codes without limit
+// Returns an error message, or null when the code is right; the caller saves the user
+const checkTwoFactorCode = async (req, user) => {
+  const blockedMessage = user.getLoginBlockedMessage()
+  if (blockedMessage) {
+    securityLogger.logSecurityEvent(req, "TWO_FACTOR_BLOCKED", `User ${user._id}, locked until ${user.lockedUntil.toISOString()}`)
+    return blockedMessage
+  }
+
+  if (!user.verifyTwoFactor(req.body.code)) {
+    securityLogger.logSecurityEvent(req, "TWO_FACTOR_FAILED", `User ${user._id}`)
+    await recordLoginFailure(req, user, "web")
+    return "Invalid authentication code"
+  }
+
+  user.resetLoginFailures()
+  return null
+}
+
+// Respond with an error if a desktop request's signature is missing, stale, wrong or replayed
+// Unsigned requests pass unless required; returns the sent response, or null when the request may continue
+const rejectInvalidSignature = async (req, res, tokenDoc, required) => {
+  const headers = getSignatureHeaders(req)
+
+  if (!headers) {
+    if (!required) {
+      return null
+    }
+    return sendError(res, 401, ERROR_CODES.SIGNATURE_REQUIRED, "This account requires signed requests. Please update the application and log in again.")
+  }
+
+  const problem = verifyRequestSignature(req, tokenDoc.signingSecret, headers)
+
+  if (problem === "expired") {
+    return sendError(res, 401, ERROR_CODES.SIGNATURE_EXPIRED, "Request timestamp is out of range. Please check the system clock.")
+  }
+
+  if (problem) {
+    return sendError(res, 401, ERROR_CODES.SIGNATURE_INVALID, "Invalid request signature")
+  }
+
+  // A timestamp is accepted up to the maximum age on either side of now, so nonces are kept twice as long
+  const claimed = await RequestNonce.claim(tokenDoc.family, headers.nonce, getMaxAgeSeconds() * 2)
+
+  if (!claimed) {
+    securityLogger.logSecurityEvent(req, "REQUEST_REPLAY", `User ${tokenDoc.user}, device ${tokenDoc.deviceId}`)
+    return sendError(res, 401, ERROR_CODES.NONCE_REUSED, "This request was already received")
+  }
+
+  return null
+}
+
+// Middleware to authenticate desktop API requests with an access token or an API key
+// The credential is read from the Authorization header ("Bearer <token>") or the request body
+const authenticateDesktopToken = async (req, res, next) => {
+  try {
+    const header = req.get("Authorization") || ""
+    const token = header.startsWith("Bearer ") ? header.slice(7).trim() : req.body && req.body.token
+    const requestedDeviceId = req.get("X-Device-ID") || (req.body && req.body.device_id)
+
+    if (!token) {
+      return sendError(res, 401, ERROR_CODES.TOKEN_MISSING, "Token is required")
+    }
+
+    let userId
+    let deviceId
+
+    if (ApiKey.isApiKey(token)) {
+      const apiKey = await ApiKey.findByKey(token)
+
+      if (!apiKey || !apiKey.isValid()) {
+        return sendError(res, 401, ERROR_CODES.TOKEN_INVALID, "Invalid, expired or revoked API key")
+      }
+
+      if (!apiKey.isIpAllowed(req.ip)) {
+        return sendError(res, 403, ERROR_CODES.IP_NOT_ALLOWED, "This API key cannot be used from your IP address")
+      }
+
+      userId = apiKey.user
+      // Headless clients have no registered device, so their usage is tagged with the key
+      deviceId = requestedDeviceId || `api-key:${apiKey.prefix}`
+      req.apiKey = apiKey
+    } else {
+      const tokenDoc = await DesktopToken.findByToken(token)
+
+      if (tokenDoc && tokenDoc.isRevoked()) {
+        return sendTokenRevoked(res, tokenDoc)
+      }
+
+      if (!tokenDoc || !tokenDoc.isValid()) {
+        return sendError(res, 401, ERROR_CODES.TOKEN_INVALID, "Invalid or expired token")
+      }
+
+      // Tokens are bound to the device they were issued to
+      if (requestedDeviceId && requestedDeviceId !== tokenDoc.deviceId) {
+        return sendError(res, 401, ERROR_CODES.DEVICE_MISMATCH, "Token was issued to a different device")
+      }
+
+      userId = tokenDoc.user
+      deviceId = tokenDoc.deviceId
+      req.desktopToken = tokenDoc
+    }
+
+    const user = await User.findById(userId).populate("package")
+
+    if (rejectUnusableAccount(res, user)) {
+      return
+    }
+
+    // An API key is only as current as the password of the account that manages it
+    if (req.apiKey && user.isPasswordExpired()) {
+      return sendError(res, 403, ERROR_CODES.PASSWORD_EXPIRED, "Your password has expired. Please log in on the website to choose a new one.")
+    }
+
+    // API keys have no device secret, they can be limited to IP addresses instead
+    if (req.desktopToken && (await rejectInvalidSignature(req, res, req.desktopToken, user.requiresRequestSigning()))) {
+      return
+    }
+
+    if (req.apiKey) {
+      await req.apiKey.recordUse(req.ip)
+    } else {
+      await req.desktopToken.touch()
+    }
+
+    req.user = user
+    req.deviceId = deviceId
+    next()
+  } catch (error) {
+    console.error("Desktop token authentication error:", error)
+    return sendError(res, 500, ERROR_CODES.INTERNAL_ERROR, "An error occurred during token verification. Please try again.")
+  }
+}
+
+// Middleware to require an API key scope; desktop access tokens may use every endpoint
+const requireScope = (scope) => {
+  const middleware = (req, res, next) => {
+    if (req.apiKey && !req.apiKey.hasScope(scope)) {
+      return sendError(res, 403, ERROR_CODES.SCOPE_MISSING, `This API key is missing the "${scope}" scope`)
+    }
+    next()
+  }
+  // Exposed so the OpenAPI document can list the scope each endpoint requires
+  middleware.scope = scope
+  return middleware
+}
+
+// Middleware to refuse desktop clients below the minimum version of their release channel
+// The version and channel are read from the body (client_version, channel) or the X-Client-Version and X-Client-Channel headers
+const checkClientVersion = async (req, res, next) => {
+  try {
+    const requestedChannel = (req.body && req.body.channel) || req.get("X-Client-Channel")
+    const channel = ClientRelease.CHANNELS.includes(requestedChannel) ? requestedChannel : "stable"
+    const clientVersion = (req.body && req.body.client_version) || req.get("X-Client-Version") || null
+
+    const release = await ClientRelease.getForChannel(channel)
+
+    if (!release.isSupported(clientVersion)) {
+      return sendError(
+        res,
+        426,
+        ERROR_CODES.CLIENT_OUTDATED,
+        `This version of the application is no longer supported. Please update to version ${release.latestVersion || release.minimumVersion} or newer.`,
+        { update: release.toManifest(clientVersion) },
+      )
+    }
+
+    req.clientVersion = clientVersion
+    req.clientRelease = release
+    next()
+  } catch (error) {
+    console.error("Client version check error:", error)
+    return sendError(res, 500, ERROR_CODES.INTERNAL_ERROR, "An error occurred while checking the application version. Please try again.")
+  }
+}
+
 // Middleware to redirect authenticated users away from auth pages
 const redirectIfAuthenticated = (req, res, next) => {
   if (req.session && req.session.user) {
@@ -181,4 +430,12 @@ module.exports = {
   checkPackageValidity,
   loadUser,
   redirectIfAuthenticated,
+  authenticateDesktopToken,
+  requireScope,
+  sendTokenRevoked,
+  rejectUnusableAccount,
+  rejectInvalidSignature,
+  recordLoginFailure,
+  checkTwoFactorCode,
+  checkClientVersion,
 }
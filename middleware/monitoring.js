@@ -157,13 +157,14 @@ const healthCheck = {
 }
 
 // Log system stats every hour (only if we're not in a serverless environment)
+// The timer does not keep the process alive by itself, so scripts and tests that load this module can exit
 if (!isServerless) {
   setInterval(
     () => {
       healthCheck.logSystemStats()
     },
     60 * 60 * 1000,
-  )
+  ).unref()
 }
 
 module.exports = {
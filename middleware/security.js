@@ -1,8 +1,12 @@
 const rateLimit = require("express-rate-limit")
+const { isIP } = require("net")
 const { body, validationResult } = require("express-validator")
+const { SCOPES } = require("../models/ApiKey")
+const { validatePassword } = require("../config/passwordPolicy")
+const { ERROR_CODES, sendError } = require("../utils/apiResponse")
 
-// Enhanced rate limiting for different endpoints
-const createRateLimiter = (windowMs, max, message) => {
+// Enhanced rate limiting for different endpoints, options override the rate limiter settings
+const createRateLimiter = (windowMs, max, message, options = {}) => {
   return rateLimit({
     windowMs,
     max,
@@ -22,6 +26,22 @@ const createRateLimiter = (windowMs, max, message) => {
         currentUser: null,
       })
     },
+    ...options,
+  })
+}
+
+// Rate limiter for JSON API endpoints, responds with JSON instead of an error page
+const createApiRateLimiter = (windowMs, max, message) => {
+  return rateLimit({
+    windowMs,
+    max,
+    message,
+    standardHeaders: true,
+    legacyHeaders: false,
+    handler: (req, res) => {
+      console.log(`API rate limit exceeded for IP: ${req.ip}, Path: ${req.path}`)
+      sendError(res, 429, ERROR_CODES.RATE_LIMITED, message)
+    },
   })
 }
 
@@ -32,18 +52,86 @@ const authLimiter = createRateLimiter(
   "Too many authentication attempts. Please try again in 15 minutes.",
 )
 
+// Desktop login gets the same limit as the web login, answered in JSON
+const apiAuthLimiter = createApiRateLimiter(
+  15 * 60 * 1000, // 15 minutes
+  10, // 10 attempts
+  "Too many authentication attempts. Please try again in 15 minutes.",
+)
+
+// Emails sent on request are limited per address, so one inbox cannot be flooded from many IPs.
+// Runs after the email validator, which normalizes the address used as the key; the limited
+// form is rendered again with the error.
+const createEmailRateLimiter = (name, view, title, message) => {
+  return createRateLimiter(
+    60 * 60 * 1000, // 1 hour
+    3, // 3 emails per address
+    message,
+    {
+      keyGenerator: (req) => `${name}:${String(req.body.email || "").toLowerCase()}`,
+      handler: (req, res) => {
+        console.log(`${title} rate limit exceeded for IP: ${req.ip}`)
+        res.status(429).render(view, {
+          title,
+          error: message,
+          success: null,
+          email: req.body.email || "",
+          csrfToken: res.locals.csrfToken,
+          layout: "layouts/auth",
+        })
+      },
+    },
+  )
+}
+
+const passwordResetLimiter = createEmailRateLimiter(
+  "password-reset",
+  "forgot-password",
+  "Forgot Password",
+  "Too many password reset requests for this email address. Please try again in an hour.",
+)
+
+const verificationEmailLimiter = createEmailRateLimiter(
+  "email-verification",
+  "resend-verification",
+  "Verify Email",
+  "Too many verification emails were requested for this email address. Please try again in an hour.",
+)
+
+// Public sign-ups, on top of the challenge on the form
+const registrationLimiter = createRateLimiter(
+  60 * 60 * 1000, // 1 hour
+  5, // 5 registrations
+  "Too many registrations from this IP. Please try again later.",
+)
+
 const adminLimiter = createRateLimiter(
   5 * 60 * 1000, // 5 minutes
   20, // 20 requests
   "Too many admin requests. Please slow down.",
 )
 
+const apiLimiter = createApiRateLimiter(
+  5 * 60 * 1000, // 5 minutes
+  300, // 300 requests
+  "Too many API requests. Please slow down.",
+)
+
 const generalLimiter = createRateLimiter(
   15 * 60 * 1000, // 15 minutes
   100, // 100 requests
   "Too many requests from this IP. Please try again later.",
 )
 
+// Mark responses of a deprecated API prefix and point clients to its successor
+const deprecatedApi = (successorPrefix) => {
+  return (req, res, next) => {
+    res.setHeader("Deprecation", "true")
+    res.setHeader("Link", `<${successorPrefix}${req.path}>; rel="successor-version"`)
+    next()
+  }
+}
+
 // Input sanitization middleware
 const sanitizeInput = (req, res, next) => {
   // Remove any potential XSS attempts from request body
@@ -85,7 +173,11 @@ const requestLogger = (req, res, next) => {
 const securityHeaders = (req, res, next) => {
   // Additional security headers beyond helmet
   res.setHeader("X-Powered-By", "Gmail-Checker-Auth")
-  res.setHeader("X-Request-ID", require("crypto").randomUUID())
+
+  // Keep the caller's request ID when it looks safe, so client and server logs can be matched
+  const requestId = req.get("X-Request-ID")
+  req.id = requestId && /^[A-Za-z0-9._-]{1,64}$/.test(requestId) ? requestId : require("crypto").randomUUID()
+  res.setHeader("X-Request-ID", req.id)
 
   // Prevent clickjacking
   res.setHeader("X-Frame-Options", "DENY")
@@ -128,10 +220,25 @@ const sessionSecurity = (req, res, next) => {
   }
 }
 
+// Record the last activity of logged in sessions for the session lists, at most once a minute
+// so that ordinary page views do not rewrite the session on every request
+const SESSION_ACTIVITY_INTERVAL_MS = 60 * 1000
+
+const trackSessionActivity = (req, res, next) => {
+  if (req.session && req.session.user) {
+    const now = Date.now()
+    if (!req.session.lastActiveAt || now - req.session.lastActiveAt > SESSION_ACTIVITY_INTERVAL_MS) {
+      req.session.lastActiveAt = now
+      req.session.ip = req.ip
+    }
+  }
+  next()
+}
+
 // CSRF protection middleware (simple implementation)
 const csrfProtection = (req, res, next) => {
   // Skip CSRF protection for API routes
-  if (req.path.startsWith('/auth/api/')) {
+  if (req.path.startsWith('/api/v1/') || req.path.startsWith('/auth/api/')) {
     return next();
   }
   
@@ -165,6 +272,18 @@ const csrfProtection = (req, res, next) => {
   }
 }
 
+// Check a new password against the password policy, with the username and email submitted in the same form
+// Routes that change an existing user's password also call user.checkNewPassword, which checks the password history
+// condition is an optional validation chain, the rule only runs when it passes
+const passwordPolicyRule = (field = "password", condition = null) =>
+  (condition ? body(field).if(condition) : body(field)).custom((value, { req }) => {
+    const problems = validatePassword(value, { username: req.body.username, email: req.body.email })
+    if (problems.length > 0) {
+      throw new Error(problems[0])
+    }
+    return true
+  })
+
 // Validation schemas for common inputs
 const userValidationRules = [
   body("username")
@@ -172,13 +291,34 @@ const userValidationRules = [
     .matches(/^[a-zA-Z0-9_]+$/)
     .withMessage("Username must be 3-20 characters and contain only letters, numbers, and underscores"),
   body("email").isEmail().normalizeEmail().withMessage("Please enter a valid email address"),
-  body("password").isLength({ min: 6 }).withMessage("Password must be at least 6 characters long"),
+  passwordPolicyRule(),
 ]
 
 const packageValidationRules = [
   body("name").isLength({ min: 2, max: 50 }).withMessage("Package name must be 2-50 characters long"),
   body("emailCredits").isInt({ min: 0, max: 1000000 }).withMessage("Email credits must be between 0 and 1,000,000"),
   body("concurrencyLimit").isInt({ min: 1, max: 1000 }).withMessage("Concurrency limit must be between 1 and 1,000"),
+  body("maxDevices").isInt({ min: 1, max: 100 }).withMessage("Device limit must be between 1 and 100"),
+]
+
+const apiKeyValidationRules = [
+  body("name").trim().isLength({ min: 1, max: 50 }).withMessage("Key name must be 1-50 characters long"),
+  body("scopes").custom((scopes) => {
+    const list = [].concat(scopes || [])
+    if (list.length === 0 || !list.every((scope) => SCOPES[scope])) {
+      throw new Error("Please select at least one valid scope")
+    }
+    return true
+  }),
+  body("expiresAt")
+    .optional({ values: "falsy" })
+    .isISO8601()
+    .custom((value) => new Date(value) > new Date())
+    .withMessage("Expiry date must be in the future"),
+  body("allowedIps")
+    .optional({ values: "falsy" })
+    .custom((value) => value.split(/[\s,]+/).filter((ip) => ip).every((ip) => isIP(ip)))
+    .withMessage("Allowed IPs must be valid IP addresses"),
 ]
 
 // Error handling for validation
@@ -192,14 +332,23 @@ const handleValidationErrors = (req, res, next) => {
 
 module.exports = {
   authLimiter,
+  apiAuthLimiter,
+  passwordResetLimiter,
+  verificationEmailLimiter,
+  registrationLimiter,
   adminLimiter,
+  apiLimiter,
   generalLimiter,
+  deprecatedApi,
   sanitizeInput,
   requestLogger,
   securityHeaders,
   sessionSecurity,
+  trackSessionActivity,
   csrfProtection,
+  passwordPolicyRule,
   userValidationRules,
   packageValidationRules,
+  apiKeyValidationRules,
   handleValidationErrors,
 }
@@ -0,0 +1,188 @@
+const mongoose = require("mongoose")
+const crypto = require("crypto")
+
+// Prefix that tells API keys apart from desktop access tokens
+const KEY_PREFIX = "gck_"
+
+// Scopes an API key can be granted, with the label shown in the UI
+const SCOPES = {
+  "credits:read": "Read the credit balance",
+  "credits:consume": "Consume email credits",
+  "slots:lease": "Lease concurrency slots",
+  "usage:write": "Report usage",
+  "presence:write": "Report online presence",
+}
+
+// Maximum number of active keys per user
+const MAX_KEYS_PER_USER = 10
+
+// Bring an IP address to one form, so "::ffff:203.0.113.5" from a dual-stack socket matches "203.0.113.5"
+const normalizeIp = (ip) => {
+  const value = String(ip || "").trim().toLowerCase()
+  const mapped = value.match(/^::ffff:(\d{1,3}(?:\.\d{1,3}){3})$/)
+  return mapped ? mapped[1] : value
+}
+
+const apiKeySchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "API key user is required"],
+    },
+    name: {
+      type: String,
+      required: [true, "API key name is required"],
+      trim: true,
+      maxlength: [50, "API key name cannot exceed 50 characters"],
+    },
+    // First characters of the key, shown so users can recognise their keys
+    prefix: {
+      type: String,
+      required: true,
+    },
+    // Only a SHA-256 hash of the key is stored, never the key itself
+    keyHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    scopes: [
+      {
+        type: String,
+        enum: Object.keys(SCOPES),
+      },
+    ],
+    expiresAt: {
+      type: Date,
+      default: null,
+    },
+    // When set, the key only works from these IP addresses
+    allowedIps: [
+      {
+        type: String,
+        set: normalizeIp,
+      },
+    ],
+    lastUsedAt: {
+      type: Date,
+      default: null,
+    },
+    lastUsedIp: {
+      type: String,
+      default: null,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+// Indexes for better query performance
+apiKeySchema.index({ user: 1, revokedAt: 1 })
+
+apiKeySchema.statics.KEY_PREFIX = KEY_PREFIX
+apiKeySchema.statics.SCOPES = SCOPES
+apiKeySchema.statics.MAX_KEYS_PER_USER = MAX_KEYS_PER_USER
+apiKeySchema.statics.normalizeIp = normalizeIp
+
+// Static method to check if a bearer credential looks like an API key
+apiKeySchema.statics.isApiKey = function (credential) {
+  return typeof credential === "string" && credential.startsWith(KEY_PREFIX)
+}
+
+// Static method to hash a raw key for storage and lookup
+apiKeySchema.statics.hashKey = function (key) {
+  return crypto.createHash("sha256").update(String(key)).digest("hex")
+}
+
+// Static method to create a key; the raw key is only available at this point
+apiKeySchema.statics.generate = async function ({ user, name, scopes, expiresAt, allowedIps, createdBy }) {
+  const key = KEY_PREFIX + crypto.randomBytes(24).toString("hex")
+
+  const apiKey = await this.create({
+    user,
+    name,
+    prefix: key.slice(0, KEY_PREFIX.length + 8),
+    keyHash: this.hashKey(key),
+    scopes,
+    expiresAt: expiresAt || null,
+    allowedIps: allowedIps || [],
+    createdBy: createdBy || null,
+  })
+
+  return { key, apiKey }
+}
+
+// Static method to turn submitted form fields into key options
+apiKeySchema.statics.parseForm = function (body) {
+  const scopes = [].concat(body.scopes || []).filter((scope) => SCOPES[scope])
+  const allowedIps = (body.allowedIps || "")
+    .split(/[\s,]+/)
+    .map(normalizeIp)
+    .filter((ip) => ip.length > 0)
+
+  return {
+    name: body.name,
+    scopes,
+    expiresAt: body.expiresAt ? new Date(body.expiresAt) : null,
+    allowedIps,
+  }
+}
+
+// Static method to find a key document by its raw value
+apiKeySchema.statics.findByKey = function (key) {
+  if (!this.isApiKey(key)) {
+    return Promise.resolve(null)
+  }
+
+  return this.findOne({ keyHash: this.hashKey(key) })
+}
+
+// Static method to list the keys of a user that have not been revoked
+apiKeySchema.statics.findActiveForUser = function (userId) {
+  return this.find({ user: userId, revokedAt: null }).sort({ createdAt: -1 })
+}
+
+// Static method to revoke every key of a user
+apiKeySchema.statics.revokeAllForUser = function (userId) {
+  return this.updateMany({ user: userId, revokedAt: null }, { revokedAt: new Date() })
+}
+
+// Instance method to check if the key can still be used
+apiKeySchema.methods.isValid = function () {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > new Date())
+}
+
+// Instance method to check the IP restriction
+// Stored addresses are normalized too, as keys saved before normalization may hold another form
+apiKeySchema.methods.isIpAllowed = function (ip) {
+  return this.allowedIps.length === 0 || this.allowedIps.map(normalizeIp).includes(normalizeIp(ip))
+}
+
+// Instance method to check if the key was granted a scope
+apiKeySchema.methods.hasScope = function (scope) {
+  return this.scopes.includes(scope)
+}
+
+// Instance method to record key usage without touching other fields
+apiKeySchema.methods.recordUse = function (ip) {
+  this.lastUsedAt = new Date()
+  this.lastUsedIp = ip
+  return this.constructor.updateOne({ _id: this._id }, { lastUsedAt: this.lastUsedAt, lastUsedIp: ip })
+}
+
+module.exports = mongoose.model("ApiKey", apiKeySchema)
@@ -0,0 +1,115 @@
+const mongoose = require("mongoose")
+const { isValidVersion, compareVersions } = require("../utils/version")
+
+// Release channels of the desktop application
+const CHANNELS = ["stable", "beta"]
+
+const versionValidator = {
+  validator: (value) => !value || isValidVersion(value),
+  message: "Version must look like 1.2.3",
+}
+
+// Supported and latest desktop client versions of one release channel
+const clientReleaseSchema = new mongoose.Schema(
+  {
+    channel: {
+      type: String,
+      enum: CHANNELS,
+      required: [true, "Channel is required"],
+      unique: true,
+    },
+    // Clients below this version are refused; empty allows every version
+    minimumVersion: {
+      type: String,
+      trim: true,
+      default: null,
+      validate: versionValidator,
+    },
+    latestVersion: {
+      type: String,
+      trim: true,
+      default: null,
+      validate: versionValidator,
+    },
+    releaseNotes: {
+      type: String,
+      trim: true,
+      maxlength: [5000, "Release notes cannot exceed 5,000 characters"],
+      default: "",
+    },
+    downloadUrls: {
+      windows: { type: String, trim: true, default: null },
+      macos: { type: String, trim: true, default: null },
+      linux: { type: String, trim: true, default: null },
+    },
+    publishedAt: {
+      type: Date,
+      default: null,
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+clientReleaseSchema.statics.CHANNELS = CHANNELS
+
+// Static method to get the release of a channel, or an empty one if none was set up
+clientReleaseSchema.statics.getForChannel = async function (channel) {
+  const release = await this.findOne({ channel })
+  return release || new this({ channel })
+}
+
+// Static method to get the releases of every channel
+clientReleaseSchema.statics.getAllChannels = async function () {
+  const releases = await this.find({ channel: { $in: CHANNELS } }).populate("updatedBy", "username")
+  return CHANNELS.map((channel) => releases.find((release) => release.channel === channel) || new this({ channel }))
+}
+
+// Instance method to check if a client version is still supported
+// Clients that do not send a version are treated as outdated once a minimum is set
+clientReleaseSchema.methods.isSupported = function (clientVersion) {
+  if (!this.minimumVersion) {
+    return true
+  }
+
+  if (!isValidVersion(clientVersion)) {
+    return false
+  }
+
+  return compareVersions(clientVersion, this.minimumVersion) >= 0
+}
+
+// Instance method to check if a newer version than the client's is available
+clientReleaseSchema.methods.isUpdateAvailable = function (clientVersion) {
+  if (!this.latestVersion || !isValidVersion(clientVersion)) {
+    return Boolean(this.latestVersion)
+  }
+
+  return compareVersions(clientVersion, this.latestVersion) < 0
+}
+
+// Instance method to build the update manifest sent to clients
+clientReleaseSchema.methods.toManifest = function (clientVersion) {
+  return {
+    channel: this.channel,
+    latestVersion: this.latestVersion,
+    minimumVersion: this.minimumVersion,
+    releaseNotes: this.releaseNotes,
+    downloadUrls: {
+      windows: this.downloadUrls.windows,
+      macos: this.downloadUrls.macos,
+      linux: this.downloadUrls.linux,
+    },
+    publishedAt: this.publishedAt,
+    updateAvailable: this.isUpdateAvailable(clientVersion),
+    updateRequired: !this.isSupported(clientVersion),
+  }
+}
+
+module.exports = mongoose.model("ClientRelease", clientReleaseSchema)
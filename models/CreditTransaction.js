@@ -0,0 +1,195 @@
+const mongoose = require("mongoose")
+
+// Append-only ledger of email credit movements; the running balance lives on User.creditBalance
+const creditTransactionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Transaction user is required"],
+    },
+    type: {
+      type: String,
+      enum: ["grant", "consume", "refund", "expire"],
+      required: [true, "Transaction type is required"],
+    },
+    // Always positive, the type decides whether credits were added or removed
+    amount: {
+      type: Number,
+      required: [true, "Amount is required"],
+      min: [0, "Amount cannot be negative"],
+    },
+    balanceAfter: {
+      type: Number,
+      required: true,
+    },
+    // Client supplied id used to make consume requests idempotent
+    reference: {
+      type: String,
+      trim: true,
+      maxlength: [100, "Reference cannot exceed 100 characters"],
+    },
+    note: {
+      type: String,
+      trim: true,
+      maxlength: [200, "Note cannot exceed 200 characters"],
+    },
+    deviceId: {
+      type: String,
+      default: null,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+      immutable: true,
+    },
+  },
+  {
+    timestamps: false,
+  },
+)
+
+// Indexes for better query performance
+creditTransactionSchema.index({ user: 1, createdAt: -1 })
+creditTransactionSchema.index(
+  { user: 1, type: 1, reference: 1 },
+  { unique: true, partialFilterExpression: { reference: { $type: "string" } } },
+)
+
+// Ledger entries are never changed or removed once written
+const rejectModification = function (next) {
+  next(new Error("Credit transactions are append-only"))
+}
+creditTransactionSchema.pre(
+  ["updateOne", "updateMany", "findOneAndUpdate", "replaceOne", "deleteOne", "deleteMany", "findOneAndDelete"],
+  rejectModification,
+)
+creditTransactionSchema.pre("save", function (next) {
+  if (!this.isNew) {
+    return rejectModification(next)
+  }
+  next()
+})
+
+// Static method to add credits to a user's balance
+creditTransactionSchema.statics.grant = async function (userId, amount, options = {}) {
+  const User = mongoose.model("User")
+  const user = await User.findByIdAndUpdate(userId, { $inc: { creditBalance: amount } }, { new: true })
+
+  if (!user) {
+    return null
+  }
+
+  return this.create({
+    user: userId,
+    type: options.type || "grant",
+    amount,
+    balanceAfter: user.creditBalance,
+    note: options.note,
+    createdBy: options.createdBy || null,
+  })
+}
+
+// Static method to return previously consumed credits to a user's balance
+creditTransactionSchema.statics.refund = function (userId, amount, options = {}) {
+  return this.grant(userId, amount, { ...options, type: "refund" })
+}
+
+// Static method to atomically debit credits from a user's balance
+// Returns null when the balance is too low; repeated references return the original transaction
+creditTransactionSchema.statics.consume = async function (userId, amount, options = {}) {
+  const User = mongoose.model("User")
+  const { reference, deviceId } = options
+
+  if (reference) {
+    const existing = await this.findOne({ user: userId, type: "consume", reference })
+    if (existing) {
+      return existing
+    }
+  }
+
+  // The balance condition and the decrement happen in a single update
+  const user = await User.findOneAndUpdate(
+    { _id: userId, creditBalance: { $gte: amount } },
+    { $inc: { creditBalance: -amount } },
+    { new: true },
+  )
+
+  if (!user) {
+    return null
+  }
+
+  try {
+    return await this.create({
+      user: userId,
+      type: "consume",
+      amount,
+      balanceAfter: user.creditBalance,
+      reference,
+      deviceId: deviceId || null,
+    })
+  } catch (error) {
+    // Undo the debit if the ledger entry could not be written
+    await User.updateOne({ _id: userId }, { $inc: { creditBalance: amount } })
+
+    // A concurrent request with the same reference won the race
+    if (error.code === 11000 && reference) {
+      return this.findOne({ user: userId, type: "consume", reference })
+    }
+
+    throw error
+  }
+}
+
+// Static method to expire a user's entire remaining balance
+creditTransactionSchema.statics.expireBalance = async function (userId, options = {}) {
+  const User = mongoose.model("User")
+  const user = await User.findById(userId).select("creditBalance")
+
+  if (!user || user.creditBalance <= 0) {
+    return null
+  }
+
+  // Only remove what was there when we looked, so concurrent grants are kept
+  const updated = await User.findOneAndUpdate(
+    { _id: userId, creditBalance: user.creditBalance },
+    { $inc: { creditBalance: -user.creditBalance } },
+    { new: true },
+  )
+
+  if (!updated) {
+    return null
+  }
+
+  return this.create({
+    user: userId,
+    type: "expire",
+    amount: user.creditBalance,
+    balanceAfter: updated.creditBalance,
+    note: options.note,
+    createdBy: options.createdBy || null,
+  })
+}
+
+// Static method to start a new package period: the remaining balance expires and the package's credits are granted
+creditTransactionSchema.statics.startPackagePeriod = async function (userId, pkg, options = {}) {
+  await this.expireBalance(userId, { note: `Balance expired for new ${pkg.name} package period`, createdBy: options.createdBy })
+
+  if (pkg.emailCredits <= 0) {
+    return null
+  }
+
+  return this.grant(userId, pkg.emailCredits, { note: `${pkg.name} package credits`, createdBy: options.createdBy })
+}
+
+// Static method to get the most recent ledger entries of a user
+creditTransactionSchema.statics.getHistory = function (userId, limit = 20) {
+  return this.find({ user: userId }).sort({ createdAt: -1 }).limit(limit).populate("createdBy", "username")
+}
+
+module.exports = mongoose.model("CreditTransaction", creditTransactionSchema)
@@ -0,0 +1,214 @@
+const mongoose = require("mongoose")
+const crypto = require("crypto")
+const { generateSigningSecret } = require("../utils/requestSigning")
+
+const desktopTokenSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Token user is required"],
+    },
+    deviceId: {
+      type: String,
+      required: [true, "Device ID is required"],
+      trim: true,
+    },
+    // Short-lived access tokens authorize requests, long-lived refresh tokens renew them
+    type: {
+      type: String,
+      enum: ["access", "refresh"],
+      default: "access",
+    },
+    // Tokens issued from the same login share a family, so rotation can revoke them together
+    family: {
+      type: String,
+      default: () => crypto.randomUUID(),
+    },
+    // Only a SHA-256 hash of the token is stored, never the token itself
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    // Secret the client signs requests with, shared by the tokens of one login
+    // Kept as issued, since the server needs it to check signatures
+    signingSecret: {
+      type: String,
+      default: null,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    lastUsedAt: {
+      type: Date,
+      default: null,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    revokedReason: {
+      type: String,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+// Indexes for better query performance
+desktopTokenSchema.index({ user: 1, revokedAt: 1 })
+desktopTokenSchema.index({ family: 1 })
+// Let MongoDB remove tokens once they have expired
+desktopTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+// Token lifetimes, configurable through the environment
+const getAccessTokenTtlMs = () => (Number.parseInt(process.env.DESKTOP_ACCESS_TOKEN_TTL_MINUTES) || 15) * 60 * 1000
+const getRefreshTokenTtlMs = () => (Number.parseInt(process.env.DESKTOP_REFRESH_TOKEN_TTL_DAYS) || 30) * 24 * 60 * 60 * 1000
+
+// Static method to hash a raw token for storage and lookup
+desktopTokenSchema.statics.hashToken = function (token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex")
+}
+
+// Static method to issue an access + refresh token pair for a user's device
+// Raw tokens are only available at this point; pass a family and signing secret to continue an existing login
+desktopTokenSchema.statics.issueTokenPair = async function (
+  userId,
+  deviceId,
+  family = crypto.randomUUID(),
+  signingSecret = generateSigningSecret(),
+) {
+  const accessToken = crypto.randomBytes(32).toString("hex")
+  const refreshToken = crypto.randomBytes(48).toString("hex")
+  const now = Date.now()
+
+  const [accessTokenDoc, refreshTokenDoc] = await this.create([
+    {
+      user: userId,
+      deviceId,
+      type: "access",
+      family,
+      signingSecret,
+      tokenHash: this.hashToken(accessToken),
+      expiresAt: new Date(now + getAccessTokenTtlMs()),
+    },
+    {
+      user: userId,
+      deviceId,
+      type: "refresh",
+      family,
+      signingSecret,
+      tokenHash: this.hashToken(refreshToken),
+      expiresAt: new Date(now + getRefreshTokenTtlMs()),
+    },
+  ])
+
+  return { accessToken, refreshToken, signingSecret, accessTokenDoc, refreshTokenDoc }
+}
+
+// Static method to rotate a refresh token: the old one is retired and a new pair is issued
+// Returns null when the token was already used, which callers must treat as reuse
+desktopTokenSchema.statics.rotateRefreshToken = async function (refreshTokenDoc) {
+  // Retire the token atomically so two concurrent refreshes cannot both succeed
+  const retired = await this.findOneAndUpdate(
+    { _id: refreshTokenDoc._id, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: "rotated" },
+  )
+
+  if (!retired) {
+    return null
+  }
+
+  // Access tokens issued before the rotation are no longer needed
+  await this.updateMany(
+    { family: refreshTokenDoc.family, type: "access", revokedAt: null },
+    { revokedAt: new Date(), revokedReason: "rotated" },
+  )
+
+  // Logins from before request signing have no secret yet and get one now
+  return this.issueTokenPair(
+    refreshTokenDoc.user,
+    refreshTokenDoc.deviceId,
+    refreshTokenDoc.family,
+    refreshTokenDoc.signingSecret || undefined,
+  )
+}
+
+// Static method to revoke every token issued from the same login
+desktopTokenSchema.statics.revokeFamily = function (family, reason = "revoked") {
+  return this.updateMany({ family, revokedAt: null }, { revokedAt: new Date(), revokedReason: reason })
+}
+
+// Static method to find a token document of the given type by its raw value
+desktopTokenSchema.statics.findByToken = function (token, type = "access") {
+  if (!token || typeof token !== "string") {
+    return Promise.resolve(null)
+  }
+
+  return this.findOne({ tokenHash: this.hashToken(token), type })
+}
+
+// Static method to revoke every active token of a user
+desktopTokenSchema.statics.revokeAllForUser = function (userId, reason = "revoked") {
+  return this.updateMany({ user: userId, revokedAt: null }, { revokedAt: new Date(), revokedReason: reason })
+}
+
+// Static method to revoke every active token issued to one of a user's devices
+desktopTokenSchema.statics.revokeAllForDevice = function (userId, deviceId, reason = "revoked") {
+  return this.updateMany(
+    { user: userId, deviceId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason },
+  )
+}
+
+// Instance method to check if the token can still be used
+desktopTokenSchema.methods.isValid = function () {
+  return !this.revokedAt && this.expiresAt > new Date()
+}
+
+// Revocation reasons that are routine rather than an ended login
+const ROUTINE_REVOKE_REASONS = ["rotated", "logout"]
+
+// Messages shown to the user of a revoked login, by revocation reason
+const REVOKED_MESSAGES = {
+  admin_signout: "You were signed out by an administrator.",
+  account_deactivated: "Your account has been deactivated.",
+  device_reset: "Your devices were reset by an administrator.",
+  device_removed: "This device was removed from your account by an administrator.",
+  device_released: "This device was released from your account.",
+  device_mismatch: "Your account was used on a different device.",
+  refresh_token_reuse: "Your session was ended for security reasons.",
+  password_reset: "Your password was reset.",
+  password_changed: "Your password was changed.",
+  account_updated: "Your account details were changed.",
+}
+
+// Instance method to check if the login this token belongs to was ended on purpose
+desktopTokenSchema.methods.isRevoked = function () {
+  return Boolean(this.revokedAt) && !ROUTINE_REVOKE_REASONS.includes(this.revokedReason)
+}
+
+// Instance method to get a message explaining the revocation to the user
+desktopTokenSchema.methods.getRevokedMessage = function () {
+  const reason = REVOKED_MESSAGES[this.revokedReason] || "Your session was revoked."
+  return `${reason} Please log in again.`
+}
+
+// Instance method to record token usage
+desktopTokenSchema.methods.touch = function () {
+  this.lastUsedAt = new Date()
+  return this.save()
+}
+
+// Instance method to revoke the token
+desktopTokenSchema.methods.revoke = function (reason = "revoked") {
+  this.revokedAt = new Date()
+  this.revokedReason = reason
+  return this.save()
+}
+
+module.exports = mongoose.model("DesktopToken", desktopTokenSchema)
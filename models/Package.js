@@ -1,4 +1,67 @@
 const mongoose = require("mongoose")
+const { ENTITLEMENTS, resolveEntitlements, entitlementsFromFeatures } = require("../config/entitlements")
+
+// An entitlement granted by a package, see config/entitlements.js for the catalogue
+const entitlementSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      enum: Object.keys(ENTITLEMENTS),
+      required: [true, "Entitlement key is required"],
+    },
+    // Only used by "limit" entitlements; null means no limit
+    limit: {
+      type: Number,
+      default: null,
+      min: [0, "Entitlement limit cannot be negative"],
+    },
+  },
+  { _id: false },
+)
+
+// Packages created on a fresh database
+const DEFAULT_PACKAGES = [
+  {
+    name: "Free",
+    emailCredits: 100,
+    concurrencyLimit: 5,
+    maxDevices: 1,
+    features: ["Basic email validation", "Standard support"],
+    entitlements: [{ key: "max_list_size", limit: 1000 }, { key: "export_csv" }],
+    isActive: true,
+  },
+  {
+    name: "Premium",
+    emailCredits: 1000,
+    concurrencyLimit: 20,
+    maxDevices: 2,
+    features: ["Advanced email validation", "Priority support", "Bulk validation"],
+    entitlements: [
+      { key: "bulk_validation" },
+      { key: "max_list_size", limit: 50000 },
+      { key: "export_csv" },
+      { key: "smtp_check" },
+    ],
+    isActive: true,
+  },
+  {
+    name: "Enterprise",
+    emailCredits: 10000,
+    concurrencyLimit: 50,
+    maxDevices: 5,
+    features: ["Enterprise email validation", "24/7 support", "Custom integrations", "Advanced analytics"],
+    entitlements: [
+      { key: "bulk_validation" },
+      { key: "max_list_size" },
+      { key: "export_csv" },
+      { key: "export_xlsx" },
+      { key: "smtp_check" },
+      { key: "catch_all_detection" },
+      { key: "proxy_support" },
+    ],
+    isActive: true,
+  },
+]
 
 const packageSchema = new mongoose.Schema(
   {
@@ -22,12 +85,30 @@ const packageSchema = new mongoose.Schema(
       min: [1, "Concurrency limit must be at least 1"],
       max: [1000, "Concurrency limit cannot exceed 1,000"],
     },
+    maxDevices: {
+      type: Number,
+      default: 1,
+      min: [1, "Device limit must be at least 1"],
+      max: [100, "Device limit cannot exceed 100"],
+    },
+    // Display text only, the desktop application uses entitlements
     features: [
       {
         type: String,
         trim: true,
       },
     ],
+    entitlements: [entitlementSchema],
+    // Desktop clients must sign every API request with the secret issued at login
+    requireRequestSigning: {
+      type: Boolean,
+      default: false,
+    },
+    // Users must verify their email address before they can log in
+    requireEmailVerification: {
+      type: Boolean,
+      default: false,
+    },
     isActive: {
       type: Boolean,
       default: true,
@@ -59,32 +140,9 @@ packageSchema.statics.createDefaultPackages = async function () {
   const existingPackages = await this.countDocuments()
 
   if (existingPackages === 0) {
-    const defaultPackages = [
-      {
-        name: "Free",
-        emailCredits: 100,
-        concurrencyLimit: 5,
-        features: ["Basic email validation", "Standard support"],
-        isActive: true,
-      },
-      {
-        name: "Premium",
-        emailCredits: 1000,
-        concurrencyLimit: 20,
-        features: ["Advanced email validation", "Priority support", "Bulk validation"],
-        isActive: true,
-      },
-      {
-        name: "Enterprise",
-        emailCredits: 10000,
-        concurrencyLimit: 50,
-        features: ["Enterprise email validation", "24/7 support", "Custom integrations", "Advanced analytics"],
-        isActive: true,
-      },
-    ]
 
     try {
-      await this.insertMany(defaultPackages)
+      await this.insertMany(DEFAULT_PACKAGES)
       console.log("Default packages created successfully")
     } catch (error) {
       console.error("Error creating default packages:", error)
@@ -92,11 +150,33 @@ packageSchema.statics.createDefaultPackages = async function () {
   }
 }
 
+// Static method to give packages created before the entitlement catalogue their entitlements
+// Those packages have no entitlements field at all: default packages get their default entitlements,
+// other packages the ones their feature texts describe. Safe to run on every start
+packageSchema.statics.migrateEntitlements = async function () {
+  const packages = await this.find({ entitlements: { $exists: false } }).select("name features")
+
+  for (const pkg of packages) {
+    const defaults = DEFAULT_PACKAGES.find((defaultPackage) => defaultPackage.name === pkg.name)
+    const entitlements = defaults ? defaults.entitlements : entitlementsFromFeatures(pkg.features)
+
+    await this.updateOne({ _id: pkg._id, entitlements: { $exists: false } }, { $set: { entitlements } })
+    console.log(`Package ${pkg.name} migrated to entitlements: ${entitlements.map((entitlement) => entitlement.key).join(", ")}`)
+  }
+
+  return packages.length
+}
+
 // Instance method to check if package is valid
 packageSchema.methods.isValidPackage = function () {
   return this.isActive
 }
 
+// Instance method to get every catalogue entitlement resolved for this package
+packageSchema.methods.getEntitlements = function () {
+  return resolveEntitlements(this.entitlements)
+}
+
 // Optimized method for getting package statistics
 packageSchema.statics.getPackageStats = async function() {
   const stats = await this.aggregate([
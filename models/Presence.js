@@ -0,0 +1,122 @@
+const mongoose = require("mongoose")
+
+// The last heartbeat of a running desktop client, one document per user and device
+const presenceSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Presence user is required"],
+    },
+    deviceId: {
+      type: String,
+      required: [true, "Device ID is required"],
+    },
+    ip: {
+      type: String,
+      default: null,
+    },
+    appVersion: {
+      type: String,
+      trim: true,
+      maxlength: [50, "App version cannot exceed 50 characters"],
+      default: null,
+    },
+    // Start of the current run of uninterrupted heartbeats
+    startedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    lastSeenAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // Documents of clients that stopped sending heartbeats are removed after a while
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+// Indexes for better query performance
+presenceSchema.index({ user: 1, deviceId: 1 }, { unique: true })
+presenceSchema.index({ lastSeenAt: -1 })
+presenceSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+// Seconds without a heartbeat after which a client counts as offline
+const getOnlineTimeoutSeconds = () => Number.parseInt(process.env.PRESENCE_TIMEOUT_SECONDS) || 120
+
+// Keep offline documents for a day so a quick reconnect is not lost to the TTL monitor
+const RETENTION_MS = 24 * 60 * 60 * 1000
+
+presenceSchema.statics.getOnlineTimeoutSeconds = getOnlineTimeoutSeconds
+
+const getOnlineSince = () => new Date(Date.now() - getOnlineTimeoutSeconds() * 1000)
+
+// Static method to record a heartbeat from a client
+presenceSchema.statics.heartbeat = async function (userId, deviceId, { ip, appVersion } = {}) {
+  const now = new Date()
+  const update = {
+    ip: ip || null,
+    lastSeenAt: now,
+    expiresAt: new Date(now.getTime() + RETENTION_MS),
+  }
+
+  if (appVersion) {
+    update.appVersion = appVersion
+  }
+
+  // A heartbeat after the client went offline starts a new session
+  const resumed = await this.findOneAndUpdate(
+    { user: userId, deviceId, lastSeenAt: { $gte: getOnlineSince() } },
+    update,
+    { new: true },
+  )
+
+  if (resumed) {
+    return resumed
+  }
+
+  try {
+    return await this.findOneAndUpdate(
+      { user: userId, deviceId },
+      { ...update, startedAt: now },
+      { new: true, upsert: true, setDefaultsOnInsert: true },
+    )
+  } catch (error) {
+    // A concurrent first heartbeat of the same device inserted its document first, so update that one
+    if (error.code === 11000) {
+      return this.findOneAndUpdate({ user: userId, deviceId }, update, { new: true })
+    }
+    throw error
+  }
+}
+
+// Static method to mark a client as offline, e.g. when it logs out
+presenceSchema.statics.end = function (userId, deviceId) {
+  return this.deleteOne({ user: userId, deviceId })
+}
+
+// Static method to list the clients that are currently online
+presenceSchema.statics.getOnline = function () {
+  return this.find({ lastSeenAt: { $gte: getOnlineSince() } })
+    .populate({ path: "user", select: "username email devices package", populate: { path: "package", select: "name" } })
+    .sort({ startedAt: 1 })
+}
+
+// Static method to count the users with at least one client online
+presenceSchema.statics.countOnlineUsers = async function () {
+  const users = await this.distinct("user", { lastSeenAt: { $gte: getOnlineSince() } })
+  return users.length
+}
+
+// Instance method to get how long the current session has lasted, in milliseconds
+presenceSchema.methods.getSessionDuration = function () {
+  return this.lastSeenAt.getTime() - this.startedAt.getTime()
+}
+
+module.exports = mongoose.model("Presence", presenceSchema)
@@ -0,0 +1,118 @@
+const mongoose = require("mongoose")
+
+// Review states of a registration
+const STATUSES = ["pending", "approved", "rejected"]
+
+// Sign-up request from the public registration page, reviewed by an admin
+// Approving it creates the user and emails them an invite to set their password
+const registrationSchema = new mongoose.Schema(
+  {
+    username: {
+      type: String,
+      required: [true, "Username is required"],
+      trim: true,
+      minlength: [3, "Username must be at least 3 characters"],
+      maxlength: [20, "Username cannot exceed 20 characters"],
+      match: [/^[a-zA-Z0-9_]+$/, "Username can only contain letters, numbers, and underscores"],
+    },
+    email: {
+      type: String,
+      required: [true, "Email is required"],
+      trim: true,
+      lowercase: true,
+    },
+    company: {
+      type: String,
+      trim: true,
+      maxlength: [100, "Company name cannot exceed 100 characters"],
+      default: "",
+    },
+    message: {
+      type: String,
+      trim: true,
+      maxlength: [1000, "Message cannot exceed 1,000 characters"],
+      default: "",
+    },
+    // Package the prospect is interested in; the admin chooses the real one on approval
+    requestedPackage: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Package",
+      required: [true, "Package is required"],
+    },
+    status: {
+      type: String,
+      enum: STATUSES,
+      default: "pending",
+    },
+    rejectionReason: {
+      type: String,
+      trim: true,
+      maxlength: [500, "Rejection reason cannot exceed 500 characters"],
+      default: null,
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    reviewedAt: {
+      type: Date,
+      default: null,
+    },
+    // Account created when the registration was approved
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    ip: {
+      type: String,
+      default: null,
+    },
+    userAgent: {
+      type: String,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+registrationSchema.index({ status: 1, createdAt: -1 })
+registrationSchema.index({ email: 1, status: 1 })
+registrationSchema.index({ username: 1, status: 1 })
+
+registrationSchema.statics.STATUSES = STATUSES
+
+// Static method to check if a pending registration already uses the username or email
+registrationSchema.statics.isPendingFor = async function ({ username, email }) {
+  const existing = await this.exists({
+    status: "pending",
+    $or: [{ email: String(email).toLowerCase() }, { username }],
+  })
+  return Boolean(existing)
+}
+
+// Static method to count the registrations waiting for review
+registrationSchema.statics.countPending = function () {
+  return this.countDocuments({ status: "pending" })
+}
+
+// Instance method to mark the registration approved, linking the created user
+registrationSchema.methods.approve = function (user, reviewedBy) {
+  this.status = "approved"
+  this.user = user._id
+  this.reviewedBy = reviewedBy
+  this.reviewedAt = new Date()
+}
+
+// Instance method to mark the registration rejected
+registrationSchema.methods.reject = function (reason, reviewedBy) {
+  this.status = "rejected"
+  this.rejectionReason = reason
+  this.reviewedBy = reviewedBy
+  this.reviewedAt = new Date()
+}
+
+module.exports = mongoose.model("Registration", registrationSchema)
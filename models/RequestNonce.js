@@ -0,0 +1,38 @@
+const mongoose = require("mongoose")
+
+// A nonce from a signed desktop API request, kept until its timestamp can no longer be accepted
+const requestNonceSchema = new mongoose.Schema({
+  // Login the nonce was used with; nonces only have to be unique per login
+  family: {
+    type: String,
+    required: true,
+  },
+  nonce: {
+    type: String,
+    required: true,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+})
+
+// The unique index is what rejects a reused nonce, even for concurrent requests
+requestNonceSchema.index({ family: 1, nonce: 1 }, { unique: true })
+// Let MongoDB remove nonces once replaying them would fail the timestamp check anyway
+requestNonceSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+// Static method to use a nonce once; returns false when it was already used
+requestNonceSchema.statics.claim = async function (family, nonce, ttlSeconds) {
+  try {
+    await this.create({ family, nonce, expiresAt: new Date(Date.now() + ttlSeconds * 1000) })
+    return true
+  } catch (error) {
+    if (error.code === 11000) {
+      return false
+    }
+    throw error
+  }
+}
+
+module.exports = mongoose.model("RequestNonce", requestNonceSchema)
@@ -0,0 +1,45 @@
+const mongoose = require("mongoose")
+
+// Settings changed from the admin dashboard, with their values when they were never set
+const DEFAULTS = {
+  // Public sign-up at /auth/register, see Registration
+  registrationEnabled: false,
+}
+
+// One document per setting key
+const settingSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      enum: Object.keys(DEFAULTS),
+      required: [true, "Setting key is required"],
+      unique: true,
+    },
+    value: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+settingSchema.statics.DEFAULTS = DEFAULTS
+
+// Static method to get the value of a setting, or its default if it was never set
+settingSchema.statics.getValue = async function (key) {
+  const setting = await this.findOne({ key })
+  return setting ? setting.value : DEFAULTS[key]
+}
+
+// Static method to change a setting
+settingSchema.statics.setValue = function (key, value, updatedBy = null) {
+  return this.findOneAndUpdate({ key }, { value, updatedBy }, { upsert: true, new: true, runValidators: true })
+}
+
+module.exports = mongoose.model("Setting", settingSchema)
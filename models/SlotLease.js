@@ -0,0 +1,105 @@
+const mongoose = require("mongoose")
+
+// A lease on a number of concurrency slots, held by a desktop client while it checks emails
+const slotLeaseSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Lease user is required"],
+    },
+    deviceId: {
+      type: String,
+      required: [true, "Device ID is required"],
+    },
+    slots: {
+      type: Number,
+      required: [true, "Slot count is required"],
+      min: [1, "At least one slot must be leased"],
+    },
+    // Leases that are not renewed by a heartbeat lapse, so crashed clients free their slots
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    lastHeartbeatAt: {
+      type: Date,
+      default: Date.now,
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+// Indexes for better query performance
+slotLeaseSchema.index({ user: 1, expiresAt: 1 })
+// Let MongoDB remove lapsed leases
+slotLeaseSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+// Lease lifetime in seconds, configurable through the environment
+const getLeaseTtlSeconds = () => Number.parseInt(process.env.SLOT_LEASE_TTL_SECONDS) || 120
+
+slotLeaseSchema.statics.getLeaseTtlSeconds = getLeaseTtlSeconds
+
+// Static method to count the slots a user currently holds
+// MongoDB removes expired documents lazily, so expiry is checked explicitly
+slotLeaseSchema.statics.getActiveSlotCount = async function (userId) {
+  const result = await this.aggregate([
+    { $match: { user: new mongoose.Types.ObjectId(userId), expiresAt: { $gt: new Date() } } },
+    { $group: { _id: null, total: { $sum: "$slots" } } },
+  ])
+
+  return result[0] ? result[0].total : 0
+}
+
+// Static method to list the active leases of a user
+slotLeaseSchema.statics.getActiveLeases = function (userId) {
+  return this.find({ user: userId, expiresAt: { $gt: new Date() } }).sort({ createdAt: -1 })
+}
+
+// Static method to lease slots within the given limit
+// Returns the lease, or null when granting it would exceed the limit
+slotLeaseSchema.statics.acquire = async function (userId, deviceId, slots, limit) {
+  const lease = await this.create({
+    user: userId,
+    deviceId,
+    slots,
+    expiresAt: new Date(Date.now() + getLeaseTtlSeconds() * 1000),
+  })
+
+  // Insert first and count afterwards, so concurrent requests can never
+  // both slip under the limit; the loser gives its lease back
+  const inUse = await this.getActiveSlotCount(userId)
+
+  if (inUse > limit) {
+    await this.deleteOne({ _id: lease._id })
+    return null
+  }
+
+  return lease
+}
+
+// Static method to extend an active lease
+// Returns null when the lease does not exist or has already lapsed
+slotLeaseSchema.statics.heartbeat = function (leaseId, userId) {
+  const now = new Date()
+
+  return this.findOneAndUpdate(
+    { _id: leaseId, user: userId, expiresAt: { $gt: now } },
+    { expiresAt: new Date(now.getTime() + getLeaseTtlSeconds() * 1000), lastHeartbeatAt: now },
+    { new: true },
+  )
+}
+
+// Static method to give a lease back
+slotLeaseSchema.statics.release = async function (leaseId, userId) {
+  const result = await this.deleteOne({ _id: leaseId, user: userId })
+  return result.deletedCount > 0
+}
+
+module.exports = mongoose.model("SlotLease", slotLeaseSchema)
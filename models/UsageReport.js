@@ -0,0 +1,126 @@
+const mongoose = require("mongoose")
+
+// A finished check job reported by the desktop application
+const usageReportSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Report user is required"],
+    },
+    // Package at the time of the report, so package totals survive package changes
+    package: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Package",
+      default: null,
+    },
+    deviceId: {
+      type: String,
+      required: [true, "Device ID is required"],
+    },
+    // Client supplied job id, repeated reports of the same job are ignored
+    jobId: {
+      type: String,
+      trim: true,
+      maxlength: [100, "Job ID cannot exceed 100 characters"],
+    },
+    checkedCount: {
+      type: Number,
+      required: true,
+      min: [0, "Checked count cannot be negative"],
+    },
+    validCount: {
+      type: Number,
+      default: 0,
+      min: [0, "Valid count cannot be negative"],
+    },
+    invalidCount: {
+      type: Number,
+      default: 0,
+      min: [0, "Invalid count cannot be negative"],
+    },
+    errorCount: {
+      type: Number,
+      default: 0,
+      min: [0, "Error count cannot be negative"],
+    },
+    durationMs: {
+      type: Number,
+      default: 0,
+      min: [0, "Duration cannot be negative"],
+    },
+    finishedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+// Indexes for better query performance
+usageReportSchema.index({ user: 1, finishedAt: -1 })
+usageReportSchema.index({ package: 1, finishedAt: -1 })
+usageReportSchema.index(
+  { user: 1, jobId: 1 },
+  { unique: true, partialFilterExpression: { jobId: { $type: "string" } } },
+)
+
+const totalsStage = {
+  $group: {
+    _id: null,
+    jobs: { $sum: 1 },
+    checked: { $sum: "$checkedCount" },
+    valid: { $sum: "$validCount" },
+    invalid: { $sum: "$invalidCount" },
+    errors: { $sum: "$errorCount" },
+    durationMs: { $sum: "$durationMs" },
+    lastReportAt: { $max: "$finishedAt" },
+  },
+}
+
+const emptyTotals = { jobs: 0, checked: 0, valid: 0, invalid: 0, errors: 0, durationMs: 0, lastReportAt: null }
+
+// Static method to get usage totals for a user
+usageReportSchema.statics.getUserTotals = async function (userId) {
+  const result = await this.aggregate([{ $match: { user: new mongoose.Types.ObjectId(userId) } }, totalsStage])
+  return result[0] || emptyTotals
+}
+
+// Static method to get usage totals for everyone on a package
+usageReportSchema.statics.getPackageTotals = async function (packageId) {
+  const result = await this.aggregate([
+    { $match: { package: new mongoose.Types.ObjectId(packageId) } },
+    // Also count how many different users actually reported usage
+    { $group: { ...totalsStage.$group, users: { $addToSet: "$user" } } },
+    { $addFields: { reportingUsers: { $size: "$users" } } },
+    { $project: { users: 0 } },
+  ])
+  return result[0] || { ...emptyTotals, reportingUsers: 0 }
+}
+
+// Static method to get the checked email count per user on a package
+usageReportSchema.statics.getCheckedByUser = async function (packageId) {
+  const result = await this.aggregate([
+    { $match: { package: new mongoose.Types.ObjectId(packageId) } },
+    { $group: { _id: "$user", checked: { $sum: "$checkedCount" }, lastReportAt: { $max: "$finishedAt" } } },
+  ])
+
+  const usageMap = {}
+  result.forEach((item) => {
+    usageMap[item._id] = item
+  })
+  return usageMap
+}
+
+// Static method to get the most recent reports of a user
+usageReportSchema.statics.getRecent = function (userId, limit = 10) {
+  return this.find({ user: userId }).sort({ finishedAt: -1 }).limit(limit)
+}
+
+module.exports = mongoose.model("UsageReport", usageReportSchema)
@@ -1,5 +1,122 @@
 const mongoose = require("mongoose")
 const bcrypt = require("bcryptjs")
+const crypto = require("crypto")
+const { resolveEntitlements, resolveAllEntitlements } = require("../config/entitlements")
+const totp = require("../utils/totp")
+const passwordPolicy = require("../config/passwordPolicy")
+
+// A desktop device the user has logged in from
+const deviceSchema = new mongoose.Schema(
+  {
+    deviceId: {
+      type: String,
+      required: [true, "Device ID is required"],
+      trim: true,
+    },
+    name: {
+      type: String,
+      trim: true,
+      maxlength: [100, "Device name cannot exceed 100 characters"],
+    },
+    firstSeenAt: {
+      type: Date,
+      default: Date.now,
+    },
+    lastSeenAt: {
+      type: Date,
+      default: Date.now,
+    },
+    lastIp: {
+      type: String,
+      default: null,
+    },
+  },
+  {
+    _id: false,
+  },
+)
+
+// A device that was released from the account, by the user or by an admin
+const deviceTransferSchema = new mongoose.Schema(
+  {
+    deviceId: {
+      type: String,
+      required: true,
+    },
+    name: {
+      type: String,
+    },
+    releasedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    initiatedBy: {
+      type: String,
+      enum: ["user", "admin"],
+      required: true,
+    },
+    performedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    ip: {
+      type: String,
+      default: null,
+    },
+  },
+  {
+    _id: false,
+  },
+)
+
+// A successful or failed login, kept for the user's account page
+const loginEventSchema = new mongoose.Schema(
+  {
+    at: {
+      type: Date,
+      default: Date.now,
+    },
+    success: {
+      type: Boolean,
+      required: true,
+    },
+    client: {
+      type: String,
+      enum: ["web", "desktop"],
+      required: true,
+    },
+    ip: {
+      type: String,
+      default: null,
+    },
+    userAgent: {
+      type: String,
+      default: null,
+    },
+    deviceId: {
+      type: String,
+      default: null,
+    },
+  },
+  {
+    _id: false,
+  },
+)
+
+// Hours an invite link stays valid
+const getInviteTtlHours = () => Number.parseInt(process.env.INVITE_TTL_HOURS) || 72
+
+// Passwords stored by the pre-save hook, which are not checked against the policy again
+const BCRYPT_HASH = /^\$2[aby]\$\d{2}\$/
+
+// Number of login events kept per user
+const MAX_LOGIN_HISTORY = 20
+
+// Failed logins before an account is locked, and how long the first lockout lasts
+const getLockoutThreshold = () => Number.parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD) || 5
+const getLockoutMinutes = () => Number.parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15
+const MAX_LOCKOUT_MS = 24 * 60 * 60 * 1000
 
 const userSchema = new mongoose.Schema(
   {
@@ -22,8 +139,29 @@ const userSchema = new mongoose.Schema(
     },
     password: {
       type: String,
-      required: [true, "Password is required"],
-      minlength: [6, "Password must be at least 6 characters"],
+      // Invited users choose their password when they accept the invite
+      required: [
+        function () {
+          return !this.invite || !this.invite.status
+        },
+        "Password is required",
+      ],
+      // Routes check the policy first with friendlier errors, this catches every other way a password is set
+      validate: {
+        validator: function (value) {
+          if (BCRYPT_HASH.test(value)) return true
+          const problems = passwordPolicy.validatePassword(value, this)
+          if (problems.length > 0) {
+            throw new Error(problems[0])
+          }
+          return true
+        },
+      },
+    },
+    // Hashes of previous passwords, newest first, so they cannot be used again
+    passwordHistory: [String],
+    passwordChangedAt: {
+      type: Date,
     },
     role: {
       type: String,
@@ -56,17 +194,89 @@ const userSchema = new mongoose.Schema(
     lastLogin: {
       type: Date,
     },
+    // Most recent logins, newest last, limited to MAX_LOGIN_HISTORY
+    loginHistory: [loginEventSchema],
+    // Failed password and two-factor attempts since the last successful login
+    failedLoginAttempts: {
+      type: Number,
+      default: 0,
+    },
+    lastFailedLoginAt: {
+      type: Date,
+    },
+    // Logins are refused until this time, see recordFailedLogin
+    lockedUntil: {
+      type: Date,
+      default: null,
+    },
     emailVerified: {
       type: Boolean,
       default: false,
     },
+    // SHA-256 hash of the emailed reset token, the token itself is never stored
     resetPasswordToken: {
       type: String,
     },
     resetPasswordExpires: {
       type: Date,
     },
-    // Device ID for tracking user devices
+    // Invite sent by an admin to a user who sets their own password
+    invite: {
+      status: {
+        type: String,
+        enum: ["pending", "accepted", "revoked"],
+      },
+      // SHA-256 hash of the emailed invite token, the token itself is never stored
+      token: {
+        type: String,
+      },
+      expiresAt: {
+        type: Date,
+      },
+      sentAt: {
+        type: Date,
+      },
+      invitedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+      acceptedAt: {
+        type: Date,
+      },
+    },
+    termsAcceptedAt: {
+      type: Date,
+    },
+    // TOTP two-factor authentication for web logins
+    twoFactor: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      secret: {
+        type: String,
+      },
+      // Time step of the last accepted code, so a code cannot be used twice
+      lastUsedStep: {
+        type: Number,
+      },
+      // SHA-256 hashes of the unused recovery codes
+      recoveryCodes: [String],
+      enabledAt: {
+        type: Date,
+      },
+    },
+    // Remaining email credits, every change is recorded in the CreditTransaction ledger
+    creditBalance: {
+      type: Number,
+      default: 0,
+      min: [0, "Credit balance cannot be negative"],
+    },
+    // Devices registered for the desktop application, limited by Package.maxDevices
+    devices: [deviceSchema],
+    // History of released devices, self-service releases count towards the transfer limit
+    deviceTransfers: [deviceTransferSchema],
+    // Legacy single device binding, moved into devices when the user is loaded
     registeredDeviceId: {
       type: String,
       default: null,
@@ -92,6 +302,25 @@ userSchema.index({ isActive: 1, role: 1 })
 userSchema.index({ packageEndDate: 1, isActive: 1 })
 userSchema.index({ "package": 1, "isActive": 1 })
 
+// Move the legacy single device binding into the devices list
+userSchema.post("init", function () {
+  if (this.registeredDeviceId && this.devices) {
+    if (!this.findDevice(this.registeredDeviceId)) {
+      this.devices.push({
+        deviceId: this.registeredDeviceId,
+        firstSeenAt: this.lastLogin || this.createdAt,
+        lastSeenAt: this.lastLogin || this.createdAt,
+      })
+    }
+    this.registeredDeviceId = null
+  }
+})
+
+// Remember the stored password hash, which goes into the history when the password changes
+userSchema.post("init", function () {
+  this.$locals.passwordHash = this.password
+})
+
 // Pre-save hook to hash password
 userSchema.pre("save", async function (next) {
   // Only hash the password if it has been modified (or is new)
@@ -101,6 +330,12 @@ userSchema.pre("save", async function (next) {
     // Hash password with cost of 12
     const salt = await bcrypt.genSalt(12)
     this.password = await bcrypt.hash(this.password, salt)
+
+    const { historySize } = passwordPolicy.getPasswordPolicy()
+    const previous = this.$locals.passwordHash ? [this.$locals.passwordHash] : []
+    this.passwordHistory = previous.concat(this.passwordHistory || []).slice(0, historySize)
+    this.passwordChangedAt = new Date()
+    this.$locals.passwordHash = this.password
     next()
   } catch (error) {
     next(error)
@@ -109,6 +344,9 @@ userSchema.pre("save", async function (next) {
 
 // Instance method to check password
 userSchema.methods.comparePassword = async function (candidatePassword) {
+  // Invited users cannot log in until they have chosen a password
+  if (!this.password) return false
+
   try {
     return await bcrypt.compare(candidatePassword, this.password)
   } catch (error) {
@@ -116,6 +354,38 @@ userSchema.methods.comparePassword = async function (candidatePassword) {
   }
 }
 
+// Instance method to check a new password against the whole policy, including the password history
+// Returns the first problem, or null when the password may be used
+userSchema.methods.checkNewPassword = async function (password) {
+  const problems = passwordPolicy.validatePassword(password, this)
+  if (problems.length > 0) {
+    return problems[0]
+  }
+
+  const { historySize } = passwordPolicy.getPasswordPolicy()
+  if (historySize > 0) {
+    const current = this.$locals.passwordHash || this.password
+    const hashes = [current].concat((this.passwordHistory || []).slice(0, historySize)).filter(Boolean)
+
+    for (const hash of hashes) {
+      if (await bcrypt.compare(password, hash)) {
+        return "Please choose a password you have not used recently"
+      }
+    }
+  }
+
+  return null
+}
+
+// Instance method to check if the password is older than the maximum password age
+userSchema.methods.isPasswordExpired = function () {
+  const { maxAgeDays } = passwordPolicy.getPasswordPolicy()
+  if (maxAgeDays === 0) return false
+
+  const changedAt = this.passwordChangedAt || this.createdAt
+  return Boolean(changedAt) && Date.now() - changedAt.getTime() > maxAgeDays * 24 * 60 * 60 * 1000
+}
+
 // Instance method to check if user's package is valid
 userSchema.methods.isPackageValid = function () {
   const now = new Date()
@@ -127,6 +397,310 @@ userSchema.methods.isAdmin = function () {
   return this.role === "admin"
 }
 
+// Instance method to find a registered device
+userSchema.methods.findDevice = function (deviceId) {
+  return this.devices.find((device) => device.deviceId === deviceId) || null
+}
+
+// Instance method to get how many devices the user may register
+userSchema.methods.getMaxDevices = function () {
+  return this.package && this.package.maxDevices ? this.package.maxDevices : 1
+}
+
+// Instance method to register a device, or refresh it if it is already known
+// The device list is changed with conditional updates rather than by saving the document, so
+// concurrent logins from new devices cannot register more than the device limit between them.
+// The copy in memory is kept in step without marking it modified, a later save leaves the list alone.
+// Returns null when the device is new and the device limit has been reached
+userSchema.methods.registerDevice = async function (deviceId, details = {}) {
+  const now = new Date()
+  const refresh = { lastSeenAt: now }
+  if (details.ip) refresh.lastIp = details.ip
+  if (details.name) refresh.name = details.name
+
+  // Store pending changes to the list first, e.g. a legacy device moved into it when loaded
+  if (this.isModified("devices")) {
+    await this.save()
+  }
+
+  const refreshStored = () => {
+    const update = {}
+    Object.keys(refresh).forEach((field) => {
+      update[`devices.$.${field}`] = refresh[field]
+    })
+    return this.constructor.updateOne({ _id: this._id, "devices.deviceId": deviceId }, { $set: update })
+  }
+
+  let stored = this.findDevice(deviceId) ? (await refreshStored()).matchedCount > 0 : false
+
+  if (!stored) {
+    // Only matches while the device is unknown and fewer than the allowed number are registered
+    const maxDevices = this.getMaxDevices()
+    const added = await this.constructor.updateOne(
+      { _id: this._id, "devices.deviceId": { $ne: deviceId }, [`devices.${maxDevices - 1}`]: { $exists: false } },
+      { $push: { devices: { deviceId, firstSeenAt: now, ...refresh } } },
+    )
+
+    // A concurrent login from the same device may have registered it first
+    stored = added.matchedCount > 0 || (await refreshStored()).matchedCount > 0
+  }
+
+  if (!stored) {
+    return null
+  }
+
+  const device = this.findDevice(deviceId)
+  if (device) {
+    Object.assign(device, refresh)
+  } else {
+    this.devices.push({ deviceId, firstSeenAt: now, ...refresh })
+  }
+  this.modifiedPaths()
+    .filter((path) => path === "devices" || path.startsWith("devices."))
+    .forEach((path) => this.unmarkModified(path))
+
+  return this.findDevice(deviceId)
+}
+
+// Instance method to remove a registered device
+userSchema.methods.removeDevice = function (deviceId) {
+  const device = this.findDevice(deviceId)
+
+  if (!device) {
+    return false
+  }
+
+  this.devices.pull(device)
+  return true
+}
+
+// Instance method to remove a device and record it in the transfer history
+userSchema.methods.releaseDevice = function (deviceId, details = {}) {
+  const device = this.findDevice(deviceId)
+
+  if (!device) {
+    return false
+  }
+
+  this.deviceTransfers.push({
+    deviceId: device.deviceId,
+    name: device.name,
+    releasedAt: new Date(),
+    initiatedBy: details.initiatedBy || "user",
+    performedBy: details.performedBy || null,
+    ip: details.ip || null,
+  })
+
+  return this.removeDevice(deviceId)
+}
+
+// Instance method to check whether the user may release a device themselves
+// Limits are configurable, e.g. one transfer per 30 days; a limit of 0 turns self-service transfers off
+userSchema.methods.getDeviceTransferAllowance = function () {
+  const configuredLimit = Number.parseInt(process.env.DEVICE_TRANSFER_LIMIT)
+  const limit = Number.isNaN(configuredLimit) ? 1 : Math.max(configuredLimit, 0)
+  const windowDays = Number.parseInt(process.env.DEVICE_TRANSFER_WINDOW_DAYS) || 30
+  const windowStart = new Date(Date.now() - windowDays * 24 * 60 * 60 * 1000)
+
+  const recent = this.deviceTransfers
+    .filter((transfer) => transfer.initiatedBy === "user" && transfer.releasedAt > windowStart)
+    .sort((a, b) => a.releasedAt - b.releasedAt)
+
+  const remaining = Math.max(limit - recent.length, 0)
+
+  // The oldest transfer in the window is the next one to drop out of it
+  const nextAvailableAt = remaining > 0 || limit === 0
+    ? null
+    : new Date(recent[recent.length - limit].releasedAt.getTime() + windowDays * 24 * 60 * 60 * 1000)
+
+  return {
+    allowed: remaining > 0,
+    remaining,
+    limit,
+    windowDays,
+    nextAvailableAt,
+  }
+}
+
+// Instance method to build the user payload returned to the desktop application
+userSchema.methods.toDesktopProfile = function () {
+  return {
+    id: this._id,
+    username: this.username,
+    email: this.email,
+    role: this.role,
+    isActive: this.isActive,
+    package: this.package ? {
+      id: this.package._id,
+      name: this.package.name,
+      emailCredits: this.package.emailCredits,
+      concurrencyLimit: this.package.concurrencyLimit,
+      maxDevices: this.package.maxDevices
+    } : null,
+    packageEndDate: this.packageEndDate,
+    creditBalance: this.creditBalance,
+    entitlements: this.getEntitlements()
+  }
+}
+
+// Instance method to get the entitlements the desktop application should unlock
+// Admins without a package get every entitlement
+userSchema.methods.getEntitlements = function () {
+  if (this.package && this.package.getEntitlements) {
+    return this.package.getEntitlements()
+  }
+  return this.isAdmin() ? resolveAllEntitlements() : resolveEntitlements()
+}
+
+// Instance method to check if the user's package requires signed desktop API requests
+userSchema.methods.requiresRequestSigning = function () {
+  return Boolean(this.package && this.package.requireRequestSigning)
+}
+
+// Instance method to start a password reset, returns the raw token for the emailed link
+userSchema.methods.createPasswordResetToken = function () {
+  const token = crypto.randomBytes(32).toString("hex")
+  const ttlMinutes = Number.parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 60
+
+  this.resetPasswordToken = crypto.createHash("sha256").update(token).digest("hex")
+  this.resetPasswordExpires = new Date(Date.now() + ttlMinutes * 60 * 1000)
+
+  return { token, ttlMinutes }
+}
+
+// Instance method to invite the user to set their own password, replacing any earlier invite
+// Returns the raw token for the emailed link; only its hash is stored
+userSchema.methods.createInviteToken = function (invitedBy) {
+  const token = crypto.randomBytes(32).toString("hex")
+  const ttlHours = getInviteTtlHours()
+
+  this.invite.status = "pending"
+  this.invite.token = crypto.createHash("sha256").update(token).digest("hex")
+  this.invite.expiresAt = new Date(Date.now() + ttlHours * 60 * 60 * 1000)
+  this.invite.sentAt = new Date()
+  this.invite.invitedBy = invitedBy
+  this.invite.acceptedAt = undefined
+
+  return { token, ttlHours }
+}
+
+// Instance method to get the state of the user's invite: pending, expired, accepted, revoked, or null when never invited
+userSchema.methods.getInviteStatus = function () {
+  if (!this.invite || !this.invite.status) return null
+  if (this.invite.status === "pending" && !(this.invite.expiresAt > new Date())) return "expired"
+  return this.invite.status
+}
+
+// Instance method to cancel a pending invite so its link stops working
+userSchema.methods.revokeInvite = function () {
+  this.invite.status = "revoked"
+  this.invite.token = undefined
+  this.invite.expiresAt = undefined
+}
+
+// Instance method to check if the user must verify their email address before logging in
+userSchema.methods.mustVerifyEmail = function () {
+  return !this.emailVerified && !this.isAdmin() && Boolean(this.package && this.package.requireEmailVerification)
+}
+
+// Instance method to check if the global policy requires this user to set up two-factor authentication
+userSchema.methods.mustEnrollTwoFactor = function () {
+  return !this.twoFactor.enabled && totp.isTwoFactorRequired(this.role)
+}
+
+// Instance method to turn on two-factor authentication once the user proves their app works;
+// returns the new recovery codes, or null when the code is wrong
+userSchema.methods.enableTwoFactor = function (secret, code) {
+  const step = totp.verifyCode(secret, code)
+  if (step === null) {
+    return null
+  }
+
+  this.twoFactor.enabled = true
+  this.twoFactor.secret = secret
+  this.twoFactor.lastUsedStep = step
+  this.twoFactor.enabledAt = new Date()
+  return this.regenerateRecoveryCodes()
+}
+
+// Instance method to replace the recovery codes, returns the new codes
+userSchema.methods.regenerateRecoveryCodes = function () {
+  const codes = totp.generateRecoveryCodes()
+  this.twoFactor.recoveryCodes = codes.map(totp.hashRecoveryCode)
+  return codes
+}
+
+// Instance method to check an authenticator or recovery code; used codes are spent, the caller saves the user
+// Returns "totp" or "recovery" for the kind of code accepted, or null
+userSchema.methods.verifyTwoFactor = function (code) {
+  if (!this.twoFactor.enabled) {
+    return null
+  }
+
+  const lastUsedStep = this.twoFactor.lastUsedStep === undefined ? -1 : this.twoFactor.lastUsedStep
+  const step = totp.verifyCode(this.twoFactor.secret, code, lastUsedStep)
+  if (step !== null) {
+    this.twoFactor.lastUsedStep = step
+    return "totp"
+  }
+
+  const index = this.twoFactor.recoveryCodes.indexOf(totp.hashRecoveryCode(code))
+  if (index !== -1) {
+    this.twoFactor.recoveryCodes.splice(index, 1)
+    return "recovery"
+  }
+
+  return null
+}
+
+// Instance method to turn off two-factor authentication and forget the secret
+userSchema.methods.disableTwoFactor = function () {
+  this.twoFactor = { enabled: false, recoveryCodes: [] }
+}
+
+// Instance method to check if the account is locked after reaching the failed login threshold
+userSchema.methods.isLockedOut = function () {
+  return Boolean(this.lockedUntil && this.lockedUntil > new Date()) && this.failedLoginAttempts >= getLockoutThreshold()
+}
+
+// Instance method to get the seconds until the next login attempt is accepted, 0 when it is accepted now
+userSchema.methods.getLoginRetryAfter = function () {
+  if (!this.lockedUntil) {
+    return 0
+  }
+  return Math.max(0, Math.ceil((this.lockedUntil - Date.now()) / 1000))
+}
+
+// Instance method to describe why a login attempt is refused, null when it is not
+userSchema.methods.getLoginBlockedMessage = function () {
+  const retryAfter = this.getLoginRetryAfter()
+
+  if (retryAfter === 0) {
+    return null
+  }
+
+  if (this.isLockedOut()) {
+    const minutes = Math.ceil(retryAfter / 60)
+    return `This account is temporarily locked after too many failed login attempts. Please try again in ${minutes} minute(s) or reset your password.`
+  }
+
+  return `Too many failed login attempts. Please wait ${retryAfter} second(s) and try again.`
+}
+
+// Instance method to add a successful login to the history, the caller saves the user
+userSchema.methods.recordLogin = function ({ client, ip = null, userAgent = null, deviceId = null }) {
+  this.loginHistory.push({ success: true, client, ip, userAgent: userAgent ? userAgent.slice(0, 300) : null, deviceId })
+  if (this.loginHistory.length > MAX_LOGIN_HISTORY) {
+    this.loginHistory.splice(0, this.loginHistory.length - MAX_LOGIN_HISTORY)
+  }
+}
+
+// Instance method to forget failed logins, after a successful login or when an admin unlocks the account
+userSchema.methods.resetLoginFailures = function () {
+  this.failedLoginAttempts = 0
+  this.lockedUntil = null
+}
+
 // Instance method to get days until package expires
 userSchema.methods.getDaysUntilExpiry = function () {
   const now = new Date()
@@ -152,23 +726,117 @@ userSchema.statics.findExpiredUsers = function () {
   }).populate("package")
 }
 
+// Static method to find the active user a password reset token belongs to, if it has not expired
+userSchema.statics.findByPasswordResetToken = function (token) {
+  return this.findOne({
+    resetPasswordToken: crypto.createHash("sha256").update(String(token)).digest("hex"),
+    resetPasswordExpires: { $gt: new Date() },
+    isActive: true,
+  })
+}
+
+// Static method to use a password reset token once; clears it atomically so a second use finds nothing
+userSchema.statics.consumePasswordResetToken = function (token) {
+  return this.findOneAndUpdate(
+    {
+      resetPasswordToken: crypto.createHash("sha256").update(String(token)).digest("hex"),
+      resetPasswordExpires: { $gt: new Date() },
+      isActive: true,
+    },
+    { $unset: { resetPasswordToken: 1, resetPasswordExpires: 1 } },
+  )
+}
+
+// Static method to find the active user a pending invite token belongs to, if it has not expired
+userSchema.statics.findByInviteToken = function (token) {
+  return this.findOne({
+    "invite.token": crypto.createHash("sha256").update(String(token)).digest("hex"),
+    "invite.status": "pending",
+    "invite.expiresAt": { $gt: new Date() },
+    isActive: true,
+  })
+}
+
+// Static method to accept an invite once; marks it accepted atomically so a second use finds nothing
+userSchema.statics.acceptInvite = function (token) {
+  return this.findOneAndUpdate(
+    {
+      "invite.token": crypto.createHash("sha256").update(String(token)).digest("hex"),
+      "invite.status": "pending",
+      "invite.expiresAt": { $gt: new Date() },
+      isActive: true,
+    },
+    {
+      $set: { "invite.status": "accepted", "invite.acceptedAt": new Date() },
+      $unset: { "invite.token": 1, "invite.expiresAt": 1 },
+    },
+    { new: true },
+  )
+}
+
+// Static method to mark an address verified; matching on the email ignores links sent to a previous address
+userSchema.statics.markEmailVerified = function (userId, email) {
+  return this.findOneAndUpdate({ _id: userId, email }, { emailVerified: true }, { new: true })
+}
+
+// Static method to count a failed login, add it to the history and delay the next attempt
+// Attempts below the threshold wait 1, 2, 4... seconds; reaching it locks the account for
+// LOGIN_LOCKOUT_MINUTES, doubling with every further failure up to a day.
+// The counter is incremented atomically, so parallel guesses from many IPs are all counted.
+userSchema.statics.recordFailedLogin = async function (userId, { client, ip = null, userAgent = null, deviceId = null }) {
+  const now = new Date()
+  const event = { at: now, success: false, client, ip, userAgent: userAgent ? userAgent.slice(0, 300) : null, deviceId }
+  const user = await this.findByIdAndUpdate(
+    userId,
+    {
+      $inc: { failedLoginAttempts: 1 },
+      $set: { lastFailedLoginAt: now },
+      $push: { loginHistory: { $each: [event], $slice: -MAX_LOGIN_HISTORY } },
+    },
+    { new: true, projection: { failedLoginAttempts: 1 } },
+  )
+
+  if (!user) {
+    return null
+  }
+
+  const attempts = user.failedLoginAttempts
+  const threshold = getLockoutThreshold()
+  const locked = attempts >= threshold
+  const delayMs = locked
+    ? Math.min(getLockoutMinutes() * 60 * 1000 * 2 ** (attempts - threshold), MAX_LOCKOUT_MS)
+    : 1000 * 2 ** (attempts - 1)
+  const lockedUntil = new Date(now.getTime() + delayMs)
+
+  // $max keeps the later time when parallel failures finish out of order
+  await this.updateOne({ _id: userId }, { $max: { lockedUntil } })
+  return { attempts, locked, lockedUntil }
+}
+
 // Static method to create admin user if none exists
 userSchema.statics.createDefaultAdmin = async function () {
   try {
     const adminExists = await this.findOne({ role: "admin" })
 
     if (!adminExists) {
+      // A fixed default password would be refused by the password policy, so one is generated unless it is configured
+      const password = process.env.DEFAULT_ADMIN_PASSWORD || crypto.randomBytes(12).toString("base64url")
+
       const adminUser = new this({
         username: "admin",
         email: "admin@example.com",
-        password: "admin123", // This will be hashed by the pre-save hook
+        password, // This will be hashed by the pre-save hook
         role: "admin",
         isActive: true,
         emailVerified: true,
       })
 
       await adminUser.save()
-      console.log("Default admin user created: admin@example.com / admin123")
+      console.log(
+        process.env.DEFAULT_ADMIN_PASSWORD
+          ? "Default admin user created: admin@example.com with the password from DEFAULT_ADMIN_PASSWORD"
+          : `Default admin user created: admin@example.com / ${password}`,
+      )
     }
   } catch (error) {
     console.error("Error creating default admin:", error)
@@ -183,7 +851,8 @@ userSchema.statics.findUsersWithFilters = async function(filters = {}, options =
     search = "",
     roleFilter = "",
     statusFilter = "",
-    packageFilter = ""
+    packageFilter = "",
+    verificationFilter = ""
   } = options;
 
   const skip = (page - 1) * limit;
@@ -218,6 +887,11 @@ userSchema.statics.findUsersWithFilters = async function(filters = {}, options =
     const nextWeek = new Date();
     nextWeek.setDate(nextWeek.getDate() + 7);
     query.packageEndDate = { $gte: new Date(), $lte: nextWeek };
+  } else if (statusFilter === "invited") {
+    query["invite.status"] = "pending";
+  } else if (statusFilter === "locked") {
+    query.lockedUntil = { $gt: new Date() };
+    query.failedLoginAttempts = { $gte: getLockoutThreshold() };
   }
 
   // Filter by package
@@ -225,6 +899,13 @@ userSchema.statics.findUsersWithFilters = async function(filters = {}, options =
     query.package = packageFilter;
   }
 
+  // Filter by email verification
+  if (verificationFilter === "verified") {
+    query.emailVerified = true;
+  } else if (verificationFilter === "unverified") {
+    query.emailVerified = { $ne: true };
+  }
+
   // Execute query with pagination
   const [users, total] = await Promise.all([
     this.find(query)
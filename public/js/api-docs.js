@@ -0,0 +1,76 @@
+// Sends requests from the API documentation page
+
+document.addEventListener("DOMContentLoaded", () => {
+  const tokenInput = document.getElementById("api-docs-token")
+  const deviceInput = document.getElementById("api-docs-device")
+  const baseUrl = "/api/v1"
+
+  document.querySelectorAll(".api-operation").forEach((operation) => {
+    const button = operation.querySelector("[data-api-docs-send]")
+    const output = operation.querySelector("[data-api-docs-output]")
+    const method = operation.dataset.method.toUpperCase()
+
+    button.addEventListener("click", async () => {
+      const headers = { "Content-Type": "application/json" }
+      if (tokenInput.value.trim()) headers.Authorization = `Bearer ${tokenInput.value.trim()}`
+      if (deviceInput.value.trim()) headers["X-Device-ID"] = deviceInput.value.trim()
+
+      let url = `${baseUrl}${operation.dataset.path}`
+      let body
+
+      if (method === "GET") {
+        const query = new URLSearchParams()
+        operation.querySelectorAll("[data-query]").forEach((input) => {
+          if (input.value.trim()) query.set(input.dataset.query, input.value.trim())
+        })
+        if (query.toString()) url += `?${query}`
+      } else {
+        body = operation.querySelector(".api-docs-body").value
+        try {
+          JSON.parse(body)
+        } catch (error) {
+          output.hidden = false
+          output.textContent = `The request body is not valid JSON: ${error.message}`
+          return
+        }
+      }
+
+      button.disabled = true
+      output.hidden = false
+      output.textContent = "Sending..."
+
+      try {
+        const response = await fetch(url, { method, headers, body })
+        const text = await response.text()
+        let data = null
+
+        try {
+          data = JSON.parse(text)
+        } catch (error) {
+          data = text
+        }
+
+        // Keep the token from a login or refresh for the next requests
+        if (data && data.token) {
+          tokenInput.value = data.token
+        }
+
+        // The device of a login is the one its tokens are bound to
+        if (data && data.token && operation.dataset.path === "/login") {
+          deviceInput.value = JSON.parse(body).device_id || ""
+        }
+
+        output.textContent = [
+          `${response.status} ${response.statusText}`,
+          `X-Request-ID: ${response.headers.get("X-Request-ID") || "-"}`,
+          "",
+          typeof data === "string" ? data : JSON.stringify(data, null, 2),
+        ].join("\n")
+      } catch (error) {
+        output.textContent = `Request failed: ${error.message}`
+      } finally {
+        button.disabled = false
+      }
+    })
+  })
+})
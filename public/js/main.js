@@ -46,16 +46,17 @@ document.addEventListener("DOMContentLoaded", () => {
     })
   })
 
-  // Password strength indicator
+  // Password strength indicator, using the password policy from the data-strength attribute
   const passwordInputs = document.querySelectorAll('input[type="password"][data-strength]')
   passwordInputs.forEach((input) => {
+    const policy = readPasswordPolicy(input)
     const indicator = document.createElement("div")
     indicator.className = "password-strength"
     input.parentNode.appendChild(indicator)
 
     input.addEventListener("input", function () {
-      const strength = calculatePasswordStrength(this.value)
-      indicator.textContent = `Password strength: ${strength.label}`
+      const strength = calculatePasswordStrength(this.value, policy, getFormAccount(this.form))
+      indicator.textContent = strength.problem || `Password strength: ${strength.label}`
       indicator.className = `password-strength ${strength.class}`
     })
   })
@@ -75,14 +76,58 @@ function showAlert(message, type = "info") {
   }, 5000)
 }
 
-function calculatePasswordStrength(password) {
-  let score = 0
+// Character classes of the password policy, as in config/passwordPolicy.js
+const PASSWORD_CHARACTER_CLASSES = [
+  { label: "lowercase letters", pattern: /[a-z]/ },
+  { label: "uppercase letters", pattern: /[A-Z]/ },
+  { label: "numbers", pattern: /[0-9]/ },
+  { label: "symbols", pattern: /[^a-zA-Z0-9]/ },
+]
+
+function readPasswordPolicy(input) {
+  const defaults = { minLength: 8, minCharacterClasses: 2 }
+  try {
+    return { ...defaults, ...JSON.parse(input.dataset.strength || "{}") }
+  } catch (error) {
+    return defaults
+  }
+}
+
+// Username and email entered in the same form, which the password may not contain
+function getFormAccount(form) {
+  const field = (name) => (form && form.elements[name] ? form.elements[name].value : "")
+  return { username: field("username"), email: field("email") }
+}
+
+// Check the rules of the password policy the browser can check; the server also checks
+// the common password blocklist and the password history
+function checkPasswordPolicy(password, policy, account) {
+  const classCount = PASSWORD_CHARACTER_CLASSES.filter((item) => item.pattern.test(password)).length
+  const personalTerms = [account.username, account.email.split("@")[0]].filter((term) => term.length >= 3)
+
+  if (password.length < policy.minLength) {
+    return `Password must be at least ${policy.minLength} characters long`
+  }
+  if (classCount < policy.minCharacterClasses) {
+    return `Password must contain at least ${policy.minCharacterClasses} of: ${PASSWORD_CHARACTER_CLASSES.map((item) => item.label).join(", ")}`
+  }
+  if (personalTerms.some((term) => password.toLowerCase().includes(term.toLowerCase()))) {
+    return "Password cannot contain your username or email address"
+  }
+  return null
+}
+
+function calculatePasswordStrength(password, policy, account) {
+  const problem = checkPasswordPolicy(password, policy, account)
+  if (problem) {
+    return { label: "Very Weak", class: "very-weak", problem }
+  }
+
+  // Passwords that meet the policy start at Fair
+  let score = 2
 
-  if (password.length >= 8) score++
-  if (password.match(/[a-z]/)) score++
-  if (password.match(/[A-Z]/)) score++
-  if (password.match(/[0-9]/)) score++
-  if (password.match(/[^a-zA-Z0-9]/)) score++
+  if (password.length >= policy.minLength + 4) score++
+  if (PASSWORD_CHARACTER_CLASSES.every((item) => item.pattern.test(password))) score++
 
   const levels = [
     { label: "Very Weak", class: "very-weak" },
@@ -2,14 +2,51 @@ const express = require("express")
 const { body, validationResult } = require("express-validator")
 const User = require("../models/User")
 const PackageModel = require("../models/Package")
+const CreditTransaction = require("../models/CreditTransaction")
+const SlotLease = require("../models/SlotLease")
+const DesktopToken = require("../models/DesktopToken")
+const Presence = require("../models/Presence")
+const UsageReport = require("../models/UsageReport")
+const ApiKey = require("../models/ApiKey")
+const ClientRelease = require("../models/ClientRelease")
+const Registration = require("../models/Registration")
+const Setting = require("../models/Setting")
 const cache = require("../utils/cache")
 const { isAdmin } = require("../middleware/auth")
+const { securityLogger } = require("../middleware/monitoring")
+const { apiKeyValidationRules, passwordPolicyRule } = require("../middleware/security")
+const { signOutEverywhere, listUserSessions, destroyUserSession } = require("../utils/sessions")
+const { sendVerificationEmail, sendInviteEmail, sendRegistrationRejectedEmail } = require("../utils/emails")
+const { ENTITLEMENTS, validateEntitlementForm, parseEntitlementForm } = require("../config/entitlements")
+const { isValidVersion, compareVersions } = require("../utils/version")
 
 const router = express.Router()
 
 // Apply admin middleware to all routes
 router.use(isAdmin)
 
+// Send a verification link without failing the admin action when the mail transport is down
+const sendVerificationLink = async (user) => {
+  try {
+    await sendVerificationEmail(user)
+    return true
+  } catch (error) {
+    console.error("Verification email error:", error)
+    return false
+  }
+}
+
+// Email the invite link of a saved invite token, returns whether the email was sent
+const sendInviteLink = async (user, { token, ttlHours }) => {
+  try {
+    await sendInviteEmail(user, token, ttlHours)
+    return true
+  } catch (error) {
+    console.error("Invite email error:", error)
+    return false
+  }
+}
+
 // Admin users list with search and filtering
 router.get("/users", async (req, res) => {
   try {
@@ -20,6 +57,7 @@ router.get("/users", async (req, res) => {
     const roleFilter = req.query.role || ""
     const statusFilter = req.query.status || ""
     const packageFilter = req.query.package || ""
+    const verificationFilter = req.query.verified || ""
 
     // Create cache key for user stats
     const statsCacheKey = "userStats"
@@ -47,7 +85,8 @@ router.get("/users", async (req, res) => {
       search,
       roleFilter,
       statusFilter,
-      packageFilter
+      packageFilter,
+      verificationFilter
     })
 
     res.render("admin/users", {
@@ -65,6 +104,7 @@ router.get("/users", async (req, res) => {
       roleFilter: roleFilter,
       statusFilter: statusFilter,
       packageFilter: packageFilter,
+      verificationFilter: verificationFilter,
       success: req.query.success || null,
       error: req.query.error || null,
       csrfToken: res.locals.csrfToken,
@@ -86,6 +126,41 @@ router.get("/users", async (req, res) => {
   }
 })
 
+// Users currently running the desktop application
+router.get("/online", async (req, res) => {
+  try {
+    const sessions = await Presence.getOnline()
+
+    // Skip sessions of users that were deleted since their last heartbeat
+    const onlineSessions = sessions.filter((session) => session.user)
+    const onlineUsers = new Set(onlineSessions.map((session) => session.user._id.toString())).size
+
+    res.render("admin/online", {
+      title: "Online Users",
+      sessions: onlineSessions,
+      onlineUsers: onlineUsers,
+      timeoutSeconds: Presence.getOnlineTimeoutSeconds(),
+      success: req.query.success || null,
+      error: req.query.error || null,
+      csrfToken: res.locals.csrfToken,
+      layout: "layouts/dashboard"
+    })
+  } catch (error) {
+    console.error("Admin online users error:", error)
+    res.status(500).render("error", {
+      title: "Error",
+      error: {
+        status: 500,
+        message: "An error occurred while loading online users.",
+      },
+      isAuthenticated: false,
+      isAdmin: false,
+      currentUser: null,
+      layout: "layouts/main"
+    })
+  }
+})
+
 // Clear cache when users are modified
 router.post("/users/bulk-action", async (req, res) => {
   try {
@@ -105,11 +180,19 @@ router.post("/users/bulk-action", async (req, res) => {
 
       case "deactivate":
         await User.updateMany({ _id: { $in: userIds } }, { isActive: false })
+        // End existing logins right away instead of waiting for the next status check
+        await signOutEverywhere(userIds, { reason: "account_deactivated", exceptSessionId: req.sessionID })
         // Clear user stats cache
         cache.delete("userStats")
         res.redirect("/admin/users?success=Selected users deactivated successfully")
         break
 
+      case "signout":
+        const signedOut = await signOutEverywhere(userIds, { exceptSessionId: req.sessionID })
+        securityLogger.logAdminAction(req, "SIGN_OUT_EVERYWHERE", userIds.join(","))
+        res.redirect(`/admin/users?success=Signed out ${signedOut.sessions} web session(s) and revoked ${signedOut.tokens} desktop token(s)`)
+        break
+
       case "delete":
         // Check if any selected users are admins
         const adminUsers = await User.find({
@@ -141,7 +224,9 @@ router.post("/users/bulk-action", async (req, res) => {
 
 router.get("/users/view/:id", async (req, res) => {
   try {
-    const user = await User.findById(req.params.id).populate("package")
+    const user = await User.findById(req.params.id)
+      .populate("package")
+      .populate("deviceTransfers.performedBy", "username")
 
     if (!user) {
       return res.status(404).render("error", {
@@ -164,10 +249,38 @@ router.get("/users/view/:id", async (req, res) => {
       daysSinceLastLogin: user.lastLogin ? Math.floor((new Date() - user.lastLogin) / (1000 * 60 * 60 * 24)) : null,
     }
 
+    const [creditHistory, slotLeases, usageTotals, apiKeys, webSessions] = await Promise.all([
+      CreditTransaction.getHistory(user._id),
+      SlotLease.getActiveLeases(user._id),
+      UsageReport.getUserTotals(user._id),
+      ApiKey.findActiveForUser(user._id),
+      listUserSessions(user._id, req.sessionID),
+    ])
+
+    // A newly created key is shown once, right after creation
+    const newApiKey = req.session.newApiKey || null
+    delete req.session.newApiKey
+
+    const slotUsage = {
+      inUse: slotLeases.reduce((total, lease) => total + lease.slots, 0),
+      limit: user.package ? user.package.concurrencyLimit : 0,
+      leases: slotLeases,
+    }
+
     res.render("admin/view-user", {
       title: `User Details - ${user.username}`,
       user: user,
       userStats: userStats,
+      creditHistory: creditHistory,
+      slotUsage: slotUsage,
+      usageTotals: usageTotals,
+      apiKeys: apiKeys,
+      apiKeyScopes: ApiKey.SCOPES,
+      newApiKey: newApiKey,
+      webSessions: webSessions,
+      success: req.query.success || null,
+      error: req.query.error || null,
+      csrfToken: res.locals.csrfToken,
       layout: "layouts/dashboard"
     })
   } catch (error) {
@@ -231,7 +344,8 @@ router.post(
       .matches(/^[a-zA-Z0-9_]+$/)
       .withMessage("Username must be 3-20 characters and contain only letters, numbers, and underscores"),
     body("email").isEmail().normalizeEmail().withMessage("Please enter a valid email address"),
-    body("password").isLength({ min: 6 }).withMessage("Password must be at least 6 characters long"),
+    // Invited users choose their own password
+    passwordPolicyRule("password", body("sendInvite").not().equals("true")),
     body("package").isMongoId().withMessage("Please select a valid package"),
     body("packageEndDate").isISO8601().withMessage("Please enter a valid end date"),
   ],
@@ -260,6 +374,7 @@ router.post(
       }
 
       const { username, email, password, package: packageId, packageEndDate } = req.body
+      const invite = req.body.sendInvite === "true"
 
       // Check if user already exists
       const existingUser = await User.findOne({
@@ -294,22 +409,46 @@ router.post(
       const newUser = new User({
         username,
         email,
-        password,
+        password: invite ? undefined : password,
         role: "user", // Always create as user
         package: packageId,
         packageStartDate: new Date(),
         packageEndDate: new Date(packageEndDate),
         isActive: true,
-        emailVerified: true,
       })
 
+      const inviteToken = invite ? newUser.createInviteToken(req.user._id) : null
+
       await newUser.save()
+      // The invite link also verifies the address
+      const emailSent = invite ? await sendInviteLink(newUser, inviteToken) : await sendVerificationLink(newUser)
+
+      // Start the user with the credits included in their package
+      if (selectedPackage.emailCredits > 0) {
+        await CreditTransaction.grant(newUser._id, selectedPackage.emailCredits, {
+          note: `Initial ${selectedPackage.name} package credits`,
+          createdBy: req.user._id,
+        })
+      }
       
       // Clear caches
       cache.delete("userStats")
       cache.delete("activePackages")
 
-      res.redirect("/admin/users?success=User created successfully")
+      if (invite) {
+        securityLogger.logAdminAction(req, "INVITE_USER", newUser.username)
+        return res.redirect(
+          emailSent
+            ? "/admin/users?success=User invited. An invite link was sent to their email address."
+            : "/admin/users?error=User created, but the invite email could not be sent. Resend it from the user's page.",
+        )
+      }
+
+      res.redirect(
+        emailSent
+          ? "/admin/users?success=User created successfully. A verification link was sent to their email address."
+          : "/admin/users?error=User created, but the verification email could not be sent",
+      )
     } catch (error) {
       console.error("Create user error:", error)
       
@@ -395,6 +534,7 @@ router.post(
       .matches(/^[a-zA-Z0-9_]+$/)
       .withMessage("Username must be 3-20 characters and contain only letters, numbers, and underscores"),
     body("email").isEmail().normalizeEmail().withMessage("Please enter a valid email address"),
+    passwordPolicyRule().optional({ values: "falsy" }),
     body("role").isIn(["user", "admin"]).withMessage("Invalid role selected"),
     body("package").isMongoId().withMessage("Please select a valid package"),
     body("packageEndDate").isISO8601().withMessage("Please enter a valid end date"),
@@ -461,23 +601,72 @@ router.post(
 
       // Update user fields
       user.username = username
-      user.email = email
+      // A new address has to be verified again
+      const emailChanged = user.email !== email
+      if (emailChanged) {
+        user.email = email
+        user.emailVerified = false
+      }
       user.role = role
+      // A new package or a later end date starts a new credit period
+      const newPeriod =
+        String(user.package) !== String(packageId) ||
+        !user.packageEndDate ||
+        new Date(packageEndDate) > user.packageEndDate
       user.package = packageId
       user.packageEndDate = new Date(packageEndDate)
+      const wasActive = user.isActive
       user.isActive = isActive === "true"
 
       // Update password if provided
       if (password && password.trim() !== "") {
+        const passwordProblem = await user.checkNewPassword(password)
+
+        if (passwordProblem) {
+          return res.render("admin/edit-user", {
+            title: "Edit User",
+            user: user,
+            packages: packages,
+            error: passwordProblem,
+            csrfToken: res.locals.csrfToken,
+            layout: "layouts/dashboard"
+          })
+        }
+
         user.password = password
+
+        // A password set by an admin replaces the invite
+        if (user.invite.status === "pending") {
+          user.revokeInvite()
+        }
       }
 
       await user.save()
-      
+
+      if (newPeriod) {
+        const selectedPackage = await PackageModel.findById(packageId)
+        if (selectedPackage) {
+          await CreditTransaction.startPackagePeriod(user._id, selectedPackage, { createdBy: req.user._id })
+          securityLogger.logAdminAction(req, "START_PACKAGE_PERIOD", user.username)
+        }
+      }
+
+      // End existing logins of a deactivated user right away
+      if (wasActive && !user.isActive) {
+        await signOutEverywhere(user._id, { reason: "account_deactivated", exceptSessionId: req.sessionID })
+      }
+
+      // Ask the user to verify a changed address
+      const verificationSent = !emailChanged || (await sendVerificationLink(user))
+
       // Clear caches
       cache.delete("userStats")
 
-      res.redirect("/admin/users?success=User updated successfully")
+      res.redirect(
+        verificationSent
+          ? "/admin/users?success=User updated successfully"
+          : "/admin/users?error=User updated, but the verification email could not be sent",
+      )
     } catch (error) {
       console.error("Update user error:", error)
       const user = await User.findById(req.params.id)
@@ -532,6 +721,176 @@ router.post("/users/delete/:id", async (req, res) => {
   }
 })
 
+// Sign a user out of every web session and desktop login
+router.post("/users/signout/:id", async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id)
+
+    if (!user) {
+      return res.redirect("/admin/users?error=User not found")
+    }
+
+    const signedOut = await signOutEverywhere(user._id, { exceptSessionId: req.sessionID })
+
+    securityLogger.logAdminAction(req, "SIGN_OUT_EVERYWHERE", user.username)
+
+    res.redirect(`/admin/users/view/${user._id}?success=Signed out ${signedOut.sessions} web session(s) and revoked ${signedOut.tokens} desktop token(s)`)
+  } catch (error) {
+    console.error("Sign out everywhere error:", error)
+    res.redirect(`/admin/users/view/${req.params.id}?error=An error occurred while signing the user out`)
+  }
+})
+
+// Sign a user out of one web session
+router.post("/users/revoke-session/:id", async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id)
+
+    if (!user) {
+      return res.redirect("/admin/users?error=User not found")
+    }
+
+    const revoked = await destroyUserSession(user._id, req.body.session)
+
+    if (!revoked) {
+      return res.redirect(`/admin/users/view/${user._id}?error=Session not found or already ended`)
+    }
+
+    securityLogger.logAdminAction(req, "REVOKE_WEB_SESSION", user.username)
+
+    res.redirect(`/admin/users/view/${user._id}?success=Web session signed out`)
+  } catch (error) {
+    console.error("Revoke web session error:", error)
+    res.redirect(`/admin/users/view/${req.params.id}?error=An error occurred while signing out the session`)
+  }
+})
+
+// Unlock an account locked after failed logins
+router.post("/users/unlock/:id", async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id)
+
+    if (!user) {
+      return res.redirect("/admin/users?error=User not found")
+    }
+
+    user.resetLoginFailures()
+    await user.save()
+
+    securityLogger.logAdminAction(req, "UNLOCK_ACCOUNT", user.username)
+
+    res.redirect(`/admin/users?success=Account ${user.username} unlocked`)
+  } catch (error) {
+    console.error("Unlock account error:", error)
+    res.redirect("/admin/users?error=An error occurred while unlocking the account")
+  }
+})
+
+// Turn off two-factor authentication for a user who lost their authenticator and recovery codes
+router.post("/users/reset-two-factor/:id", async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id)
+
+    if (!user) {
+      return res.redirect("/admin/users?error=User not found")
+    }
+
+    if (!user.twoFactor.enabled) {
+      return res.redirect(`/admin/users/view/${user._id}?error=Two-factor authentication is not on for this user`)
+    }
+
+    user.disableTwoFactor()
+    await user.save()
+
+    securityLogger.logAdminAction(req, "RESET_TWO_FACTOR", user.username)
+
+    res.redirect(`/admin/users/view/${user._id}?success=Two-factor authentication was reset. ${user.username} can now log in with their password and set it up again.`)
+  } catch (error) {
+    console.error("Reset two-factor error:", error)
+    res.redirect(`/admin/users/view/${req.params.id}?error=An error occurred while resetting two-factor authentication`)
+  }
+})
+
+// Send a user a new email verification link
+router.post("/users/resend-verification/:id", async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id)
+
+    if (!user) {
+      return res.redirect("/admin/users?error=User not found")
+    }
+
+    if (user.emailVerified) {
+      return res.redirect(`/admin/users/view/${user._id}?error=This email address is already verified`)
+    }
+
+    if (!(await sendVerificationLink(user))) {
+      return res.redirect(`/admin/users/view/${user._id}?error=The verification email could not be sent`)
+    }
+
+    securityLogger.logAdminAction(req, "RESEND_VERIFICATION", user.username)
+
+    res.redirect(`/admin/users/view/${user._id}?success=Verification link sent to ${user.email}`)
+  } catch (error) {
+    console.error("Resend verification error:", error)
+    res.redirect(`/admin/users/view/${req.params.id}?error=An error occurred while sending the verification link`)
+  }
+})
+
+// Send a new invite link to a user who has not set a password yet; earlier links stop working
+router.post("/users/resend-invite/:id", async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id)
+
+    if (!user) {
+      return res.redirect("/admin/users?error=User not found")
+    }
+
+    if (user.password) {
+      return res.redirect(`/admin/users/view/${user._id}?error=This user has already set a password`)
+    }
+
+    const inviteToken = user.createInviteToken(req.user._id)
+    await user.save()
+
+    if (!(await sendInviteLink(user, inviteToken))) {
+      return res.redirect(`/admin/users/view/${user._id}?error=The invite email could not be sent`)
+    }
+
+    securityLogger.logAdminAction(req, "RESEND_INVITE", user.username)
+
+    res.redirect(`/admin/users/view/${user._id}?success=Invite link sent to ${user.email}`)
+  } catch (error) {
+    console.error("Resend invite error:", error)
+    res.redirect(`/admin/users/view/${req.params.id}?error=An error occurred while sending the invite`)
+  }
+})
+
+// Cancel a pending invite so its link stops working
+router.post("/users/revoke-invite/:id", async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id)
+
+    if (!user) {
+      return res.redirect("/admin/users?error=User not found")
+    }
+
+    if (user.invite.status !== "pending") {
+      return res.redirect(`/admin/users/view/${user._id}?error=This user has no pending invite`)
+    }
+
+    user.revokeInvite()
+    await user.save()
+
+    securityLogger.logAdminAction(req, "REVOKE_INVITE", user.username)
+
+    res.redirect(`/admin/users/view/${user._id}?success=Invite revoked`)
+  } catch (error) {
+    console.error("Revoke invite error:", error)
+    res.redirect(`/admin/users/view/${req.params.id}?error=An error occurred while revoking the invite`)
+  }
+})
+
 // Reset user device registration
 router.post("/users/reset-device/:id", async (req, res) => {
   try {
@@ -541,9 +900,16 @@ router.post("/users/reset-device/:id", async (req, res) => {
       return res.redirect("/admin/users?error=User not found")
     }
 
-    // Reset the registered device ID
+    // Remove all registered devices and sign them out
+    const deviceIds = user.devices.map((device) => device.deviceId)
+    deviceIds.forEach((deviceId) => {
+      user.releaseDevice(deviceId, { initiatedBy: "admin", performedBy: req.user._id, ip: req.ip })
+    })
     user.registeredDeviceId = null
     await user.save()
+    await DesktopToken.revokeAllForUser(user._id, "device_reset")
+
+    securityLogger.logAdminAction(req, "RESET_DEVICES", user.username)
 
     res.redirect(`/admin/users?success=Device registration reset for user ${user.username}`)
   } catch (error) {
@@ -552,6 +918,156 @@ router.post("/users/reset-device/:id", async (req, res) => {
   }
 })
 
+// Remove a single registered device
+router.post(
+  "/users/remove-device/:id",
+  [body("deviceId").notEmpty().withMessage("Device ID is required")],
+  async (req, res) => {
+    try {
+      const user = await User.findById(req.params.id)
+
+      if (!user) {
+        return res.redirect("/admin/users?error=User not found")
+      }
+
+      const errors = validationResult(req)
+
+      if (!errors.isEmpty()) {
+        return res.redirect(`/admin/users/view/${user._id}?error=${encodeURIComponent(errors.array()[0].msg)}`)
+      }
+
+      const { deviceId } = req.body
+
+      if (!user.releaseDevice(deviceId, { initiatedBy: "admin", performedBy: req.user._id, ip: req.ip })) {
+        return res.redirect(`/admin/users/view/${user._id}?error=Device not found`)
+      }
+
+      await user.save()
+      await DesktopToken.revokeAllForDevice(user._id, deviceId, "device_removed")
+
+      securityLogger.logAdminAction(req, `REMOVE_DEVICE ${deviceId}`, user.username)
+
+      res.redirect(`/admin/users/view/${user._id}?success=Device removed`)
+    } catch (error) {
+      console.error("Remove device error:", error)
+      res.redirect(`/admin/users/view/${req.params.id}?error=An error occurred while removing the device`)
+    }
+  },
+)
+
+// Adjust user email credits
+router.post(
+  "/users/credits/:id",
+  [
+    body("action").isIn(["grant", "refund", "expire"]).withMessage("Invalid credit action"),
+    body("amount")
+      .if(body("action").isIn(["grant", "refund"]))
+      .isInt({ min: 1, max: 1000000 })
+      .withMessage("Amount must be between 1 and 1,000,000"),
+    body("note").optional().isLength({ max: 200 }).withMessage("Note cannot exceed 200 characters"),
+  ],
+  async (req, res) => {
+    try {
+      const user = await User.findById(req.params.id)
+
+      if (!user) {
+        return res.redirect("/admin/users?error=User not found")
+      }
+
+      const errors = validationResult(req)
+
+      if (!errors.isEmpty()) {
+        return res.redirect(`/admin/users/view/${user._id}?error=${encodeURIComponent(errors.array()[0].msg)}`)
+      }
+
+      const { action, note } = req.body
+      const options = { note, createdBy: req.user._id }
+      let transaction = null
+
+      switch (action) {
+        case "grant":
+          transaction = await CreditTransaction.grant(user._id, Number.parseInt(req.body.amount), options)
+          break
+        case "refund":
+          transaction = await CreditTransaction.refund(user._id, Number.parseInt(req.body.amount), options)
+          break
+        case "expire":
+          transaction = await CreditTransaction.expireBalance(user._id, options)
+          break
+      }
+
+      if (!transaction) {
+        return res.redirect(`/admin/users/view/${user._id}?error=No credits were changed`)
+      }
+
+      securityLogger.logAdminAction(req, `CREDITS_${action.toUpperCase()} ${transaction.amount}`, user.username)
+
+      res.redirect(`/admin/users/view/${user._id}?success=Credit balance is now ${transaction.balanceAfter}`)
+    } catch (error) {
+      console.error("Adjust credits error:", error)
+      res.redirect(`/admin/users/view/${req.params.id}?error=An error occurred while adjusting credits`)
+    }
+  },
+)
+
+// Create an API key on behalf of a user
+router.post("/users/api-keys/:id", apiKeyValidationRules, async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id)
+
+    if (!user) {
+      return res.redirect("/admin/users?error=User not found")
+    }
+
+    const errors = validationResult(req)
+
+    if (!errors.isEmpty()) {
+      return res.redirect(`/admin/users/view/${user._id}?error=${encodeURIComponent(errors.array()[0].msg)}`)
+    }
+
+    const activeKeys = await ApiKey.countDocuments({ user: user._id, revokedAt: null })
+
+    if (activeKeys >= ApiKey.MAX_KEYS_PER_USER) {
+      return res.redirect(`/admin/users/view/${user._id}?error=A user can have at most ${ApiKey.MAX_KEYS_PER_USER} API keys`)
+    }
+
+    const { key, apiKey } = await ApiKey.generate({
+      ...ApiKey.parseForm(req.body),
+      user: user._id,
+      createdBy: req.user._id,
+    })
+
+    securityLogger.logAdminAction(req, `CREATE_API_KEY ${apiKey.prefix}`, user.username)
+
+    req.session.newApiKey = key
+    res.redirect(`/admin/users/view/${user._id}?success=API key created`)
+  } catch (error) {
+    console.error("Create API key error:", error)
+    res.redirect(`/admin/users/view/${req.params.id}?error=An error occurred while creating the API key`)
+  }
+})
+
+// Revoke one of a user's API keys
+router.post("/users/revoke-api-key/:id", async (req, res) => {
+  try {
+    const apiKey = await ApiKey.findOne({ _id: req.body.keyId, user: req.params.id, revokedAt: null })
+
+    if (!apiKey) {
+      return res.redirect(`/admin/users/view/${req.params.id}?error=API key not found`)
+    }
+
+    apiKey.revokedAt = new Date()
+    await apiKey.save()
+
+    securityLogger.logAdminAction(req, `REVOKE_API_KEY ${apiKey.prefix}`, req.params.id)
+
+    res.redirect(`/admin/users/view/${req.params.id}?success=API key revoked`)
+  } catch (error) {
+    console.error("Revoke API key error:", error)
+    res.redirect(`/admin/users/view/${req.params.id}?error=An error occurred while revoking the API key`)
+  }
+})
+
 // Package management routes
 router.get("/packages", async (req, res) => {
   try {
@@ -624,6 +1140,7 @@ router.get("/packages/create", (req, res) => {
     title: "Create Package",
     error: null,
     formData: {},
+    entitlementCatalogue: ENTITLEMENTS,
     csrfToken: res.locals.csrfToken,
     layout: "layouts/dashboard"
   })
@@ -636,7 +1153,11 @@ router.post(
     body("name").isLength({ min: 2, max: 50 }).withMessage("Package name must be 2-50 characters long"),
     body("emailCredits").isInt({ min: 0, max: 1000000 }).withMessage("Email credits must be between 0 and 1,000,000"),
     body("concurrencyLimit").isInt({ min: 1, max: 1000 }).withMessage("Concurrency limit must be between 1 and 1,000"),
+    body("maxDevices").isInt({ min: 1, max: 100 }).withMessage("Device limit must be between 1 and 100"),
     body("features").optional().isString().withMessage("Features must be a string"),
+    body("entitlements").optional().custom(validateEntitlementForm),
+    body("requireRequestSigning").optional().isBoolean().withMessage("Invalid request signing setting"),
+    body("requireEmailVerification").optional().isBoolean().withMessage("Invalid email verification setting"),
   ],
   async (req, res) => {
     try {
@@ -647,12 +1168,13 @@ router.post(
           title: "Create Package",
           error: errors.array()[0].msg,
           formData: req.body,
+          entitlementCatalogue: ENTITLEMENTS,
           csrfToken: res.locals.csrfToken,
           layout: "layouts/dashboard"
         })
       }
 
-      const { name, emailCredits, concurrencyLimit, features } = req.body
+      const { name, emailCredits, concurrencyLimit, maxDevices, features, entitlements, requireRequestSigning, requireEmailVerification } = req.body
 
       // Check if package name already exists
       const existingPackage = await PackageModel.findOne({ name })
@@ -661,6 +1183,7 @@ router.post(
           title: "Create Package",
           error: "Package with this name already exists",
           formData: req.body,
+          entitlementCatalogue: ENTITLEMENTS,
           csrfToken: res.locals.csrfToken,
           layout: "layouts/dashboard"
         })
@@ -678,7 +1201,11 @@ router.post(
         name,
         emailCredits: Number.parseInt(emailCredits),
         concurrencyLimit: Number.parseInt(concurrencyLimit),
+        maxDevices: Number.parseInt(maxDevices),
         features: featureList,
+        entitlements: parseEntitlementForm(entitlements),
+        requireRequestSigning: requireRequestSigning === "true",
+        requireEmailVerification: requireEmailVerification === "true",
         isActive: true,
       })
 
@@ -694,6 +1221,7 @@ router.post(
         title: "Create Package",
         error: "An error occurred while creating the package. Please try again.",
         formData: req.body,
+        entitlementCatalogue: ENTITLEMENTS,
         csrfToken: res.locals.csrfToken,
         layout: "layouts/dashboard"
       })
@@ -724,6 +1252,7 @@ router.get("/packages/edit/:id", async (req, res) => {
       title: "Edit Package",
       package: pkg,
       error: null,
+      entitlementCatalogue: ENTITLEMENTS,
       csrfToken: res.locals.csrfToken,
       layout: "layouts/dashboard"
     })
@@ -750,7 +1279,11 @@ router.post(
     body("name").isLength({ min: 2, max: 50 }).withMessage("Package name must be 2-50 characters long"),
     body("emailCredits").isInt({ min: 0, max: 1000000 }).withMessage("Email credits must be between 0 and 1,000,000"),
     body("concurrencyLimit").isInt({ min: 1, max: 1000 }).withMessage("Concurrency limit must be between 1 and 1,000"),
+    body("maxDevices").isInt({ min: 1, max: 100 }).withMessage("Device limit must be between 1 and 100"),
     body("features").optional().isString().withMessage("Features must be a string"),
+    body("entitlements").optional().custom(validateEntitlementForm),
+    body("requireRequestSigning").optional().isBoolean().withMessage("Invalid request signing setting"),
+    body("requireEmailVerification").optional().isBoolean().withMessage("Invalid email verification setting"),
     body("isActive").isBoolean().withMessage("Invalid active status"),
   ],
   async (req, res) => {
@@ -778,12 +1311,13 @@ router.post(
           title: "Edit Package",
           package: pkg,
           error: errors.array()[0].msg,
+          entitlementCatalogue: ENTITLEMENTS,
           csrfToken: res.locals.csrfToken,
           layout: "layouts/dashboard"
         })
       }
 
-      const { name, emailCredits, concurrencyLimit, features, isActive } = req.body
+      const { name, emailCredits, concurrencyLimit, maxDevices, features, entitlements, requireRequestSigning, requireEmailVerification, isActive } = req.body
 
       // Check if package name is taken by another package
       const existingPackage = await PackageModel.findOne({
@@ -796,6 +1330,7 @@ router.post(
           title: "Edit Package",
           package: pkg,
           error: "Package name is already taken by another package",
+          entitlementCatalogue: ENTITLEMENTS,
           csrfToken: res.locals.csrfToken,
           layout: "layouts/dashboard"
         })
@@ -813,7 +1348,11 @@ router.post(
       pkg.name = name
       pkg.emailCredits = Number.parseInt(emailCredits)
       pkg.concurrencyLimit = Number.parseInt(concurrencyLimit)
+      pkg.maxDevices = Number.parseInt(maxDevices)
       pkg.features = featureList
+      pkg.entitlements = parseEntitlementForm(entitlements)
+      pkg.requireRequestSigning = requireRequestSigning === "true"
+      pkg.requireEmailVerification = requireEmailVerification === "true"
       pkg.isActive = isActive === "true"
 
       await pkg.save()
@@ -830,6 +1369,7 @@ router.post(
         title: "Edit Package",
         package: pkg,
         error: "An error occurred while updating the package. Please try again.",
+        entitlementCatalogue: ENTITLEMENTS,
         csrfToken: res.locals.csrfToken,
         layout: "layouts/dashboard"
       })
@@ -866,11 +1406,19 @@ router.get("/packages/view/:id", async (req, res) => {
       packageAge: Math.floor((new Date() - pkg.createdAt) / (1000 * 60 * 60 * 24)),
     }
 
+    // Usage reported by the desktop application for this package
+    const [usageTotals, usageByUser] = await Promise.all([
+      UsageReport.getPackageTotals(pkg._id),
+      UsageReport.getCheckedByUser(pkg._id),
+    ])
+
     res.render("admin/view-package", {
       title: `Package Details - ${pkg.name}`,
       package: pkg,
       users: users,
       packageStats: packageStats,
+      usageTotals: usageTotals,
+      usageByUser: usageByUser,
       layout: "layouts/dashboard"
     })
   } catch (error) {
@@ -914,4 +1462,292 @@ router.post("/packages/delete/:id", async (req, res) => {
   }
 })
 
+// Desktop client releases per channel
+router.get("/releases", async (req, res) => {
+  try {
+    const releases = await ClientRelease.getAllChannels()
+
+    res.render("admin/releases", {
+      title: "Client Releases",
+      releases: releases,
+      success: req.query.success || null,
+      error: req.query.error || null,
+      csrfToken: res.locals.csrfToken,
+      layout: "layouts/dashboard"
+    })
+  } catch (error) {
+    console.error("Admin releases error:", error)
+    res.status(500).render("error", {
+      title: "Error",
+      error: {
+        status: 500,
+        message: "An error occurred while loading client releases.",
+      },
+      isAuthenticated: res.locals.isAuthenticated || false,
+      isAdmin: res.locals.isAdmin || false,
+      currentUser: res.locals.currentUser || null,
+      layout: "layouts/main"
+    })
+  }
+})
+
+// Update the release of a channel
+router.post(
+  "/releases/:channel",
+  [
+    body("minimumVersion")
+      .optional({ values: "falsy" })
+      .trim()
+      .custom(isValidVersion)
+      .withMessage("Minimum version must look like 1.2.3"),
+    body("latestVersion")
+      .optional({ values: "falsy" })
+      .trim()
+      .custom(isValidVersion)
+      .withMessage("Latest version must look like 1.2.3"),
+    body("latestVersion")
+      .custom((latestVersion, { req }) => {
+        const { minimumVersion } = req.body
+        if (!isValidVersion(minimumVersion)) {
+          return true
+        }
+        return isValidVersion(latestVersion) && compareVersions(latestVersion, minimumVersion) >= 0
+      })
+      .withMessage("Latest version must be set and cannot be lower than the minimum version"),
+    body("releaseNotes").optional().isLength({ max: 5000 }).withMessage("Release notes cannot exceed 5,000 characters"),
+    body(["downloadUrls.windows", "downloadUrls.macos", "downloadUrls.linux"])
+      .optional({ values: "falsy" })
+      .isURL({ protocols: ["http", "https"], require_protocol: true })
+      .withMessage("Download URLs must be valid http(s) URLs"),
+  ],
+  async (req, res) => {
+    try {
+      const { channel } = req.params
+
+      if (!ClientRelease.CHANNELS.includes(channel)) {
+        return res.redirect("/admin/releases?error=Unknown release channel")
+      }
+
+      const errors = validationResult(req)
+
+      if (!errors.isEmpty()) {
+        return res.redirect(`/admin/releases?error=${encodeURIComponent(errors.array()[0].msg)}`)
+      }
+
+      const { minimumVersion, latestVersion, releaseNotes } = req.body
+      const downloadUrls = req.body.downloadUrls || {}
+
+      const release = await ClientRelease.getForChannel(channel)
+
+      // A new latest version counts as a new release
+      if (latestVersion && latestVersion !== release.latestVersion) {
+        release.publishedAt = new Date()
+      }
+
+      release.minimumVersion = minimumVersion || null
+      release.latestVersion = latestVersion || null
+      release.releaseNotes = releaseNotes || ""
+      release.downloadUrls = {
+        windows: downloadUrls.windows || null,
+        macos: downloadUrls.macos || null,
+        linux: downloadUrls.linux || null,
+      }
+      release.updatedBy = req.user._id
+
+      await release.save()
+
+      securityLogger.logAdminAction(req, `UPDATE_CLIENT_RELEASE min=${release.minimumVersion} latest=${release.latestVersion}`, channel)
+
+      res.redirect(`/admin/releases?success=${encodeURIComponent(`Release channel "${channel}" updated`)}`)
+    } catch (error) {
+      console.error("Update release error:", error)
+      res.redirect("/admin/releases?error=An error occurred while updating the release")
+    }
+  },
+)
+
+// Registrations from the public sign-up page, with the switch that opens or closes it
+router.get("/registrations", async (req, res) => {
+  try {
+    const status = Registration.STATUSES.includes(req.query.status) ? req.query.status : "pending"
+
+    const packagesCacheKey = "activePackages"
+    let packages = cache.get(packagesCacheKey)
+
+    if (!packages) {
+      packages = await PackageModel.find({ isActive: true }).sort({ emailCredits: 1 })
+      cache.set(packagesCacheKey, packages, 300000) // Cache for 5 minutes
+    }
+
+    const [registrations, pendingCount, registrationEnabled] = await Promise.all([
+      Registration.find({ status })
+        .populate("requestedPackage", "name")
+        .populate("reviewedBy", "username")
+        .sort({ createdAt: status === "pending" ? 1 : -1 })
+        .limit(100),
+      Registration.countPending(),
+      Setting.getValue("registrationEnabled"),
+    ])
+
+    res.render("admin/registrations", {
+      title: "Registrations",
+      registrations: registrations,
+      status: status,
+      pendingCount: pendingCount,
+      registrationEnabled: registrationEnabled,
+      packages: packages,
+      success: req.query.success || null,
+      error: req.query.error || null,
+      csrfToken: res.locals.csrfToken,
+      layout: "layouts/dashboard"
+    })
+  } catch (error) {
+    console.error("Admin registrations error:", error)
+    res.status(500).render("error", {
+      title: "Error",
+      error: {
+        status: 500,
+        message: "An error occurred while loading registrations.",
+      },
+      isAuthenticated: res.locals.isAuthenticated || false,
+      isAdmin: res.locals.isAdmin || false,
+      currentUser: res.locals.currentUser || null,
+      layout: "layouts/main"
+    })
+  }
+})
+
+// Open or close public registration
+router.post("/registrations/settings", async (req, res) => {
+  try {
+    const enabled = req.body.registrationEnabled === "true"
+
+    await Setting.setValue("registrationEnabled", enabled, req.user._id)
+
+    securityLogger.logAdminAction(req, enabled ? "OPEN_REGISTRATION" : "CLOSE_REGISTRATION", "registration")
+
+    res.redirect(`/admin/registrations?success=Registration is now ${enabled ? "open" : "closed"}`)
+  } catch (error) {
+    console.error("Registration setting error:", error)
+    res.redirect("/admin/registrations?error=An error occurred while changing the registration setting")
+  }
+})
+
+// Approve a registration: create the user with the chosen package and email them an invite
+router.post(
+  "/registrations/approve/:id",
+  [
+    body("package").isMongoId().withMessage("Please select a valid package"),
+    body("packageEndDate").isISO8601().withMessage("Please enter a valid end date"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+
+      if (!errors.isEmpty()) {
+        return res.redirect(`/admin/registrations?error=${encodeURIComponent(errors.array()[0].msg)}`)
+      }
+
+      const registration = await Registration.findById(req.params.id)
+
+      if (!registration || registration.status !== "pending") {
+        return res.redirect("/admin/registrations?error=Registration not found or already reviewed")
+      }
+
+      const { username, email } = registration
+
+      const existingUser = await User.findOne({
+        $or: [{ email }, { username }],
+      })
+
+      if (existingUser) {
+        return res.redirect("/admin/registrations?error=A user with this email or username already exists")
+      }
+
+      const selectedPackage = await PackageModel.findById(req.body.package)
+      if (!selectedPackage || !selectedPackage.isActive) {
+        return res.redirect("/admin/registrations?error=Selected package not found or inactive")
+      }
+
+      const newUser = new User({
+        username,
+        email,
+        role: "user",
+        package: selectedPackage._id,
+        packageStartDate: new Date(),
+        packageEndDate: new Date(req.body.packageEndDate),
+        isActive: true,
+      })
+      const inviteToken = newUser.createInviteToken(req.user._id)
+
+      await newUser.save()
+
+      registration.approve(newUser, req.user._id)
+      await registration.save()
+
+      // Start the user with the credits included in their package
+      if (selectedPackage.emailCredits > 0) {
+        await CreditTransaction.grant(newUser._id, selectedPackage.emailCredits, {
+          note: `Initial ${selectedPackage.name} package credits`,
+          createdBy: req.user._id,
+        })
+      }
+
+      cache.delete("userStats")
+      cache.delete("activePackages")
+
+      const inviteSent = await sendInviteLink(newUser, inviteToken)
+
+      securityLogger.logAdminAction(req, "APPROVE_REGISTRATION", newUser.username)
+
+      res.redirect(
+        inviteSent
+          ? `/admin/registrations?success=${encodeURIComponent(`Registration approved. An invite link was sent to ${email}.`)}`
+          : "/admin/registrations?error=Registration approved, but the invite email could not be sent. Resend it from the user's page.",
+      )
+    } catch (error) {
+      console.error("Approve registration error:", error)
+      res.redirect("/admin/registrations?error=An error occurred while approving the registration")
+    }
+  },
+)
+
+// Reject a registration, emailing the reason to the prospect
+router.post(
+  "/registrations/reject/:id",
+  [body("reason").trim().isLength({ min: 1, max: 500 }).withMessage("Please give a reason of up to 500 characters")],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+
+      if (!errors.isEmpty()) {
+        return res.redirect(`/admin/registrations?error=${encodeURIComponent(errors.array()[0].msg)}`)
+      }
+
+      const registration = await Registration.findById(req.params.id)
+
+      if (!registration || registration.status !== "pending") {
+        return res.redirect("/admin/registrations?error=Registration not found or already reviewed")
+      }
+
+      registration.reject(req.body.reason, req.user._id)
+      await registration.save()
+
+      securityLogger.logAdminAction(req, "REJECT_REGISTRATION", registration.username)
+
+      try {
+        await sendRegistrationRejectedEmail(registration)
+      } catch (error) {
+        console.error("Registration rejection email error:", error)
+        return res.redirect("/admin/registrations?error=Registration rejected, but the email to the applicant could not be sent")
+      }
+
+      res.redirect("/admin/registrations?success=Registration rejected and the applicant was notified")
+    } catch (error) {
+      console.error("Reject registration error:", error)
+      res.redirect("/admin/registrations?error=An error occurred while rejecting the registration")
+    }
+  },
+)
+
 module.exports = router
\ No newline at end of file
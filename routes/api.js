@@ -0,0 +1,654 @@
+const express = require("express")
+const { body, query, validationResult } = require("express-validator")
+const User = require("../models/User")
+const DesktopToken = require("../models/DesktopToken")
+const CreditTransaction = require("../models/CreditTransaction")
+const SlotLease = require("../models/SlotLease")
+const UsageReport = require("../models/UsageReport")
+const Presence = require("../models/Presence")
+const ClientRelease = require("../models/ClientRelease")
+const {
+  authenticateDesktopToken,
+  requireScope,
+  sendTokenRevoked,
+  rejectUnusableAccount,
+  rejectInvalidSignature,
+  recordLoginFailure,
+  checkClientVersion,
+} = require("../middleware/auth")
+const { apiAuthLimiter } = require("../middleware/security")
+const { securityLogger } = require("../middleware/monitoring")
+const { getOfflineGraceHours, getPublicKeys, issueLicense } = require("../utils/license")
+const { ERROR_CODES, sendError, sendValidationError } = require("../utils/apiResponse")
+const { getSigningPolicy } = require("../utils/requestSigning")
+
+const router = express.Router()
+
+// Desktop API, mounted at /api/v1 and at the deprecated /auth/api prefix
+// Authentication is applied per endpoint, since login and the public endpoints need none
+
+// API endpoint for desktop application login
+router.post(
+  "/login",
+  apiAuthLimiter,
+  [
+    body("username").notEmpty().withMessage("Username is required"),
+    body("password").notEmpty().withMessage("Password is required"),
+    body("device_id").notEmpty().withMessage("Device ID is required"),
+    body("device_name").optional().isLength({ max: 100 }).withMessage("Device name cannot exceed 100 characters"),
+  ],
+  checkClientVersion,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+
+      if (!errors.isEmpty()) {
+        return sendValidationError(res, errors)
+      }
+
+      const { username, password, device_id, device_name } = req.body
+
+      // Find user by username
+      const user = await User.findOne({ username }).populate("package")
+
+      if (!user) {
+        return sendError(res, 401, ERROR_CODES.INVALID_CREDENTIALS, "Invalid username or password")
+      }
+
+      if (rejectUnusableAccount(res, user)) {
+        return
+      }
+
+      // Refuse attempts while the account is backing off or locked, without checking the password
+      const blockedMessage = user.getLoginBlockedMessage()
+      if (blockedMessage) {
+        const retryAfter = user.getLoginRetryAfter()
+        securityLogger.logSecurityEvent(req, "LOGIN_BLOCKED", `User ${user._id}, locked until ${user.lockedUntil.toISOString()}`)
+        res.set("Retry-After", String(retryAfter))
+        return sendError(res, 429, ERROR_CODES.ACCOUNT_LOCKED, blockedMessage, { retryAfter })
+      }
+
+      // Compare password
+      const isMatch = await user.comparePassword(password)
+
+      if (!isMatch) {
+        await recordLoginFailure(req, user, "desktop")
+        return sendError(res, 401, ERROR_CODES.INVALID_CREDENTIALS, "Invalid username or password")
+      }
+
+      // The user's package may require a verified email address
+      if (user.mustVerifyEmail()) {
+        return sendError(res, 403, ERROR_CODES.EMAIL_NOT_VERIFIED, "Please verify your email address before logging in. Check your inbox for the verification link.")
+      }
+
+      // Passwords older than the maximum password age are changed on the website first
+      if (user.isPasswordExpired()) {
+        return sendError(res, 403, ERROR_CODES.PASSWORD_EXPIRED, "Your password has expired. Please log in on the website to choose a new one.")
+      }
+
+      // Register the device, or refresh it if the user has logged in from it before
+      const device = await user.registerDevice(device_id, { name: device_name, ip: req.ip })
+
+      if (!device) {
+        return sendError(
+          res,
+          403,
+          ERROR_CODES.DEVICE_LIMIT_REACHED,
+          `This account has reached its limit of ${user.getMaxDevices()} registered device(s). Please use a registered device or contact support to remove one.`,
+        )
+      }
+
+      // Update last login
+      user.lastLogin = new Date()
+      user.resetLoginFailures()
+      user.recordLogin({ client: "desktop", ip: req.ip, userAgent: req.get("User-Agent"), deviceId: device_id })
+      await user.save()
+
+      // Issue persistent tokens so the desktop app doesn't depend on the session cookie
+      const tokens = await DesktopToken.issueTokenPair(user._id, device_id)
+
+      // Return user data and tokens
+      res.json({
+        success: true,
+        message: "Login successful",
+        token: tokens.accessToken,
+        tokenExpiresAt: tokens.accessTokenDoc.expiresAt,
+        refreshToken: tokens.refreshToken,
+        refreshTokenExpiresAt: tokens.refreshTokenDoc.expiresAt,
+        signingSecret: tokens.signingSecret,
+        requestSigning: getSigningPolicy(user.requiresRequestSigning()),
+        user: user.toDesktopProfile(),
+        license: issueLicense(user, device_id),
+        update: req.clientRelease.toManifest(req.clientVersion)
+      })
+    } catch (error) {
+      console.error("Desktop login error:", error)
+      sendError(res, 500, ERROR_CODES.INTERNAL_ERROR, "An error occurred during login. Please try again.")
+    }
+  }
+)
+
+// API endpoint to verify desktop app token
+router.post("/verify-token", checkClientVersion, async (req, res) => {
+  try {
+    const { token, device_id } = req.body
+
+    if (!token) {
+      return sendError(res, 400, ERROR_CODES.TOKEN_MISSING, "Token is required")
+    }
+
+    const tokenDoc = await DesktopToken.findByToken(token)
+
+    if (tokenDoc && tokenDoc.isRevoked()) {
+      return sendTokenRevoked(res, tokenDoc)
+    }
+
+    if (!tokenDoc || !tokenDoc.isValid()) {
+      return sendError(res, 401, ERROR_CODES.TOKEN_INVALID, "Invalid or expired token")
+    }
+
+    // Get user from token
+    const user = await User.findById(tokenDoc.user).populate("package")
+
+    if (rejectUnusableAccount(res, user)) {
+      return
+    }
+
+    if (await rejectInvalidSignature(req, res, tokenDoc, user.requiresRequestSigning())) {
+      return
+    }
+
+    // Tokens are bound to the device they were issued to
+    if (tokenDoc.deviceId !== device_id) {
+      await tokenDoc.revoke("device_mismatch")
+      return sendError(res, 401, ERROR_CODES.DEVICE_MISMATCH, "Session invalidated. User logged in on a different device.")
+    }
+
+    await tokenDoc.touch()
+
+    // Return user data
+    res.json({
+      success: true,
+      message: "Token is valid",
+      requestSigning: getSigningPolicy(user.requiresRequestSigning()),
+      user: user.toDesktopProfile(),
+      license: issueLicense(user, tokenDoc.deviceId),
+      update: req.clientRelease.toManifest(req.clientVersion)
+    })
+  } catch (error) {
+    console.error("Token verification error:", error)
+    sendError(res, 500, ERROR_CODES.INTERNAL_ERROR, "An error occurred during token verification. Please try again.")
+  }
+})
+
+// API endpoint to exchange a refresh token for a new token pair
+router.post(
+  "/refresh",
+  [
+    body("refresh_token").notEmpty().withMessage("Refresh token is required"),
+    body("device_id").notEmpty().withMessage("Device ID is required"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+
+      if (!errors.isEmpty()) {
+        return sendValidationError(res, errors)
+      }
+
+      const { refresh_token, device_id } = req.body
+
+      const tokenDoc = await DesktopToken.findByToken(refresh_token, "refresh")
+
+      if (!tokenDoc) {
+        return sendError(res, 401, ERROR_CODES.TOKEN_INVALID, "Invalid or expired refresh token")
+      }
+
+      // A refresh token that was already rotated is being replayed: end the whole login
+      if (tokenDoc.revokedReason === "rotated") {
+        await DesktopToken.revokeFamily(tokenDoc.family, "refresh_token_reuse")
+        securityLogger.logSecurityEvent(req, "REFRESH_TOKEN_REUSE", `User ${tokenDoc.user}, device ${tokenDoc.deviceId}`)
+        return sendError(res, 401, ERROR_CODES.TOKEN_REUSED, "Refresh token has already been used. Please log in again.")
+      }
+
+      if (tokenDoc.isRevoked()) {
+        return sendTokenRevoked(res, tokenDoc)
+      }
+
+      if (!tokenDoc.isValid()) {
+        return sendError(res, 401, ERROR_CODES.TOKEN_INVALID, "Invalid or expired refresh token")
+      }
+
+      // Refresh tokens are bound to the device they were issued to
+      if (tokenDoc.deviceId !== device_id) {
+        await DesktopToken.revokeFamily(tokenDoc.family, "device_mismatch")
+        return sendError(res, 401, ERROR_CODES.DEVICE_MISMATCH, "Session invalidated. User logged in on a different device.")
+      }
+
+      const user = await User.findById(tokenDoc.user).populate("package")
+
+      if (rejectUnusableAccount(res, user)) {
+        return
+      }
+
+      if (await rejectInvalidSignature(req, res, tokenDoc, user.requiresRequestSigning())) {
+        return
+      }
+
+      const tokens = await DesktopToken.rotateRefreshToken(tokenDoc)
+
+      // Another request rotated this token first, so treat it as reuse
+      if (!tokens) {
+        await DesktopToken.revokeFamily(tokenDoc.family, "refresh_token_reuse")
+        securityLogger.logSecurityEvent(req, "REFRESH_TOKEN_REUSE", `User ${tokenDoc.user}, device ${tokenDoc.deviceId}`)
+        return sendError(res, 401, ERROR_CODES.TOKEN_REUSED, "Refresh token has already been used. Please log in again.")
+      }
+
+      res.json({
+        success: true,
+        message: "Token refreshed",
+        token: tokens.accessToken,
+        tokenExpiresAt: tokens.accessTokenDoc.expiresAt,
+        refreshToken: tokens.refreshToken,
+        refreshTokenExpiresAt: tokens.refreshTokenDoc.expiresAt,
+        signingSecret: tokens.signingSecret,
+        requestSigning: getSigningPolicy(user.requiresRequestSigning()),
+        user: user.toDesktopProfile(),
+        license: issueLicense(user, device_id)
+      })
+    } catch (error) {
+      console.error("Token refresh error:", error)
+      sendError(res, 500, ERROR_CODES.INTERNAL_ERROR, "An error occurred while refreshing the token. Please try again.")
+    }
+  }
+)
+
+// API endpoint for desktop application logout
+router.post("/logout", async (req, res) => {
+  try {
+    const { token } = req.body
+
+    if (!token) {
+      return sendError(res, 400, ERROR_CODES.TOKEN_MISSING, "Token is required")
+    }
+
+    const tokenDoc = await DesktopToken.findByToken(token)
+
+    if (tokenDoc && tokenDoc.isValid()) {
+      // Signatures are checked when sent, but never required to log out
+      if (await rejectInvalidSignature(req, res, tokenDoc, false)) {
+        return
+      }
+
+      // Revoke the refresh token issued with this login as well
+      await DesktopToken.revokeFamily(tokenDoc.family, "logout")
+      await Presence.end(tokenDoc.user, tokenDoc.deviceId)
+
+      return res.json({
+        success: true,
+        message: "Logout successful"
+      })
+    }
+
+    sendError(res, 401, ERROR_CODES.TOKEN_INVALID, "Invalid or expired token")
+  } catch (error) {
+    console.error("Desktop logout error:", error)
+    sendError(res, 500, ERROR_CODES.INTERNAL_ERROR, "An error occurred during logout. Please try again.")
+  }
+})
+
+// Publish the keys that offline licenses are signed with; no authentication needed
+router.get("/license/keys", (req, res) => {
+  try {
+    res.json({
+      success: true,
+      keys: getPublicKeys(),
+      offlineGraceHours: getOfflineGraceHours()
+    })
+  } catch (error) {
+    console.error("License keys error:", error)
+    sendError(res, 500, ERROR_CODES.INTERNAL_ERROR, "An error occurred while loading the license keys. Please try again.")
+  }
+})
+
+// Describe the latest desktop release of a channel; polled by the client, so no authentication needed
+router.get(
+  "/update-manifest",
+  [
+    query("channel").optional().isIn(ClientRelease.CHANNELS).withMessage(`Channel must be one of: ${ClientRelease.CHANNELS.join(", ")}`),
+    query("version").optional().isLength({ max: 50 }).withMessage("Version cannot exceed 50 characters"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+
+      if (!errors.isEmpty()) {
+        return sendValidationError(res, errors)
+      }
+
+      const release = await ClientRelease.getForChannel(req.query.channel || "stable")
+
+      res.json({
+        success: true,
+        ...release.toManifest(req.query.version)
+      })
+    } catch (error) {
+      console.error("Update manifest error:", error)
+      sendError(res, 500, ERROR_CODES.INTERNAL_ERROR, "An error occurred while loading the update manifest. Please try again.")
+    }
+  }
+)
+
+// Get the current credit balance
+router.get("/credits", authenticateDesktopToken, requireScope("credits:read"), (req, res) => {
+  res.json({
+    success: true,
+    balance: req.user.creditBalance
+  })
+})
+
+// Consume credits for checked emails
+router.post(
+  "/credits/consume",
+  authenticateDesktopToken,
+  requireScope("credits:consume"),
+  [
+    body("amount").isInt({ min: 1, max: 1000000 }).withMessage("Amount must be between 1 and 1,000,000"),
+    body("reference").optional().isString().isLength({ max: 100 }).withMessage("Reference cannot exceed 100 characters"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+
+      if (!errors.isEmpty()) {
+        return sendValidationError(res, errors)
+      }
+
+      const amount = Number.parseInt(req.body.amount)
+
+      const transaction = await CreditTransaction.consume(req.user._id, amount, {
+        reference: req.body.reference,
+        deviceId: req.deviceId,
+      })
+
+      if (!transaction) {
+        return sendError(res, 402, ERROR_CODES.INSUFFICIENT_CREDITS, "Insufficient email credits", {
+          balance: req.user.creditBalance
+        })
+      }
+
+      res.json({
+        success: true,
+        message: "Credits consumed",
+        transactionId: transaction._id,
+        amount: transaction.amount,
+        balance: transaction.balanceAfter
+      })
+    } catch (error) {
+      console.error("Credit consume error:", error)
+      sendError(res, 500, ERROR_CODES.INTERNAL_ERROR, "An error occurred while consuming credits. Please try again.")
+    }
+  }
+)
+
+// Get the current concurrency slot usage
+router.get("/slots", authenticateDesktopToken, requireScope("slots:lease"), async (req, res) => {
+  try {
+    const inUse = await SlotLease.getActiveSlotCount(req.user._id)
+
+    res.json({
+      success: true,
+      inUse: inUse,
+      limit: req.user.package ? req.user.package.concurrencyLimit : 0
+    })
+  } catch (error) {
+    console.error("Slot usage error:", error)
+    sendError(res, 500, ERROR_CODES.INTERNAL_ERROR, "An error occurred while loading slot usage. Please try again.")
+  }
+})
+
+// Lease concurrency slots
+router.post(
+  "/slots/acquire",
+  authenticateDesktopToken,
+  requireScope("slots:lease"),
+  [
+    body("slots").isInt({ min: 1, max: 1000 }).withMessage("Slots must be between 1 and 1,000"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+
+      if (!errors.isEmpty()) {
+        return sendValidationError(res, errors)
+      }
+
+      if (!req.user.package) {
+        return sendError(res, 403, ERROR_CODES.NO_PACKAGE, "No package is assigned to this account")
+      }
+
+      const slots = Number.parseInt(req.body.slots)
+      const limit = req.user.package.concurrencyLimit
+
+      const lease = await SlotLease.acquire(req.user._id, req.deviceId, slots, limit)
+
+      if (!lease) {
+        const inUse = await SlotLease.getActiveSlotCount(req.user._id)
+        return sendError(res, 409, ERROR_CODES.CONCURRENCY_LIMIT_REACHED, "Concurrency limit reached", {
+          inUse: inUse,
+          limit: limit,
+          available: Math.max(limit - inUse, 0)
+        })
+      }
+
+      res.json({
+        success: true,
+        message: "Slots acquired",
+        leaseId: lease._id,
+        slots: lease.slots,
+        expiresAt: lease.expiresAt,
+        ttlSeconds: SlotLease.getLeaseTtlSeconds()
+      })
+    } catch (error) {
+      console.error("Slot acquire error:", error)
+      sendError(res, 500, ERROR_CODES.INTERNAL_ERROR, "An error occurred while acquiring slots. Please try again.")
+    }
+  }
+)
+
+// Keep a slot lease alive
+router.post(
+  "/slots/heartbeat",
+  authenticateDesktopToken,
+  requireScope("slots:lease"),
+  [
+    body("lease_id").isMongoId().withMessage("A valid lease ID is required"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+
+      if (!errors.isEmpty()) {
+        return sendValidationError(res, errors)
+      }
+
+      const lease = await SlotLease.heartbeat(req.body.lease_id, req.user._id)
+
+      if (!lease) {
+        return sendError(res, 404, ERROR_CODES.LEASE_NOT_FOUND, "Lease not found or expired. Please acquire slots again.")
+      }
+
+      res.json({
+        success: true,
+        message: "Lease extended",
+        leaseId: lease._id,
+        expiresAt: lease.expiresAt
+      })
+    } catch (error) {
+      console.error("Slot heartbeat error:", error)
+      sendError(res, 500, ERROR_CODES.INTERNAL_ERROR, "An error occurred while extending the lease. Please try again.")
+    }
+  }
+)
+
+// Give leased slots back
+router.post(
+  "/slots/release",
+  authenticateDesktopToken,
+  requireScope("slots:lease"),
+  [
+    body("lease_id").isMongoId().withMessage("A valid lease ID is required"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+
+      if (!errors.isEmpty()) {
+        return sendValidationError(res, errors)
+      }
+
+      const released = await SlotLease.release(req.body.lease_id, req.user._id)
+
+      if (!released) {
+        return sendError(res, 404, ERROR_CODES.LEASE_NOT_FOUND, "Lease not found or expired")
+      }
+
+      res.json({
+        success: true,
+        message: "Slots released"
+      })
+    } catch (error) {
+      console.error("Slot release error:", error)
+      sendError(res, 500, ERROR_CODES.INTERNAL_ERROR, "An error occurred while releasing slots. Please try again.")
+    }
+  }
+)
+
+// Report a finished check job
+router.post(
+  "/usage",
+  authenticateDesktopToken,
+  requireScope("usage:write"),
+  [
+    body("job_id").optional().isString().isLength({ max: 100 }).withMessage("Job ID cannot exceed 100 characters"),
+    body("checked").isInt({ min: 0 }).withMessage("Checked count must be a non-negative integer"),
+    body("valid").optional().isInt({ min: 0 }).withMessage("Valid count must be a non-negative integer"),
+    body("invalid").optional().isInt({ min: 0 }).withMessage("Invalid count must be a non-negative integer"),
+    body("errors").optional().isInt({ min: 0 }).withMessage("Error count must be a non-negative integer"),
+    body("duration_ms").optional().isInt({ min: 0 }).withMessage("Duration must be a non-negative integer"),
+    body("finished_at").optional().isISO8601().withMessage("Finish time must be an ISO 8601 date"),
+    body("checked").custom((checked, { req }) => {
+      const results = ["valid", "invalid", "errors"].reduce((total, field) => total + (Number.parseInt(req.body[field]) || 0), 0)
+      if (results > Number.parseInt(checked)) {
+        throw new Error("Valid, invalid and error counts cannot exceed the checked count")
+      }
+      return true
+    }),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+
+      if (!errors.isEmpty()) {
+        return sendValidationError(res, errors)
+      }
+
+      const jobId = req.body.job_id
+
+      // The client may retry a report, keep only the first one
+      const sendAlreadyReported = (existing) => {
+        return res.json({
+          success: true,
+          message: "Usage already reported",
+          reportId: existing._id
+        })
+      }
+
+      if (jobId) {
+        const existing = await UsageReport.findOne({ user: req.user._id, jobId })
+        if (existing) {
+          return sendAlreadyReported(existing)
+        }
+      }
+
+      let report
+      try {
+        report = await UsageReport.create({
+          user: req.user._id,
+          package: req.user.package ? req.user.package._id : null,
+          deviceId: req.deviceId,
+          jobId,
+          checkedCount: Number.parseInt(req.body.checked),
+          validCount: Number.parseInt(req.body.valid) || 0,
+          invalidCount: Number.parseInt(req.body.invalid) || 0,
+          errorCount: Number.parseInt(req.body.errors) || 0,
+          durationMs: Number.parseInt(req.body.duration_ms) || 0,
+          finishedAt: req.body.finished_at ? new Date(req.body.finished_at) : new Date(),
+        })
+      } catch (error) {
+        // A concurrent retry of the same job was saved first
+        if (error.code === 11000 && jobId) {
+          const existing = await UsageReport.findOne({ user: req.user._id, jobId })
+          if (existing) {
+            return sendAlreadyReported(existing)
+          }
+        }
+        throw error
+      }
+
+      res.status(201).json({
+        success: true,
+        message: "Usage reported",
+        reportId: report._id
+      })
+    } catch (error) {
+      console.error("Usage report error:", error)
+      sendError(res, 500, ERROR_CODES.INTERNAL_ERROR, "An error occurred while saving the usage report. Please try again.")
+    }
+  }
+)
+
+// Tell the server the client is still running
+router.post(
+  "/heartbeat",
+  authenticateDesktopToken,
+  requireScope("presence:write"),
+  [
+    body("app_version").optional().isString().isLength({ max: 50 }).withMessage("App version cannot exceed 50 characters"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+
+      if (!errors.isEmpty()) {
+        return sendValidationError(res, errors)
+      }
+
+      const presence = await Presence.heartbeat(req.user._id, req.deviceId, {
+        ip: req.ip,
+        appVersion: req.body.app_version,
+      })
+
+      const timeoutSeconds = Presence.getOnlineTimeoutSeconds()
+
+      res.json({
+        success: true,
+        message: "Heartbeat received",
+        onlineSince: presence.startedAt,
+        timeoutSeconds: timeoutSeconds,
+        // Leave room for a missed heartbeat before the client is shown as offline
+        nextHeartbeatSeconds: Math.max(Math.floor(timeoutSeconds / 2), 1)
+      })
+    } catch (error) {
+      console.error("Heartbeat error:", error)
+      sendError(res, 500, ERROR_CODES.INTERNAL_ERROR, "An error occurred while recording the heartbeat. Please try again.")
+    }
+  }
+)
+
+// Unknown API endpoints get a JSON error instead of the HTML 404 page
+router.use((req, res) => {
+  sendError(res, 404, ERROR_CODES.NOT_FOUND, "API endpoint not found")
+})
+
+module.exports = router
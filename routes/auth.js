@@ -1,23 +1,115 @@
 const express = require("express")
 const { body, validationResult } = require("express-validator")
 const User = require("../models/User")
-const { redirectIfAuthenticated } = require("../middleware/auth")
-const { authLimiter } = require("../middleware/security")
+const Package = require("../models/Package")
+const Registration = require("../models/Registration")
+const Setting = require("../models/Setting")
+const { redirectIfAuthenticated, recordLoginFailure } = require("../middleware/auth")
+const { authLimiter, passwordResetLimiter, verificationEmailLimiter, registrationLimiter, passwordPolicyRule } = require("../middleware/security")
+const { securityLogger } = require("../middleware/monitoring")
+const { sendPasswordResetEmail, sendVerificationEmail } = require("../utils/emails")
+const { readVerificationToken } = require("../utils/emailVerification")
+const { signOutEverywhere, tagSession, enforceWebSessionLimit } = require("../utils/sessions")
+const { HONEYPOT_FIELD, createChallenge, verifyChallenge } = require("../utils/challenge")
 
 const router = express.Router()
 
+// Time allowed to enter the second factor, and wrong codes accepted, before the password must be entered again
+const TWO_FACTOR_TIMEOUT_MS = 5 * 60 * 1000
+const MAX_TWO_FACTOR_ATTEMPTS = 5
+
+// Render the login form with an error
+const renderLoginError = (res, error, email) => {
+  res.render("login", {
+    title: "Login",
+    error,
+    email: email || "",
+    csrfToken: res.locals.csrfToken,
+    layout: "layouts/auth"
+  })
+}
+
+// Create the web session of a user who has passed every login check
+const completeLogin = async (req, res, user) => {
+  // Update last login
+  user.lastLogin = new Date()
+  user.resetLoginFailures()
+  user.recordLogin({ client: "web", ip: req.ip, userAgent: req.get("User-Agent") })
+  await user.save()
+
+  // Regenerate session to prevent session fixation
+  req.session.regenerate(async (err) => {
+    if (err) {
+      console.error("Session regeneration error:", err)
+      return renderLoginError(res, "An error occurred during login. Please try again.", user.email)
+    }
+
+    // Store user data in session
+    req.session.user = {
+      _id: user._id,
+      username: user.username,
+      email: user.email,
+      role: user.role,
+      isActive: user.isActive,
+    }
+
+    // Only add package info for non-admin users
+    if (!user.isAdmin() && user.package) {
+      req.session.user.package = user.package
+      req.session.user.packageEndDate = user.packageEndDate
+    }
+
+    // Preserve CSRF token during session regeneration
+    req.session.csrfToken = res.locals.csrfToken
+
+    // Record when and from where the session was created, shown in the session lists
+    tagSession(req)
+
+    // End the oldest other sessions when the role has a concurrent session limit
+    try {
+      const ended = await enforceWebSessionLimit(user, req.sessionID)
+      if (ended > 0) {
+        securityLogger.logSecurityEvent(req, "SESSION_LIMIT_REACHED", `User ${user._id}, ended ${ended} older web session(s)`)
+      }
+    } catch (error) {
+      console.error("Session limit error:", error)
+    }
+
+    // Users the policy requires to use two-factor authentication set it up first
+    if (user.mustEnrollTwoFactor()) {
+      return res.redirect("/dashboard/two-factor")
+    }
+
+    // Redirect to intended page or dashboard
+    const returnTo = req.session.returnTo || "/dashboard"
+    delete req.session.returnTo
+
+    res.redirect(returnTo)
+  })
+}
+
 // Login page
-router.get("/login", redirectIfAuthenticated, (req, res) => {
+router.get("/login", redirectIfAuthenticated, async (req, res) => {
   // Check if we're redirecting from another page
   const returnTo = req.session.returnTo || "/dashboard"
   // Clear the returnTo to prevent redirect loops
   delete req.session.returnTo
 
+  // The sign-up link is only shown while registration is open
+  let registrationEnabled = false
+  try {
+    registrationEnabled = await Setting.getValue("registrationEnabled")
+  } catch (error) {
+    console.error("Registration setting error:", error)
+  }
+
   res.render("login", {
     title: "Login",
     error: null,
+    success: req.query.success || null,
     email: "",
     returnTo: returnTo,
+    registrationEnabled,
     csrfToken: res.locals.csrfToken,
     layout: "layouts/auth"
   })
@@ -82,10 +174,18 @@ router.post(
         })
       }
 
+      // Refuse attempts while the account is backing off or locked, without checking the password
+      const blockedMessage = user.getLoginBlockedMessage()
+      if (blockedMessage) {
+        securityLogger.logSecurityEvent(req, "LOGIN_BLOCKED", `User ${user._id}, locked until ${user.lockedUntil.toISOString()}`)
+        return renderLoginError(res, blockedMessage, email)
+      }
+
       // Compare password
       const isMatch = await user.comparePassword(password)
 
       if (!isMatch) {
+        await recordLoginFailure(req, user, "web")
         return res.render("login", {
           title: "Login",
           error: "Invalid email or password",
@@ -95,50 +195,30 @@ router.post(
         })
       }
 
-      // Update last login
-      user.lastLogin = new Date()
-      await user.save()
-
-      // Regenerate session to prevent session fixation
-      req.session.regenerate((err) => {
-        if (err) {
-          console.error("Session regeneration error:", err)
-          return res.render("login", {
-            title: "Login",
-            error: "An error occurred during login. Please try again.",
-            email: email,
-            csrfToken: res.locals.csrfToken,
-            layout: "layouts/auth"
-          })
-        }
-
-        // Store user data in session
-        req.session.user = {
-          _id: user._id,
-          username: user.username,
-          email: user.email,
-          role: user.role,
-          isActive: user.isActive,
-        }
+      // The user's package may require a verified email address
+      if (user.mustVerifyEmail()) {
+        return res.render("login", {
+          title: "Login",
+          error: "Please verify your email address before logging in. Check your inbox for the verification link.",
+          unverifiedEmail: email,
+          email: email,
+          csrfToken: res.locals.csrfToken,
+          layout: "layouts/auth"
+        })
+      }
 
-        // Only add package info for non-admin users
-        if (!user.isAdmin() && user.package) {
-          req.session.user.package = user.package
-          req.session.user.packageEndDate = user.packageEndDate
+      // Ask for the second factor before the session is created
+      if (user.twoFactor.enabled) {
+        req.session.pendingTwoFactor = {
+          userId: user._id,
+          email: email,
+          expiresAt: Date.now() + TWO_FACTOR_TIMEOUT_MS,
+          attempts: 0,
         }
+        return res.redirect("/auth/two-factor")
+      }
 
-        // Preserve CSRF token during session regeneration
-        req.session.csrfToken = res.locals.csrfToken
-
-        // Set session creation time
-        req.session.createdAt = Date.now()
-
-        // Redirect to intended page or dashboard
-        const returnTo = req.session.returnTo || "/dashboard"
-        delete req.session.returnTo
-
-        res.redirect(returnTo)
-      })
+      await completeLogin(req, res, user)
     } catch (error) {
       console.error("Login error:", error)
       res.render("login", {
@@ -152,278 +232,547 @@ router.post(
   },
 )
 
-// Handle logout
-router.post("/logout", (req, res) => {
-  // Get the user ID from session if available
-  const userId = req.session.user ? req.session.user._id.toString() : null;
-  
-  // Remove device association if exists
-  if (userId && req.session.activeDevices && req.session.activeDevices[userId]) {
-    delete req.session.activeDevices[userId];
+// Read the login waiting for its second factor, forgetting it once it has expired
+const getPendingTwoFactor = (req) => {
+  const pending = req.session.pendingTwoFactor
+  if (pending && pending.expiresAt > Date.now()) {
+    return pending
   }
-  
-  req.session.destroy((err) => {
-    if (err) {
-      console.error("Logout error:", err)
-      return res.redirect("/dashboard")
-    }
-    res.clearCookie("sessionId")
-    res.redirect("/auth/login")
+  delete req.session.pendingTwoFactor
+  return null
+}
+
+// Second factor page
+router.get("/two-factor", redirectIfAuthenticated, (req, res) => {
+  if (!getPendingTwoFactor(req)) {
+    return res.redirect("/auth/login")
+  }
+
+  res.render("two-factor", {
+    title: "Two-Factor Authentication",
+    error: null,
+    csrfToken: res.locals.csrfToken,
+    layout: "layouts/auth"
   })
 })
 
-// API endpoint for desktop application login
+// Check the second factor and finish the login
 router.post(
-  "/api/login",
-  [
-    body("username").notEmpty().withMessage("Username is required"),
-    body("password").notEmpty().withMessage("Password is required"),
-    body("device_id").notEmpty().withMessage("Device ID is required"),
-  ],
+  "/two-factor",
+  redirectIfAuthenticated,
+  [body("code").trim().notEmpty().withMessage("Please enter a code")],
   async (req, res) => {
+    const pending = getPendingTwoFactor(req)
+
+    if (!pending) {
+      return renderLoginError(res, "Your login timed out. Please log in again.")
+    }
+
+    const errors = validationResult(req)
+
+    if (!errors.isEmpty()) {
+      return res.render("two-factor", {
+        title: "Two-Factor Authentication",
+        error: errors.array()[0].msg,
+        csrfToken: res.locals.csrfToken,
+        layout: "layouts/auth"
+      })
+    }
+
     try {
-      const errors = validationResult(req)
+      const user = await User.findById(pending.userId).populate("package")
 
-      if (!errors.isEmpty()) {
-        return res.status(400).json({
-          success: false,
-          message: "Validation failed",
-          errors: errors.array()
-        })
+      if (!user || !user.isActive) {
+        delete req.session.pendingTwoFactor
+        return renderLoginError(res, "Invalid email or password")
       }
 
-      const { username, password, device_id } = req.body
-      
-      // Find user by username
-      const user = await User.findOne({ username }).populate("package")
+      // Wrong codes back off and lock the account like wrong passwords; a lockout ends this login
+      const blockedMessage = user.getLoginBlockedMessage()
+      if (blockedMessage) {
+        securityLogger.logSecurityEvent(req, "LOGIN_BLOCKED", `User ${user._id}, locked until ${user.lockedUntil.toISOString()}`)
 
-      if (!user) {
-        return res.status(401).json({
-          success: false,
-          message: "Invalid username or password"
-        })
-      }
+        if (user.isLockedOut()) {
+          delete req.session.pendingTwoFactor
+          return renderLoginError(res, blockedMessage, pending.email)
+        }
 
-      // Check if user is active
-      if (!user.isActive) {
-        return res.status(403).json({
-          success: false,
-          message: "Your account has been deactivated. Please contact support."
+        return res.render("two-factor", {
+          title: "Two-Factor Authentication",
+          error: blockedMessage,
+          csrfToken: res.locals.csrfToken,
+          layout: "layouts/auth"
         })
       }
 
-      // Check if non-admin user has valid package
-      if (!user.isAdmin() && !user.isPackageValid()) {
-        return res.status(403).json({
-          success: false,
-          message: "Your package has expired. Please contact support to renew your subscription."
-        })
-      }
+      const method = user.verifyTwoFactor(req.body.code)
 
-      // Compare password
-      const isMatch = await user.comparePassword(password)
+      if (!method) {
+        pending.attempts += 1
+        securityLogger.logSecurityEvent(req, "TWO_FACTOR_FAILED", `User ${user._id}, attempt ${pending.attempts}`)
+        await recordLoginFailure(req, user, "web")
 
-      if (!isMatch) {
-        return res.status(401).json({
-          success: false,
-          message: "Invalid username or password"
+        if (pending.attempts >= MAX_TWO_FACTOR_ATTEMPTS) {
+          delete req.session.pendingTwoFactor
+          return renderLoginError(res, "Too many invalid codes. Please log in again.", pending.email)
+        }
+
+        return res.render("two-factor", {
+          title: "Two-Factor Authentication",
+          error: "Invalid authentication code",
+          csrfToken: res.locals.csrfToken,
+          layout: "layouts/auth"
         })
       }
 
-      // Check if user has a registered device
-      if (user.registeredDeviceId) {
-        // If user has a registered device, check if it matches the provided device_id
-        if (user.registeredDeviceId !== device_id) {
-          return res.status(403).json({
-            success: false,
-            message: "This account is registered to a different device. Please use your registered device or contact support to reset your device."
-          })
-        }
-      } else {
-        // If user doesn't have a registered device, save the current device_id
-        user.registeredDeviceId = device_id
-        await user.save()
+      if (method === "recovery") {
+        securityLogger.logSecurityEvent(req, "TWO_FACTOR_RECOVERY_CODE_USED", `User ${user._id}, ${user.twoFactor.recoveryCodes.length} left`)
       }
 
-      // Update last login
-      user.lastLogin = new Date()
-      await user.save()
+      delete req.session.pendingTwoFactor
+      await completeLogin(req, res, user)
+    } catch (error) {
+      console.error("Two-factor login error:", error)
+      renderLoginError(res, "An error occurred during login. Please try again.", pending.email)
+    }
+  },
+)
 
-      // Generate a simple token for desktop app (in a real app, you might want to use JWT)
-      const token = require("crypto").randomBytes(32).toString("hex")
+// Shown whether or not an account exists, so the form does not reveal registered addresses
+const PASSWORD_RESET_SENT_MESSAGE = "If an account exists for that email address, we have sent a link to reset its password."
 
-      // Store token in session-like structure (simplified for desktop app)
-      // In a real implementation, you might want to use a proper token system
-      req.session.desktopTokens = req.session.desktopTokens || {}
-      req.session.desktopTokens[token] = {
-        userId: user._id,
-        deviceId: device_id,
-        createdAt: new Date()
+// Forgot password page
+router.get("/forgot-password", redirectIfAuthenticated, (req, res) => {
+  res.render("forgot-password", {
+    title: "Forgot Password",
+    error: null,
+    success: null,
+    email: "",
+    csrfToken: res.locals.csrfToken,
+    layout: "layouts/auth"
+  })
+})
+
+// Send a password reset link
+router.post(
+  "/forgot-password",
+  redirectIfAuthenticated,
+  [body("email").isEmail().normalizeEmail().withMessage("Please enter a valid email address")],
+  passwordResetLimiter,
+  async (req, res) => {
+    const errors = validationResult(req)
+
+    if (!errors.isEmpty()) {
+      return res.render("forgot-password", {
+        title: "Forgot Password",
+        error: errors.array()[0].msg,
+        success: null,
+        email: req.body.email || "",
+        csrfToken: res.locals.csrfToken,
+        layout: "layouts/auth"
+      })
+    }
+
+    try {
+      const user = await User.findOne({ email: req.body.email, isActive: true })
+
+      // Invited users who have not chosen a password yet need their invite link instead
+      if (user && user.password) {
+        const { token, ttlMinutes } = user.createPasswordResetToken()
+        await user.save()
+        await sendPasswordResetEmail(user, token, ttlMinutes)
+        securityLogger.logSecurityEvent(req, "PASSWORD_RESET_REQUESTED", `User ${user._id}`)
       }
 
-      // Return user data and token
-      res.json({
-        success: true,
-        message: "Login successful",
-        token: token,
-        user: {
-          id: user._id,
-          username: user.username,
-          email: user.email,
-          role: user.role,
-          isActive: user.isActive,
-          package: user.package ? {
-            id: user.package._id,
-            name: user.package.name,
-            emailCredits: user.package.emailCredits,
-            concurrencyLimit: user.package.concurrencyLimit
-          } : null,
-          packageEndDate: user.packageEndDate
-        }
+      res.render("forgot-password", {
+        title: "Forgot Password",
+        error: null,
+        success: PASSWORD_RESET_SENT_MESSAGE,
+        email: "",
+        csrfToken: res.locals.csrfToken,
+        layout: "layouts/auth"
       })
     } catch (error) {
-      console.error("Desktop login error:", error)
-      res.status(500).json({
-        success: false,
-        message: "An error occurred during login. Please try again."
+      console.error("Forgot password error:", error)
+      res.render("forgot-password", {
+        title: "Forgot Password",
+        error: "We could not send the reset email. Please try again later.",
+        success: null,
+        email: req.body.email || "",
+        csrfToken: res.locals.csrfToken,
+        layout: "layouts/auth"
       })
     }
-  }
+  },
 )
 
-// API endpoint to verify desktop app token
-router.post("/api/verify-token", async (req, res) => {
+// Reset password page, reached from the emailed link
+router.get("/reset-password/:token", redirectIfAuthenticated, async (req, res) => {
   try {
-    const { token, device_id } = req.body
+    const user = await User.findByPasswordResetToken(req.params.token)
+
+    res.render("reset-password", {
+      title: "Reset Password",
+      error: user ? null : "This password reset link is invalid or has expired.",
+      valid: Boolean(user),
+      token: req.params.token,
+      csrfToken: res.locals.csrfToken,
+      layout: "layouts/auth"
+    })
+  } catch (error) {
+    console.error("Reset password page error:", error)
+    res.redirect("/auth/forgot-password")
+  }
+})
 
-    if (!token) {
-      return res.status(400).json({
-        success: false,
-        message: "Token is required"
+// Set a new password with a reset token
+router.post(
+  "/reset-password/:token",
+  redirectIfAuthenticated,
+  [
+    passwordPolicyRule(),
+    body("confirmPassword")
+      .custom((value, { req }) => value === req.body.password)
+      .withMessage("Passwords do not match"),
+  ],
+  async (req, res) => {
+    const renderForm = (error, valid = true) => {
+      res.render("reset-password", {
+        title: "Reset Password",
+        error,
+        valid,
+        token: req.params.token,
+        csrfToken: res.locals.csrfToken,
+        layout: "layouts/auth"
       })
     }
 
-    if (!req.session.desktopTokens || !req.session.desktopTokens[token]) {
-      return res.status(401).json({
-        success: false,
-        message: "Invalid or expired token"
-      })
+    const errors = validationResult(req)
+
+    if (!errors.isEmpty()) {
+      return renderForm(errors.array()[0].msg)
     }
 
-    // Get user from token
-    const tokenData = req.session.desktopTokens[token]
-    const user = await User.findById(tokenData.userId).populate("package")
+    try {
+      // Check the password against the account before using up the link, so a refused password can be retried
+      const account = await User.findByPasswordResetToken(req.params.token)
 
-    if (!user) {
-      return res.status(401).json({
-        success: false,
-        message: "User not found"
-      })
-    }
+      if (!account) {
+        return renderForm("This password reset link is invalid or has expired.", false)
+      }
 
-    // Check if user is active
-    if (!user.isActive) {
-      return res.status(403).json({
-        success: false,
-        message: "Your account has been deactivated. Please contact support."
-      })
+      const passwordProblem = await account.checkNewPassword(req.body.password)
+
+      if (passwordProblem) {
+        return renderForm(passwordProblem)
+      }
+
+      // Clearing the token before the password changes makes the link single-use, even for concurrent submits
+      const user = await User.consumePasswordResetToken(req.params.token)
+
+      if (!user) {
+        return renderForm("This password reset link is invalid or has expired.", false)
+      }
+
+      user.password = req.body.password
+      await user.save()
+
+      // Whoever knew the old password should not stay signed in
+      await signOutEverywhere(user._id, { reason: "password_reset", revokeApiKeys: true })
+      securityLogger.logSecurityEvent(req, "PASSWORD_RESET", `User ${user._id}`)
+
+      res.redirect("/auth/login?success=" + encodeURIComponent("Your password has been reset. Please log in with your new password."))
+    } catch (error) {
+      console.error("Reset password error:", error)
+      renderForm("An error occurred while resetting your password. Please try again.")
     }
+  },
+)
+
+// Render the registration form with a new challenge
+const renderRegister = async (req, res, { error = null, submitted = false, formData = {} } = {}) => {
+  const open = await Setting.getValue("registrationEnabled")
+  const packages = open && !submitted ? await Package.find({ isActive: true }).sort({ emailCredits: 1 }) : []
+
+  res.status(open || submitted ? 200 : 404).render("register", {
+    title: "Create an Account",
+    error,
+    open,
+    submitted,
+    packages,
+    formData,
+    challenge: open && !submitted ? createChallenge(req, "register") : null,
+    honeypotField: HONEYPOT_FIELD,
+    csrfToken: res.locals.csrfToken,
+    layout: "layouts/auth"
+  })
+}
+
+// Registration page, only available while an admin has registration turned on
+router.get("/register", redirectIfAuthenticated, async (req, res) => {
+  try {
+    await renderRegister(req, res, { error: req.query.error || null })
+  } catch (error) {
+    console.error("Registration page error:", error)
+    res.redirect("/auth/login")
+  }
+})
+
+// Submit a registration for review
+router.post(
+  "/register",
+  redirectIfAuthenticated,
+  registrationLimiter,
+  [
+    body("username")
+      .isLength({ min: 3, max: 20 })
+      .matches(/^[a-zA-Z0-9_]+$/)
+      .withMessage("Username must be 3-20 characters and contain only letters, numbers, and underscores"),
+    body("email").isEmail().normalizeEmail().withMessage("Please enter a valid email address"),
+    body("package").isMongoId().withMessage("Please select a package"),
+    body("company").optional().trim().isLength({ max: 100 }).withMessage("Company name cannot exceed 100 characters"),
+    body("message").optional().trim().isLength({ max: 1000 }).withMessage("Message cannot exceed 1,000 characters"),
+  ],
+  async (req, res) => {
+    try {
+      if (!(await Setting.getValue("registrationEnabled"))) {
+        return await renderRegister(req, res)
+      }
+
+      // Checked first, so every submit uses up its challenge
+      const challengePassed = verifyChallenge(req, "register")
+      const errors = validationResult(req)
+
+      if (!errors.isEmpty()) {
+        return await renderRegister(req, res, { error: errors.array()[0].msg, formData: req.body })
+      }
+
+      if (!challengePassed) {
+        securityLogger.logSecurityEvent(req, "REGISTRATION_CHALLENGE_FAILED", `Email ${req.body.email}`)
+        return await renderRegister(req, res, { error: "The answer to the question was wrong. Please try again.", formData: req.body })
+      }
+
+      const { username, email, company, message, package: packageId } = req.body
 
-    // Check if non-admin user has valid package
-    if (!user.isAdmin() && !user.isPackageValid()) {
-      return res.status(403).json({
-        success: false,
-        message: "Your package has expired. Please contact support to renew your subscription."
+      const requestedPackage = await Package.findOne({ _id: packageId, isActive: true })
+      if (!requestedPackage) {
+        return await renderRegister(req, res, { error: "Please select a package", formData: req.body })
+      }
+
+      const existingUser = await User.exists({ $or: [{ email }, { username }] })
+      if (existingUser || (await Registration.isPendingFor({ username, email }))) {
+        return await renderRegister(req, res, { error: "That username or email address is already in use", formData: req.body })
+      }
+
+      const registration = await Registration.create({
+        username,
+        email,
+        company: company || "",
+        message: message || "",
+        requestedPackage: requestedPackage._id,
+        ip: req.ip,
+        userAgent: (req.get("User-Agent") || "").slice(0, 300),
       })
+
+      securityLogger.logSecurityEvent(req, "REGISTRATION_SUBMITTED", `Registration ${registration._id}`)
+
+      await renderRegister(req, res, { submitted: true })
+    } catch (error) {
+      console.error("Registration error:", error)
+      res.redirect("/auth/register?error=" + encodeURIComponent("An error occurred while submitting your registration. Please try again."))
     }
+  },
+)
+
+// Rendered on the invite page
+const renderInvite = (req, res, { error = null, user = null } = {}) => {
+  res.render("invite", {
+    title: "Accept Invite",
+    error,
+    valid: Boolean(user),
+    invitedUser: user,
+    token: req.params.token,
+    termsUrl: process.env.TERMS_URL || null,
+    csrfToken: res.locals.csrfToken,
+    layout: "layouts/auth"
+  })
+}
+
+const INVALID_INVITE_MESSAGE = "This invite link is invalid or has expired. Please ask us to send you a new one."
+
+// Invite page, reached from the emailed link
+router.get("/invite/:token", redirectIfAuthenticated, async (req, res) => {
+  try {
+    const user = await User.findByInviteToken(req.params.token)
+    renderInvite(req, res, { user, error: user ? null : INVALID_INVITE_MESSAGE })
+  } catch (error) {
+    console.error("Invite page error:", error)
+    renderInvite(req, res, { error: INVALID_INVITE_MESSAGE })
+  }
+})
+
+// Accept an invite: set the password and accept the terms
+router.post(
+  "/invite/:token",
+  redirectIfAuthenticated,
+  [
+    passwordPolicyRule(),
+    body("confirmPassword")
+      .custom((value, { req }) => value === req.body.password)
+      .withMessage("Passwords do not match"),
+    body("acceptTerms").equals("true").withMessage("Please accept the terms of service"),
+  ],
+  async (req, res) => {
+    try {
+      const account = await User.findByInviteToken(req.params.token)
+
+      if (!account) {
+        return renderInvite(req, res, { error: INVALID_INVITE_MESSAGE })
+      }
 
-    // Check if the user is still logged in on the same device
-    if (!req.session.activeDevices) {
-      req.session.activeDevices = {}
+      const errors = validationResult(req)
+
+      if (!errors.isEmpty()) {
+        return renderInvite(req, res, { user: account, error: errors.array()[0].msg })
+      }
+
+      const passwordProblem = await account.checkNewPassword(req.body.password)
+
+      if (passwordProblem) {
+        return renderInvite(req, res, { user: account, error: passwordProblem })
+      }
+
+      // Accepting before the password is saved makes the link single-use, even for concurrent submits
+      const user = await User.acceptInvite(req.params.token)
+
+      if (!user) {
+        return renderInvite(req, res, { error: INVALID_INVITE_MESSAGE })
+      }
+
+      // The link was emailed, so opening it proves the address
+      user.password = req.body.password
+      user.termsAcceptedAt = new Date()
+      user.emailVerified = true
+      await user.save()
+
+      securityLogger.logSecurityEvent(req, "INVITE_ACCEPTED", `User ${user._id}`)
+
+      res.redirect("/auth/login?success=" + encodeURIComponent("Your password has been set. Please log in."))
+    } catch (error) {
+      console.error("Accept invite error:", error)
+      renderInvite(req, res, { error: "An error occurred while setting up your account. Please try again." })
     }
- 
-    const userId = user._id.toString()
-
-    if (req.session.activeDevices[userId] !== device_id && tokenData.deviceId !==  device_id) {
-      // User has logged in on a different device, invalidate this token
-      delete req.session.desktopTokens[token]
-      return res.status(401).json({
-        success: false,
-        message: "Session invalidated. User logged in on a different device."
+  },
+)
+
+// Shown whether or not an unverified account exists for the address
+const VERIFICATION_SENT_MESSAGE = "If that email address belongs to an account that still needs verification, we have sent it a new verification link."
+
+// Verify an email address from the emailed link
+router.get("/verify-email/:token", async (req, res) => {
+  try {
+    const claim = readVerificationToken(req.params.token)
+    const user = claim && (await User.markEmailVerified(claim.userId, claim.email))
+
+    if (!user) {
+      return res.render("resend-verification", {
+        title: "Verify Email",
+        error: "This verification link is invalid or has expired. Request a new one below.",
+        success: null,
+        email: claim ? claim.email : "",
+        csrfToken: res.locals.csrfToken,
+        layout: "layouts/auth"
       })
     }
 
-    // Return user data
-    res.json({
-      success: true,
-      message: "Token is valid",
-      user: {
-        id: user._id,
-        username: user.username,
-        email: user.email,
-        role: user.role,
-        isActive: user.isActive,
-        package: user.package ? {
-          id: user.package._id,
-          name: user.package.name,
-          emailCredits: user.package.emailCredits,
-          concurrencyLimit: user.package.concurrencyLimit
-        } : null,
-        packageEndDate: user.packageEndDate
-      }
-    })
+    securityLogger.logSecurityEvent(req, "EMAIL_VERIFIED", `User ${user._id}`)
+
+    const message = encodeURIComponent("Your email address has been verified.")
+    res.redirect(req.session.user ? `/dashboard?success=${message}` : `/auth/login?success=${message}`)
   } catch (error) {
-    console.error("Token verification error:", error)
-    res.status(500).json({
-      success: false,
-      message: "An error occurred during token verification. Please try again."
-    })
+    console.error("Verify email error:", error)
+    res.redirect("/auth/resend-verification")
   }
 })
 
-// API endpoint for desktop application logout
-router.post("/api/logout", async (req, res) => {
-  try {
-    const { token } = req.body
+// Page to request a new verification link
+router.get("/resend-verification", (req, res) => {
+  res.render("resend-verification", {
+    title: "Verify Email",
+    error: null,
+    success: null,
+    email: req.query.email || (req.session.user ? req.session.user.email : ""),
+    csrfToken: res.locals.csrfToken,
+    layout: "layouts/auth"
+  })
+})
 
-    if (!token) {
-      return res.status(400).json({
-        success: false,
-        message: "Token is required"
+// Send a new verification link
+router.post(
+  "/resend-verification",
+  [body("email").isEmail().normalizeEmail().withMessage("Please enter a valid email address")],
+  verificationEmailLimiter,
+  async (req, res) => {
+    const errors = validationResult(req)
+
+    if (!errors.isEmpty()) {
+      return res.render("resend-verification", {
+        title: "Verify Email",
+        error: errors.array()[0].msg,
+        success: null,
+        email: req.body.email || "",
+        csrfToken: res.locals.csrfToken,
+        layout: "layouts/auth"
       })
     }
 
-    // Check if token exists in session
-    if (req.session.desktopTokens && req.session.desktopTokens[token]) {
-      // Get user from token
-      const tokenData = req.session.desktopTokens[token]
-      const userId = tokenData.userId.toString()
-      
-      // Remove device association
-      if (req.session.activeDevices && req.session.activeDevices[userId]) {
-        delete req.session.activeDevices[userId];
+    try {
+      const user = await User.findOne({ email: req.body.email, isActive: true, emailVerified: { $ne: true } })
+
+      if (user) {
+        await sendVerificationEmail(user)
       }
-      
-      // Remove token
-      delete req.session.desktopTokens[token]
-      
-      return res.json({
-        success: true,
-        message: "Logout successful"
+
+      res.render("resend-verification", {
+        title: "Verify Email",
+        error: null,
+        success: VERIFICATION_SENT_MESSAGE,
+        email: "",
+        csrfToken: res.locals.csrfToken,
+        layout: "layouts/auth"
+      })
+    } catch (error) {
+      console.error("Resend verification error:", error)
+      res.render("resend-verification", {
+        title: "Verify Email",
+        error: "We could not send the verification email. Please try again later.",
+        success: null,
+        email: req.body.email || "",
+        csrfToken: res.locals.csrfToken,
+        layout: "layouts/auth"
       })
     }
+  },
+)
 
-    res.status(401).json({
-      success: false,
-      message: "Invalid or expired token"
-    })
-  } catch (error) {
-    console.error("Desktop logout error:", error)
-    res.status(500).json({
-      success: false,
-      message: "An error occurred during logout. Please try again."
-    })
+// Handle logout
+router.post("/logout", (req, res) => {
+  // Get the user ID from session if available
+  const userId = req.session.user ? req.session.user._id.toString() : null;
+  
+  // Remove device association if exists
+  if (userId && req.session.activeDevices && req.session.activeDevices[userId]) {
+    delete req.session.activeDevices[userId];
   }
+  
+  req.session.destroy((err) => {
+    if (err) {
+      console.error("Logout error:", err)
+      return res.redirect("/dashboard")
+    }
+    res.clearCookie("sessionId")
+    res.redirect("/auth/login")
+  })
 })
 
 module.exports = router
\ No newline at end of file
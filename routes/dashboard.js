@@ -1,7 +1,18 @@
 const express = require("express")
+const QRCode = require("qrcode")
+const { body, validationResult } = require("express-validator")
 const User = require("../models/User")
 const Package = require("../models/Package")
-const { checkPackageValidity, isAdmin } = require("../middleware/auth")
+const DesktopToken = require("../models/DesktopToken")
+const Presence = require("../models/Presence")
+const UsageReport = require("../models/UsageReport")
+const ApiKey = require("../models/ApiKey")
+const { checkPackageValidity, isAdmin, checkTwoFactorCode } = require("../middleware/auth")
+const { apiKeyValidationRules, passwordPolicyRule } = require("../middleware/security")
+const { securityLogger } = require("../middleware/monitoring")
+const totp = require("../utils/totp")
+const { signOutEverywhere, listUserSessions, destroyUserSession, getSessionHandle } = require("../utils/sessions")
+const { sendVerificationEmail } = require("../utils/emails")
 
 const router = express.Router()
 
@@ -26,20 +37,33 @@ router.get("/", checkPackageValidity, async (req, res) => {
     if (user.role === "admin") {
       const statsResult = await User.getUserStats();
       const packageStats = await Package.getPackageStats();
+      const onlineUsers = await Presence.countOnlineUsers()
       
       stats = {
         totalUsers: statsResult.total,
         expiredUsers: statsResult.expired,
         expiringUsers: statsResult.expiring,
         totalPackages: packageStats.total,
+        onlineUsers: onlineUsers,
       }
     }
 
+    const [usageTotals, recentUsage] = await Promise.all([
+      UsageReport.getUserTotals(user._id),
+      UsageReport.getRecent(user._id),
+    ])
+
     res.render("dashboard", {
       title: "Dashboard",
       user: user,
       daysUntilExpiry: daysUntilExpiry,
       stats: stats,
+      transferAllowance: user.getDeviceTransferAllowance(),
+      usageTotals: usageTotals,
+      recentUsage: recentUsage,
+      success: req.query.success || null,
+      error: req.query.error || null,
+      csrfToken: res.locals.csrfToken,
       layout: "layouts/dashboard"
     })
   } catch (error) {
@@ -58,4 +82,446 @@ router.get("/", checkPackageValidity, async (req, res) => {
   }
 })
 
+// Release a registered device so the account can be used on another machine
+router.post("/devices/release", checkPackageValidity, async (req, res) => {
+  try {
+    const user = req.user
+    const { deviceId } = req.body
+
+    if (!deviceId || !user.findDevice(deviceId)) {
+      return res.redirect("/dashboard?error=Device not found")
+    }
+
+    const allowance = user.getDeviceTransferAllowance()
+
+    if (allowance.limit === 0) {
+      return res.redirect("/dashboard?error=Devices cannot be released here. Please contact support if you need to replace a device.")
+    }
+
+    if (!allowance.allowed) {
+      return res.redirect(
+        `/dashboard?error=${encodeURIComponent(`You can release another device on ${allowance.nextAvailableAt.toLocaleDateString()}. Please contact support if you need help sooner.`)}`
+      )
+    }
+
+    user.releaseDevice(deviceId, { initiatedBy: "user", performedBy: user._id, ip: req.ip })
+    await user.save()
+
+    // Sign the released device out
+    await DesktopToken.revokeAllForDevice(user._id, deviceId, "device_released")
+
+    res.redirect("/dashboard?success=Device released. You can now log in from a new device.")
+  } catch (error) {
+    console.error("Release device error:", error)
+    res.redirect("/dashboard?error=An error occurred while releasing the device")
+  }
+})
+
+// API keys page
+router.get("/api-keys", checkPackageValidity, async (req, res) => {
+  try {
+    const apiKeys = await ApiKey.findActiveForUser(req.user._id)
+
+    // A newly created key is shown once, right after creation
+    const newApiKey = req.session.newApiKey || null
+    delete req.session.newApiKey
+
+    res.render("api-keys", {
+      title: "API Keys",
+      apiKeys: apiKeys,
+      scopes: ApiKey.SCOPES,
+      maxKeys: ApiKey.MAX_KEYS_PER_USER,
+      newApiKey: newApiKey,
+      success: req.query.success || null,
+      error: req.query.error || null,
+      csrfToken: res.locals.csrfToken,
+      layout: "layouts/dashboard"
+    })
+  } catch (error) {
+    console.error("API keys error:", error)
+    res.status(500).render("error", {
+      title: "Error",
+      error: {
+        status: 500,
+        message: "An error occurred while loading your API keys.",
+      },
+      isAuthenticated: res.locals.isAuthenticated || false,
+      isAdmin: res.locals.isAdmin || false,
+      currentUser: res.locals.currentUser || null,
+      layout: "layouts/main"
+    })
+  }
+})
+
+// Create an API key
+router.post("/api-keys/create", checkPackageValidity, apiKeyValidationRules, async (req, res) => {
+  try {
+    const errors = validationResult(req)
+
+    if (!errors.isEmpty()) {
+      return res.redirect(`/dashboard/api-keys?error=${encodeURIComponent(errors.array()[0].msg)}`)
+    }
+
+    const activeKeys = await ApiKey.countDocuments({ user: req.user._id, revokedAt: null })
+
+    if (activeKeys >= ApiKey.MAX_KEYS_PER_USER) {
+      return res.redirect(`/dashboard/api-keys?error=You can have at most ${ApiKey.MAX_KEYS_PER_USER} API keys`)
+    }
+
+    const { key } = await ApiKey.generate({
+      ...ApiKey.parseForm(req.body),
+      user: req.user._id,
+      createdBy: req.user._id,
+    })
+
+    req.session.newApiKey = key
+    res.redirect("/dashboard/api-keys?success=API key created")
+  } catch (error) {
+    console.error("Create API key error:", error)
+    res.redirect("/dashboard/api-keys?error=An error occurred while creating the API key")
+  }
+})
+
+// Revoke an API key
+router.post("/api-keys/revoke", checkPackageValidity, async (req, res) => {
+  try {
+    const result = await ApiKey.updateOne(
+      { _id: req.body.keyId, user: req.user._id, revokedAt: null },
+      { revokedAt: new Date() },
+    )
+
+    if (result.modifiedCount === 0) {
+      return res.redirect("/dashboard/api-keys?error=API key not found")
+    }
+
+    res.redirect("/dashboard/api-keys?success=API key revoked")
+  } catch (error) {
+    console.error("Revoke API key error:", error)
+    res.redirect("/dashboard/api-keys?error=An error occurred while revoking the API key")
+  }
+})
+
+// Account settings page
+router.get("/account", checkPackageValidity, async (req, res) => {
+  try {
+    const sessions = await listUserSessions(req.user._id, req.sessionID)
+
+    res.render("account", {
+      title: "Account Settings",
+      user: req.user,
+      loginHistory: req.user.loginHistory.slice().reverse(),
+      sessions,
+      success: req.query.success || null,
+      error: req.query.error || null,
+      csrfToken: res.locals.csrfToken,
+      layout: "layouts/dashboard"
+    })
+  } catch (error) {
+    console.error("Account page error:", error)
+    res.status(500).render("error", {
+      title: "Error",
+      error: {
+        status: 500,
+        message: "An error occurred while loading your account settings.",
+      },
+      isAuthenticated: res.locals.isAuthenticated || false,
+      isAdmin: res.locals.isAdmin || false,
+      currentUser: res.locals.currentUser || null,
+      layout: "layouts/main"
+    })
+  }
+})
+
+// Sign out one of the user's other web sessions
+router.post("/sessions/revoke", checkPackageValidity, async (req, res) => {
+  try {
+    const { session } = req.body
+
+    if (session === getSessionHandle(req.sessionID)) {
+      return res.redirect("/dashboard/account?error=Use Logout to end the session you are using")
+    }
+
+    const revoked = await destroyUserSession(req.user._id, session)
+
+    if (!revoked) {
+      return res.redirect("/dashboard/account?error=Session not found or already ended")
+    }
+
+    securityLogger.logSecurityEvent(req, "WEB_SESSION_REVOKED", `User ${req.user._id}`)
+
+    res.redirect("/dashboard/account?success=The session was signed out")
+  } catch (error) {
+    console.error("Revoke session error:", error)
+    res.redirect("/dashboard/account?error=An error occurred while signing out the session")
+  }
+})
+
+// Keep the session's copy of the user in step after a self-service change,
+// and end the user's other web sessions and desktop logins
+// API keys are only revoked when the password changes, not for a new username or email address
+const finishAccountChange = async (req, user, reason) => {
+  req.session.user.username = user.username
+  req.session.user.email = user.email
+  await signOutEverywhere(user._id, { reason, exceptSessionId: req.sessionID, revokeApiKeys: reason === "password_changed" })
+}
+
+// Change username and email
+router.post(
+  "/account/profile",
+  checkPackageValidity,
+  [
+    body("username")
+      .isLength({ min: 3, max: 20 })
+      .matches(/^[a-zA-Z0-9_]+$/)
+      .withMessage("Username must be 3-20 characters and contain only letters, numbers, and underscores"),
+    body("email").isEmail().normalizeEmail().withMessage("Please enter a valid email address"),
+    body("currentPassword").notEmpty().withMessage("Please enter your current password"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+
+      if (!errors.isEmpty()) {
+        return res.redirect(`/dashboard/account?error=${encodeURIComponent(errors.array()[0].msg)}`)
+      }
+
+      const user = req.user
+      const { username, email, currentPassword } = req.body
+
+      if (username === user.username && email === user.email) {
+        return res.redirect("/dashboard/account?error=Nothing to change")
+      }
+
+      if (!(await user.comparePassword(currentPassword))) {
+        return res.redirect("/dashboard/account?error=Your current password is incorrect")
+      }
+
+      const existingUser = await User.findOne({
+        _id: { $ne: user._id },
+        $or: [{ email }, { username }],
+      })
+
+      if (existingUser) {
+        return res.redirect("/dashboard/account?error=Username or email is already taken")
+      }
+
+      // A new address has to be verified again
+      const emailChanged = user.email !== email
+      user.username = username
+      if (emailChanged) {
+        user.email = email
+        user.emailVerified = false
+      }
+
+      await user.save()
+      await finishAccountChange(req, user, "account_updated")
+
+      securityLogger.logSecurityEvent(req, "ACCOUNT_UPDATED", `User ${user._id}${emailChanged ? ", email changed" : ""}`)
+
+      if (!emailChanged) {
+        return res.redirect("/dashboard/account?success=Your account details were updated")
+      }
+
+      try {
+        await sendVerificationEmail(user)
+      } catch (error) {
+        console.error("Verification email error:", error)
+        return res.redirect("/dashboard/account?error=Your email address was changed, but the verification email could not be sent. Please request a new link.")
+      }
+
+      res.redirect(`/dashboard/account?success=${encodeURIComponent(`Your account details were updated. We sent a verification link to ${email}.`)}`)
+    } catch (error) {
+      console.error("Update account error:", error)
+      res.redirect("/dashboard/account?error=An error occurred while updating your account")
+    }
+  },
+)
+
+// Change password
+router.post(
+  "/account/password",
+  checkPackageValidity,
+  [
+    body("currentPassword").notEmpty().withMessage("Please enter your current password"),
+    passwordPolicyRule("newPassword"),
+    body("confirmPassword")
+      .custom((value, { req }) => value === req.body.newPassword)
+      .withMessage("Passwords do not match"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+
+      if (!errors.isEmpty()) {
+        return res.redirect(`/dashboard/account?error=${encodeURIComponent(errors.array()[0].msg)}`)
+      }
+
+      const user = req.user
+
+      if (!(await user.comparePassword(req.body.currentPassword))) {
+        return res.redirect("/dashboard/account?error=Your current password is incorrect")
+      }
+
+      const passwordProblem = await user.checkNewPassword(req.body.newPassword)
+
+      if (passwordProblem) {
+        return res.redirect(`/dashboard/account?error=${encodeURIComponent(passwordProblem)}`)
+      }
+
+      user.password = req.body.newPassword
+      await user.save()
+      await finishAccountChange(req, user, "password_changed")
+
+      securityLogger.logSecurityEvent(req, "PASSWORD_CHANGED", `User ${user._id}`)
+
+      res.redirect("/dashboard/account?success=Your password was changed. Your other sessions and devices have been signed out.")
+    } catch (error) {
+      console.error("Change password error:", error)
+      res.redirect("/dashboard/account?error=An error occurred while changing your password")
+    }
+  },
+)
+
+// Two-factor authentication settings
+router.get("/two-factor", checkPackageValidity, async (req, res) => {
+  try {
+    const user = req.user
+    let enrollment = null
+
+    // Keep the secret being enrolled in the session until the user confirms a code from it
+    if (!user.twoFactor.enabled) {
+      if (!req.session.twoFactorSecret) {
+        req.session.twoFactorSecret = totp.generateSecret()
+      }
+      enrollment = {
+        secret: req.session.twoFactorSecret,
+        qrCode: await QRCode.toDataURL(totp.getOtpauthUrl(req.session.twoFactorSecret, user.email)),
+      }
+    }
+
+    // New recovery codes are shown once, right after they are generated
+    const recoveryCodes = req.session.newRecoveryCodes || null
+    delete req.session.newRecoveryCodes
+
+    res.render("two-factor-settings", {
+      title: "Two-Factor Authentication",
+      user: user,
+      enrollment: enrollment,
+      recoveryCodes: recoveryCodes,
+      required: totp.isTwoFactorRequired(user.role),
+      success: req.query.success || null,
+      error: req.query.error || null,
+      csrfToken: res.locals.csrfToken,
+      layout: "layouts/dashboard"
+    })
+  } catch (error) {
+    console.error("Two-factor settings error:", error)
+    res.status(500).render("error", {
+      title: "Error",
+      error: {
+        status: 500,
+        message: "An error occurred while loading your two-factor settings.",
+      },
+      isAuthenticated: res.locals.isAuthenticated || false,
+      isAdmin: res.locals.isAdmin || false,
+      currentUser: res.locals.currentUser || null,
+      layout: "layouts/main"
+    })
+  }
+})
+
+const twoFactorCodeRules = [body("code").trim().notEmpty().withMessage("Please enter a code from your authenticator app")]
+
+// Turn on two-factor authentication with a code from the newly added authenticator
+router.post("/two-factor/enable", checkPackageValidity, twoFactorCodeRules, async (req, res) => {
+  try {
+    const errors = validationResult(req)
+
+    if (!errors.isEmpty()) {
+      return res.redirect(`/dashboard/two-factor?error=${encodeURIComponent(errors.array()[0].msg)}`)
+    }
+
+    if (req.user.twoFactor.enabled) {
+      return res.redirect("/dashboard/two-factor?error=Two-factor authentication is already on")
+    }
+
+    if (!req.session.twoFactorSecret) {
+      return res.redirect("/dashboard/two-factor?error=Your setup expired. Please scan the new QR code.")
+    }
+
+    const recoveryCodes = req.user.enableTwoFactor(req.session.twoFactorSecret, req.body.code)
+
+    if (!recoveryCodes) {
+      return res.redirect("/dashboard/two-factor?error=Invalid code. Check that your device's clock is correct and try again.")
+    }
+
+    await req.user.save()
+    delete req.session.twoFactorSecret
+    req.session.newRecoveryCodes = recoveryCodes
+
+    securityLogger.logSecurityEvent(req, "TWO_FACTOR_ENABLED", `User ${req.user._id}`)
+
+    res.redirect("/dashboard/two-factor?success=Two-factor authentication is now on")
+  } catch (error) {
+    console.error("Enable two-factor error:", error)
+    res.redirect("/dashboard/two-factor?error=An error occurred while turning on two-factor authentication")
+  }
+})
+
+// Replace the recovery codes
+router.post("/two-factor/recovery-codes", checkPackageValidity, twoFactorCodeRules, async (req, res) => {
+  try {
+    const errors = validationResult(req)
+
+    if (!errors.isEmpty()) {
+      return res.redirect(`/dashboard/two-factor?error=${encodeURIComponent(errors.array()[0].msg)}`)
+    }
+
+    const codeError = await checkTwoFactorCode(req, req.user)
+    if (codeError) {
+      return res.redirect(`/dashboard/two-factor?error=${encodeURIComponent(codeError)}`)
+    }
+
+    req.session.newRecoveryCodes = req.user.regenerateRecoveryCodes()
+    await req.user.save()
+
+    securityLogger.logSecurityEvent(req, "TWO_FACTOR_RECOVERY_CODES_REGENERATED", `User ${req.user._id}`)
+
+    res.redirect("/dashboard/two-factor?success=New recovery codes generated. Your old codes no longer work.")
+  } catch (error) {
+    console.error("Regenerate recovery codes error:", error)
+    res.redirect("/dashboard/two-factor?error=An error occurred while generating recovery codes")
+  }
+})
+
+// Turn off two-factor authentication
+router.post("/two-factor/disable", checkPackageValidity, twoFactorCodeRules, async (req, res) => {
+  try {
+    const errors = validationResult(req)
+
+    if (!errors.isEmpty()) {
+      return res.redirect(`/dashboard/two-factor?error=${encodeURIComponent(errors.array()[0].msg)}`)
+    }
+
+    if (totp.isTwoFactorRequired(req.user.role)) {
+      return res.redirect("/dashboard/two-factor?error=Two-factor authentication is required for your account")
+    }
+
+    const codeError = await checkTwoFactorCode(req, req.user)
+    if (codeError) {
+      return res.redirect(`/dashboard/two-factor?error=${encodeURIComponent(codeError)}`)
+    }
+
+    req.user.disableTwoFactor()
+    await req.user.save()
+
+    securityLogger.logSecurityEvent(req, "TWO_FACTOR_DISABLED", `User ${req.user._id}`)
+
+    res.redirect("/dashboard/two-factor?success=Two-factor authentication is now off")
+  } catch (error) {
+    console.error("Disable two-factor error:", error)
+    res.redirect("/dashboard/two-factor?error=An error occurred while turning off two-factor authentication")
+  }
+})
+
 module.exports = router
\ No newline at end of file
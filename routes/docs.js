@@ -0,0 +1,32 @@
+const express = require("express")
+const apiRoutes = require("./api")
+const { buildOpenApiDocument, listOperationsByTag } = require("../utils/openapi")
+
+const router = express.Router()
+
+// The document only changes with the code, so it is built once
+let openApiDocument = null
+const getOpenApiDocument = () => {
+  if (!openApiDocument) {
+    openApiDocument = buildOpenApiDocument(apiRoutes, "/api/v1")
+  }
+  return openApiDocument
+}
+
+// Interactive documentation of the desktop API
+router.get("/", (req, res) => {
+  const spec = getOpenApiDocument()
+
+  res.render("api-docs", {
+    title: "API Documentation",
+    spec,
+    groups: listOperationsByTag(spec),
+  })
+})
+
+// OpenAPI document of the desktop API
+router.get("/openapi.json", (req, res) => {
+  res.json(getOpenApiDocument())
+})
+
+module.exports = router
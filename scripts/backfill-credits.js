@@ -0,0 +1,57 @@
+const mongoose = require("mongoose")
+require("dotenv").config()
+
+const CreditTransaction = require("../models/CreditTransaction")
+require("../models/Package")
+const User = require("../models/User")
+
+// Grant existing users the credits of their package
+// Users created before the credit ledger have no ledger entries and a balance of 0; users that
+// already have entries are skipped, so the script can be run again safely
+async function backfillCredits() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI)
+
+    console.log("Connected to MongoDB")
+
+    const users = await User.find({
+      package: { $ne: null },
+      packageEndDate: { $gt: new Date() },
+    })
+      .select("username package")
+      .populate("package", "name emailCredits")
+
+    let granted = 0
+
+    for (const user of users) {
+      if (!user.package || user.package.emailCredits <= 0) {
+        continue
+      }
+
+      if (await CreditTransaction.exists({ user: user._id })) {
+        continue
+      }
+
+      await CreditTransaction.grant(user._id, user.package.emailCredits, {
+        note: `Initial ${user.package.name} package credits`,
+      })
+      granted++
+      console.log(`Granted ${user.package.emailCredits} credits to ${user.username}`)
+    }
+
+    console.log(`Credit backfill completed: ${granted} of ${users.length} users with a current package were granted credits`)
+  } catch (error) {
+    console.error("Credit backfill failed:", error)
+    process.exitCode = 1
+  } finally {
+    await mongoose.connection.close()
+    console.log("Database connection closed")
+  }
+}
+
+// Run the backfill if this file is executed directly
+if (require.main === module) {
+  backfillCredits()
+}
+
+module.exports = backfillCredits
@@ -0,0 +1,182 @@
+const { validationResult } = require("express-validator")
+const apiRoutes = require("../routes/api")
+const { getRoutes, buildOpenApiDocument, findDocumentationGaps, validateSchema } = require("../utils/openapi")
+
+// Check the OpenAPI document of the desktop API
+//
+// Without arguments, every route must be documented, every example must match its schema and
+// every request example must pass the route's own express-validator chains.
+//
+// With --base-url, --username and --password, a test account is also taken through every endpoint
+// of a running server and each real response is checked against the document. This consumes one
+// email credit, stores a usage report and registers the device "openapi-check", so use a test account.
+
+const DEVICE_ID = "openapi-check"
+
+function parseArgs(argv) {
+  const args = {}
+  for (let i = 0; i < argv.length; i += 2) {
+    args[argv[i].replace(/^--/, "")] = argv[i + 1]
+  }
+  return args
+}
+
+// Check the document's examples against its schemas and the routes' validation chains
+async function checkExamples(document, problems) {
+  const gaps = findDocumentationGaps(apiRoutes)
+  gaps.undocumented.forEach((key) => problems.push(`${key}: route is not documented in config/openapi.js`))
+  gaps.unknown.forEach((key) => problems.push(`${key}: documented in config/openapi.js but no such route exists`))
+
+  for (const route of getRoutes(apiRoutes)) {
+    const operation = document.paths[route.path][route.method]
+
+    Object.keys(operation.responses).forEach((status) => {
+      const content = operation.responses[status].content
+      const media = content && content["application/json"]
+      if (!media) return
+
+      if (media.example === undefined) {
+        problems.push(`${route.key} ${status}: response has no example`)
+        return
+      }
+
+      validateSchema(document, media.schema, media.example).forEach((problem) => {
+        problems.push(`${route.key} ${status} example: ${problem}`)
+      })
+    })
+
+    // Request examples must be accepted by the route itself
+    const requestBody = operation.requestBody && operation.requestBody.content["application/json"]
+    const queryParameters = (operation.parameters || []).filter((parameter) => parameter.in === "query")
+    let example = {}
+
+    if (requestBody) {
+      example = requestBody.example || {}
+      validateSchema(document, requestBody.schema, example).forEach((problem) => {
+        problems.push(`${route.key} request example: ${problem}`)
+      })
+      Object.keys(example)
+        .filter((key) => !requestBody.schema.properties[key])
+        .forEach((key) => problems.push(`${route.key} request example: ${key} is not a documented field`))
+    } else {
+      queryParameters.forEach((parameter) => {
+        if (parameter.example !== undefined) example[parameter.name] = parameter.example
+      })
+    }
+
+    const req = {
+      body: route.method === "get" ? {} : { ...example },
+      query: route.method === "get" ? { ...example } : {},
+      headers: {},
+      params: {},
+      cookies: {},
+    }
+
+    for (const handler of route.handlers.filter((item) => item.builder)) {
+      await handler.run(req)
+    }
+
+    validationResult(req)
+      .array()
+      .forEach((error) => problems.push(`${route.key} request example rejected by the route: ${error.path}: ${error.msg}`))
+  }
+}
+
+// Take a test account through every endpoint and check the real responses
+async function checkLiveServer(document, { baseUrl, username, password }, problems) {
+  const state = {}
+  const base = `${baseUrl.replace(/\/$/, "")}${document.servers[0].url}`
+
+  const call = async (method, path, body, query) => {
+    const headers = { "Content-Type": "application/json", "X-Device-ID": DEVICE_ID }
+    if (state.token) headers.Authorization = `Bearer ${state.token}`
+
+    const url = `${base}${path}${query ? `?${new URLSearchParams(query)}` : ""}`
+    const response = await fetch(url, { method: method.toUpperCase(), headers, body: body ? JSON.stringify(body) : undefined })
+    const data = await response.json()
+    const key = `${method} ${path}`
+    const documented = document.paths[path][method].responses[response.status]
+
+    if (!response.headers.get("X-Request-ID")) {
+      problems.push(`${key}: response has no X-Request-ID header`)
+    }
+
+    if (!documented) {
+      problems.push(`${key}: status ${response.status} is not documented (${data.code || data.message})`)
+    } else {
+      validateSchema(document, documented.content["application/json"].schema, data).forEach((problem) => {
+        problems.push(`${key} ${response.status} response: ${problem}`)
+      })
+    }
+
+    console.log(`${response.status} ${method.toUpperCase()} ${path}`)
+    return { status: response.status, data }
+  }
+
+  const login = await call("post", "/login", { username, password, device_id: DEVICE_ID, device_name: "OpenAPI check" })
+  if (login.status !== 200) {
+    problems.push(`Login failed with ${login.status}, remaining endpoints were not checked`)
+    return
+  }
+  state.token = login.data.token
+
+  await call("post", "/verify-token", { token: state.token, device_id: DEVICE_ID })
+  await call("get", "/credits")
+  await call("post", "/credits/consume", { amount: 1, reference: DEVICE_ID })
+  await call("get", "/slots")
+
+  const lease = await call("post", "/slots/acquire", { slots: 1 })
+  if (lease.status === 200) {
+    await call("post", "/slots/heartbeat", { lease_id: lease.data.leaseId })
+    await call("post", "/slots/release", { lease_id: lease.data.leaseId })
+  }
+
+  await call("post", "/usage", { checked: 1, valid: 1 })
+  await call("post", "/heartbeat", { app_version: "0.0.0" })
+  await call("get", "/license/keys")
+  await call("get", "/update-manifest", null, { channel: "stable" })
+
+  const refreshed = await call("post", "/refresh", { refresh_token: login.data.refreshToken, device_id: DEVICE_ID })
+  if (refreshed.status === 200) {
+    state.token = refreshed.data.token
+  }
+
+  await call("post", "/logout", { token: state.token })
+}
+
+async function checkOpenApi() {
+  const args = parseArgs(process.argv.slice(2))
+  const document = buildOpenApiDocument(apiRoutes, "/api/v1")
+  const problems = []
+
+  await checkExamples(document, problems)
+
+  if (args["base-url"]) {
+    if (!args.username || !args.password) {
+      console.error("--username and --password are required with --base-url")
+      return 1
+    }
+    await checkLiveServer(document, { baseUrl: args["base-url"], username: args.username, password: args.password }, problems)
+  }
+
+  if (problems.length > 0) {
+    console.error(`OpenAPI check failed with ${problems.length} problem(s):`)
+    problems.forEach((problem) => console.error(`- ${problem}`))
+    return 1
+  }
+
+  console.log(`OpenAPI check passed for ${Object.keys(document.paths).length} paths`)
+  return 0
+}
+
+// Run the check if this file is executed directly
+if (require.main === module) {
+  checkOpenApi()
+    .then((code) => process.exit(code))
+    .catch((error) => {
+      console.error("OpenAPI check failed:", error)
+      process.exit(1)
+    })
+}
+
+module.exports = checkOpenApi
@@ -0,0 +1,25 @@
+const crypto = require("crypto")
+
+// Generate an Ed25519 key pair for signing offline licenses
+function generateLicenseKey() {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync("ed25519")
+
+  // Environment files take single-line values, so newlines are escaped
+  const escape = (pem) => pem.trim().replace(/\n/g, "\\n")
+
+  const privatePem = privateKey.export({ type: "pkcs8", format: "pem" })
+  const publicPem = publicKey.export({ type: "spki", format: "pem" })
+
+  console.log("Add the private key to your environment:\n")
+  console.log(`LICENSE_SIGNING_KEY="${escape(privatePem)}"\n`)
+  console.log("When rotating, append the previous key's public key to LICENSE_RETIRED_PUBLIC_KEYS.")
+  console.log("Public key of this key pair:\n")
+  console.log(`"${escape(publicPem)}"`)
+}
+
+// Run key generation if this file is executed directly
+if (require.main === module) {
+  generateLicenseKey()
+}
+
+module.exports = generateLicenseKey
@@ -14,6 +14,9 @@ async function seedDatabase() {
     // Create default packages
     await Package.createDefaultPackages()
 
+    // Give packages from before the entitlement catalogue their entitlements
+    await Package.migrateEntitlements()
+
     // Create default admin user
     await User.createDefaultAdmin()
 
@@ -0,0 +1,126 @@
+const { describe, it, afterEach } = require("node:test")
+const assert = require("node:assert/strict")
+const fs = require("fs")
+const os = require("os")
+const path = require("path")
+
+const policyModulePath = require.resolve("../../config/passwordPolicy")
+const passwordPolicy = require("../../config/passwordPolicy")
+
+const SETTINGS = ["PASSWORD_MIN_LENGTH", "PASSWORD_MIN_CHARACTER_CLASSES", "PASSWORD_HISTORY", "PASSWORD_MAX_AGE_DAYS", "PASSWORD_BLOCKLIST_FILE"]
+
+afterEach(() => {
+  SETTINGS.forEach((name) => delete process.env[name])
+})
+
+describe("getPasswordPolicy", () => {
+  it("has defaults", () => {
+    assert.deepEqual(passwordPolicy.getPasswordPolicy(), { minLength: 8, minCharacterClasses: 2, historySize: 5, maxAgeDays: 0 })
+  })
+
+  it("reads settings from the environment, keeping an explicit 0", () => {
+    process.env.PASSWORD_MIN_LENGTH = "12"
+    process.env.PASSWORD_MIN_CHARACTER_CLASSES = "3"
+    process.env.PASSWORD_HISTORY = "0"
+    process.env.PASSWORD_MAX_AGE_DAYS = "90"
+
+    assert.deepEqual(passwordPolicy.getPasswordPolicy(), { minLength: 12, minCharacterClasses: 3, historySize: 0, maxAgeDays: 90 })
+  })
+
+  it("keeps settings within their range and ignores invalid values", () => {
+    process.env.PASSWORD_MIN_LENGTH = "500"
+    process.env.PASSWORD_MIN_CHARACTER_CLASSES = "9"
+    process.env.PASSWORD_HISTORY = "-1"
+    process.env.PASSWORD_MAX_AGE_DAYS = "often"
+
+    assert.deepEqual(passwordPolicy.getPasswordPolicy(), { minLength: 72, minCharacterClasses: 4, historySize: 0, maxAgeDays: 0 })
+  })
+})
+
+describe("validatePassword", () => {
+  const account = { username: "bobsmith", email: "robert.jones@example.com" }
+
+  it("accepts a password that follows the policy", () => {
+    assert.deepEqual(passwordPolicy.validatePassword("Tangerine-Harbor", account), [])
+    assert.deepEqual(passwordPolicy.validatePassword("river7stone", account), [])
+  })
+
+  it("refuses short passwords", () => {
+    assert.deepEqual(passwordPolicy.validatePassword("Ab1!xyz", account), ["Password must be at least 8 characters long"])
+  })
+
+  it("refuses passwords longer than bcrypt can use", () => {
+    const problems = passwordPolicy.validatePassword(`A1${"é".repeat(36)}`, account)
+    assert.deepEqual(problems, ["Password cannot be longer than 72 characters"])
+  })
+
+  it("refuses passwords with too few character classes", () => {
+    const [problem] = passwordPolicy.validatePassword("riverstonecanyon", account)
+    assert.match(problem, /at least 2 of: lowercase letters, uppercase letters, numbers, symbols/)
+
+    process.env.PASSWORD_MIN_CHARACTER_CLASSES = "4"
+    assert.equal(passwordPolicy.validatePassword("river7stone", account).length, 1)
+    assert.deepEqual(passwordPolicy.validatePassword("River7stone!", account), [])
+  })
+
+  it("refuses passwords containing the username or email name", () => {
+    const message = "Password cannot contain your username or email address"
+
+    assert.deepEqual(passwordPolicy.validatePassword("xBobSmith9", account), [message])
+    assert.deepEqual(passwordPolicy.validatePassword("Robert.Jones1", account), [message])
+    // Very short usernames would refuse too much
+    assert.deepEqual(passwordPolicy.validatePassword("Calendar-ab1", { username: "ab" }), [])
+  })
+
+  it("refuses blocklisted passwords, also with digits or symbols added", () => {
+    for (const password of ["password", "Password123!", "iloveyou2024", "QWERTY123"]) {
+      const problems = passwordPolicy.validatePassword(password, account)
+      assert.ok(problems.some((problem) => /too common/.test(problem)), password)
+    }
+  })
+
+  it("reports every problem", () => {
+    assert.equal(passwordPolicy.validatePassword("bobsmith", account).length, 2)
+    assert.equal(passwordPolicy.validatePassword("", account).length, 2)
+    assert.equal(passwordPolicy.validatePassword(undefined).length, 2)
+  })
+})
+
+describe("isBlocklisted", () => {
+  it("only strips characters from the end of a password", () => {
+    assert.equal(passwordPolicy.isBlocklisted("Password!!"), true)
+    assert.equal(passwordPolicy.isBlocklisted("1password"), false)
+    // Stems shorter than 4 letters are not looked up
+    assert.equal(passwordPolicy.isBlocklisted("abc99999"), false)
+  })
+
+  it("adds the entries of PASSWORD_BLOCKLIST_FILE", () => {
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "blocklist-")), "extra.txt")
+    fs.writeFileSync(file, "# company names\nGlobexCorp\n\n")
+    process.env.PASSWORD_BLOCKLIST_FILE = file
+
+    // The lists are read once per process, so load a fresh copy of the module
+    delete require.cache[policyModulePath]
+    const freshPolicy = require(policyModulePath)
+
+    try {
+      assert.equal(freshPolicy.isBlocklisted("globexcorp2024!"), true)
+      assert.equal(freshPolicy.isBlocklisted("password1"), true)
+      assert.equal(passwordPolicy.isBlocklisted("globexcorp2024!"), false)
+    } finally {
+      fs.rmSync(path.dirname(file), { recursive: true })
+    }
+  })
+})
+
+describe("getClientPasswordPolicy", () => {
+  it("describes the rules the browser can check", () => {
+    process.env.PASSWORD_MIN_LENGTH = "10"
+
+    const policy = passwordPolicy.getClientPasswordPolicy()
+    assert.equal(policy.minLength, 10)
+    assert.equal(policy.minCharacterClasses, 2)
+    assert.match(policy.description, /^At least 10 characters, with at least 2 of/)
+    assert.equal("historySize" in policy, false)
+  })
+})
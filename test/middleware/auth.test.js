@@ -0,0 +1,134 @@
+const { describe, it, beforeEach, afterEach, mock } = require("node:test")
+const assert = require("node:assert/strict")
+const mongoose = require("mongoose")
+
+const User = require("../../models/User")
+const ApiKey = require("../../models/ApiKey")
+const totp = require("../../utils/totp")
+const { securityLogger } = require("../../middleware/monitoring")
+const { checkTwoFactorCode, authenticateDesktopToken } = require("../../middleware/auth")
+
+const SECRET = "GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ"
+
+describe("checkTwoFactorCode", () => {
+  const userId = new mongoose.Types.ObjectId()
+  let stored
+
+  beforeEach(() => {
+    // Stands in for the stored lockout state, with the atomic updates recordFailedLogin makes
+    stored = { failedLoginAttempts: 0, lockedUntil: null }
+    mock.method(User, "findByIdAndUpdate", async (id, update) => {
+      stored.failedLoginAttempts += update.$inc.failedLoginAttempts
+      return { failedLoginAttempts: stored.failedLoginAttempts }
+    })
+    mock.method(User, "updateOne", async (filter, update) => {
+      if (!stored.lockedUntil || update.$max.lockedUntil > stored.lockedUntil) {
+        stored.lockedUntil = update.$max.lockedUntil
+      }
+    })
+    mock.method(securityLogger, "logSecurityEvent", () => {})
+  })
+
+  afterEach(() => {
+    mock.restoreAll()
+  })
+
+  // The signed-in user as loaded for each request, with two-factor authentication on
+  const loadUser = () => {
+    return new User({
+      _id: userId,
+      username: "bob",
+      email: "bob@example.com",
+      role: "user",
+      twoFactor: { enabled: true, secret: SECRET, recoveryCodes: [] },
+      ...stored,
+    })
+  }
+
+  const request = (code) => ({ body: { code }, ip: "203.0.113.1", get: () => "test-agent" })
+
+  it("accepts the right code and forgets earlier failures", async () => {
+    stored.failedLoginAttempts = 2
+    const user = loadUser()
+
+    assert.equal(await checkTwoFactorCode(request(totp.generateCode(SECRET, totp.getTimeStep())), user), null)
+    assert.equal(user.failedLoginAttempts, 0)
+    assert.equal(user.lockedUntil, null)
+  })
+
+  it("counts wrong codes towards the login lockout", async () => {
+    assert.equal(await checkTwoFactorCode(request("000000"), loadUser()), "Invalid authentication code")
+
+    assert.equal(stored.failedLoginAttempts, 1)
+    assert.ok(stored.lockedUntil > new Date())
+  })
+
+  it("blocks repeated wrong codes, also when the right code follows", async () => {
+    for (let i = 0; i < 5; i++) {
+      // Wait out the delay before the lockout, as a patient attacker would
+      stored.lockedUntil = null
+      await checkTwoFactorCode(request("000000"), loadUser())
+    }
+
+    const user = loadUser()
+    assert.equal(user.isLockedOut(), true)
+
+    const message = await checkTwoFactorCode(request(totp.generateCode(SECRET, totp.getTimeStep())), user)
+    assert.match(message, /temporarily locked/)
+    assert.equal(stored.failedLoginAttempts, 5)
+  })
+})
+
+describe("authenticateDesktopToken with an API key", () => {
+  const key = `${ApiKey.KEY_PREFIX}${"ab".repeat(24)}`
+  let user
+
+  beforeEach(() => {
+    user = new User({
+      username: "bob",
+      email: "bob@example.com",
+      role: "admin",
+      passwordChangedAt: new Date(Date.now() - 100 * 24 * 60 * 60 * 1000),
+    })
+    const apiKey = new ApiKey({ user: user._id, name: "CI", prefix: key.slice(0, 12), keyHash: ApiKey.hashKey(key), scopes: ["usage:write"] })
+
+    mock.method(ApiKey, "findByKey", async () => apiKey)
+    mock.method(apiKey, "recordUse", async () => {})
+    mock.method(User, "findById", () => ({ populate: async () => user }))
+  })
+
+  afterEach(() => {
+    mock.restoreAll()
+    delete process.env.PASSWORD_MAX_AGE_DAYS
+  })
+
+  // Runs the middleware and returns the error code sent, or null when the request went through
+  const authenticate = async () => {
+    const req = { id: "test", get: (name) => (name === "Authorization" ? `Bearer ${key}` : undefined), body: {}, ip: "203.0.113.1" }
+    let sent = null
+    const res = {
+      req,
+      status() {
+        return this
+      },
+      json(body) {
+        sent = body.error.code
+        return this
+      },
+    }
+    let passed = false
+    await authenticateDesktopToken(req, res, () => {
+      passed = true
+    })
+    return passed ? null : sent
+  }
+
+  it("accepts the key while the password is current", async () => {
+    assert.equal(await authenticate(), null)
+  })
+
+  it("refuses the key once the password has expired", async () => {
+    process.env.PASSWORD_MAX_AGE_DAYS = "90"
+    assert.equal(await authenticate(), "PASSWORD_EXPIRED")
+  })
+})
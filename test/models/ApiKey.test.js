@@ -0,0 +1,39 @@
+const { describe, it } = require("node:test")
+const assert = require("node:assert/strict")
+const mongoose = require("mongoose")
+
+const ApiKey = require("../../models/ApiKey")
+
+const buildKey = (allowedIps) => new ApiKey({ user: new mongoose.Types.ObjectId(), name: "CI", prefix: "gck_12345678", keyHash: "hash", allowedIps })
+
+describe("ApiKey IP restriction", () => {
+  it("allows every address without a restriction", () => {
+    assert.equal(buildKey([]).isIpAllowed("198.51.100.7"), true)
+  })
+
+  it("matches IPv4 addresses that arrive in IPv4-mapped IPv6 form", () => {
+    const apiKey = buildKey(["203.0.113.5"])
+
+    assert.equal(apiKey.isIpAllowed("::ffff:203.0.113.5"), true)
+    assert.equal(apiKey.isIpAllowed("203.0.113.5"), true)
+    assert.equal(apiKey.isIpAllowed("::ffff:203.0.113.6"), false)
+    assert.equal(apiKey.isIpAllowed(undefined), false)
+  })
+
+  it("stores addresses in one form", () => {
+    const apiKey = buildKey([" ::FFFF:203.0.113.5 ", "2001:DB8::1"])
+
+    assert.deepEqual([...apiKey.allowedIps], ["203.0.113.5", "2001:db8::1"])
+    assert.equal(apiKey.isIpAllowed("2001:db8::1"), true)
+  })
+
+  it("matches addresses stored before they were normalized", () => {
+    const apiKey = ApiKey.hydrate({ _id: new mongoose.Types.ObjectId(), allowedIps: ["::ffff:203.0.113.5"] })
+    assert.equal(apiKey.isIpAllowed("203.0.113.5"), true)
+  })
+
+  it("normalizes the addresses entered in the form", () => {
+    const { allowedIps } = ApiKey.parseForm({ name: "CI", scopes: "usage:write", allowedIps: "::ffff:203.0.113.5,\n 2001:DB8::1 " })
+    assert.deepEqual(allowedIps, ["203.0.113.5", "2001:db8::1"])
+  })
+})
@@ -0,0 +1,130 @@
+const { describe, it, beforeEach, afterEach, mock } = require("node:test")
+const assert = require("node:assert/strict")
+const mongoose = require("mongoose")
+
+const DesktopToken = require("../../models/DesktopToken")
+
+// Keeps token documents in memory in place of the collection, for the queries the token statics use
+const useMemoryStore = () => {
+  const tokens = []
+  const matches = (token, filter) => Object.keys(filter).every((key) => String(token[key] ?? null) === String(filter[key] ?? null))
+
+  mock.method(DesktopToken, "create", async (docs) => {
+    const created = docs.map((doc) => new DesktopToken(doc))
+    tokens.push(...created)
+    return created
+  })
+  mock.method(DesktopToken, "findOneAndUpdate", async (filter, update) => {
+    const token = tokens.find((candidate) => matches(candidate, filter))
+    if (!token) return null
+    const before = new DesktopToken(token.toObject())
+    Object.assign(token, update)
+    return before
+  })
+  mock.method(DesktopToken, "updateMany", async (filter, update) => {
+    const matched = tokens.filter((candidate) => matches(candidate, filter))
+    matched.forEach((token) => Object.assign(token, update))
+    return { modifiedCount: matched.length }
+  })
+  mock.method(DesktopToken, "findByToken", async (token, type = "access") => {
+    return tokens.find((candidate) => candidate.tokenHash === DesktopToken.hashToken(token) && candidate.type === type) || null
+  })
+
+  return tokens
+}
+
+describe("DesktopToken refresh token rotation", () => {
+  const userId = new mongoose.Types.ObjectId()
+  let tokens
+
+  beforeEach(() => {
+    tokens = useMemoryStore()
+  })
+
+  afterEach(() => {
+    mock.restoreAll()
+  })
+
+  it("stores only hashes of the issued tokens", async () => {
+    const issued = await DesktopToken.issueTokenPair(userId, "device-1")
+
+    assert.equal(tokens.length, 2)
+    assert.equal(issued.accessTokenDoc.tokenHash, DesktopToken.hashToken(issued.accessToken))
+    assert.equal(issued.refreshTokenDoc.tokenHash, DesktopToken.hashToken(issued.refreshToken))
+    assert.ok(tokens.every((token) => token.tokenHash !== issued.accessToken && token.tokenHash !== issued.refreshToken))
+    assert.equal(issued.accessTokenDoc.family, issued.refreshTokenDoc.family)
+    assert.ok(issued.accessTokenDoc.expiresAt < issued.refreshTokenDoc.expiresAt)
+  })
+
+  it("issues a new pair in the same login and retires the old tokens", async () => {
+    const issued = await DesktopToken.issueTokenPair(userId, "device-1")
+    const rotated = await DesktopToken.rotateRefreshToken(issued.refreshTokenDoc)
+
+    assert.ok(rotated)
+    assert.notEqual(rotated.refreshToken, issued.refreshToken)
+    assert.equal(rotated.refreshTokenDoc.family, issued.refreshTokenDoc.family)
+    assert.equal(rotated.signingSecret, issued.signingSecret)
+    assert.equal(rotated.refreshTokenDoc.deviceId, "device-1")
+
+    const oldRefresh = await DesktopToken.findByToken(issued.refreshToken, "refresh")
+    const oldAccess = await DesktopToken.findByToken(issued.accessToken)
+    assert.equal(oldRefresh.revokedReason, "rotated")
+    assert.equal(oldAccess.revokedReason, "rotated")
+    assert.equal(oldRefresh.isValid(), false)
+    assert.equal(oldAccess.isValid(), false)
+    // Rotation is routine, not an ended login
+    assert.equal(oldRefresh.isRevoked(), false)
+
+    const newAccess = await DesktopToken.findByToken(rotated.accessToken)
+    assert.equal(newAccess.isValid(), true)
+  })
+
+  it("refuses to rotate a refresh token twice", async () => {
+    const issued = await DesktopToken.issueTokenPair(userId, "device-1")
+
+    assert.ok(await DesktopToken.rotateRefreshToken(issued.refreshTokenDoc))
+    assert.equal(await DesktopToken.rotateRefreshToken(issued.refreshTokenDoc), null)
+    assert.equal(tokens.length, 4)
+  })
+
+  it("lets only one of two concurrent rotations succeed", async () => {
+    const issued = await DesktopToken.issueTokenPair(userId, "device-1")
+    const results = await Promise.all([
+      DesktopToken.rotateRefreshToken(issued.refreshTokenDoc),
+      DesktopToken.rotateRefreshToken(issued.refreshTokenDoc),
+    ])
+
+    assert.equal(results.filter(Boolean).length, 1)
+  })
+
+  it("ends the whole login when a rotated token is reused", async () => {
+    const issued = await DesktopToken.issueTokenPair(userId, "device-1")
+    const rotated = await DesktopToken.rotateRefreshToken(issued.refreshTokenDoc)
+
+    const replayed = await DesktopToken.findByToken(issued.refreshToken, "refresh")
+    assert.equal(replayed.revokedReason, "rotated")
+    await DesktopToken.revokeFamily(replayed.family, "refresh_token_reuse")
+
+    const current = await DesktopToken.findByToken(rotated.refreshToken, "refresh")
+    assert.equal(current.isValid(), false)
+    assert.equal(current.isRevoked(), true)
+    assert.equal(current.getRevokedMessage(), "Your session was ended for security reasons. Please log in again.")
+  })
+
+  it("leaves other logins of the user alone", async () => {
+    const first = await DesktopToken.issueTokenPair(userId, "device-1")
+    const second = await DesktopToken.issueTokenPair(userId, "device-2")
+
+    await DesktopToken.revokeFamily(first.refreshTokenDoc.family, "refresh_token_reuse")
+
+    const other = await DesktopToken.findByToken(second.refreshToken, "refresh")
+    assert.equal(other.isValid(), true)
+  })
+})
+
+describe("DesktopToken.findByToken", () => {
+  it("ignores missing and non-string tokens", async () => {
+    assert.equal(await DesktopToken.findByToken(undefined), null)
+    assert.equal(await DesktopToken.findByToken({ $ne: null }), null)
+  })
+})
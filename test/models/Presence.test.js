@@ -0,0 +1,53 @@
+const { describe, it, afterEach, mock } = require("node:test")
+const assert = require("node:assert/strict")
+const mongoose = require("mongoose")
+
+const Presence = require("../../models/Presence")
+
+describe("Presence.heartbeat", () => {
+  const userId = new mongoose.Types.ObjectId()
+
+  afterEach(() => {
+    mock.restoreAll()
+  })
+
+  it("starts a session for a device that was not online", async () => {
+    const calls = []
+    mock.method(Presence, "findOneAndUpdate", async (filter, update, options) => {
+      calls.push({ filter, update, options })
+      return options.upsert ? { deviceId: "device-1", startedAt: update.startedAt } : null
+    })
+
+    const presence = await Presence.heartbeat(userId, "device-1", { ip: "203.0.113.1", appVersion: "2.1.0" })
+
+    assert.equal(calls.length, 2)
+    assert.ok(presence.startedAt instanceof Date)
+    assert.equal(calls[1].update.appVersion, "2.1.0")
+  })
+
+  it("updates the document of a concurrent first heartbeat instead of failing", async () => {
+    const calls = []
+    mock.method(Presence, "findOneAndUpdate", async (filter, update, options) => {
+      calls.push({ filter, update, options })
+      if (calls.length === 1) return null
+      if (options.upsert) throw Object.assign(new Error("E11000 duplicate key error"), { code: 11000 })
+      return { deviceId: "device-1", lastSeenAt: update.lastSeenAt }
+    })
+
+    const presence = await Presence.heartbeat(userId, "device-1", { ip: "203.0.113.1" })
+
+    assert.equal(calls.length, 3)
+    assert.equal(presence.deviceId, "device-1")
+    assert.deepEqual(calls[2].filter, { user: userId, deviceId: "device-1" })
+    assert.equal("startedAt" in calls[2].update, false)
+  })
+
+  it("passes on other errors", async () => {
+    mock.method(Presence, "findOneAndUpdate", async (filter, update, options) => {
+      if (options.upsert) throw new Error("connection lost")
+      return null
+    })
+
+    await assert.rejects(Presence.heartbeat(userId, "device-1"), /connection lost/)
+  })
+})
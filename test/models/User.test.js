@@ -0,0 +1,194 @@
+const { describe, it, beforeEach, afterEach, mock } = require("node:test")
+const assert = require("node:assert/strict")
+const mongoose = require("mongoose")
+const bcrypt = require("bcryptjs")
+
+const User = require("../../models/User")
+
+const MINUTE = 60
+
+// Seconds from now until the given time
+const secondsUntil = (date) => Math.round((date - Date.now()) / 1000)
+
+describe("User login lockout", () => {
+  let stored
+
+  beforeEach(() => {
+    // Stands in for the stored user, with the atomic updates recordFailedLogin makes
+    stored = { failedLoginAttempts: 0, lockedUntil: null, loginHistory: [] }
+    mock.method(User, "findByIdAndUpdate", async (id, update) => {
+      stored.failedLoginAttempts += update.$inc.failedLoginAttempts
+      stored.loginHistory.push(...update.$push.loginHistory.$each)
+      return { failedLoginAttempts: stored.failedLoginAttempts }
+    })
+    mock.method(User, "updateOne", async (filter, update) => {
+      if (!stored.lockedUntil || update.$max.lockedUntil > stored.lockedUntil) {
+        stored.lockedUntil = update.$max.lockedUntil
+      }
+    })
+  })
+
+  afterEach(() => {
+    mock.restoreAll()
+    delete process.env.LOGIN_LOCKOUT_THRESHOLD
+    delete process.env.LOGIN_LOCKOUT_MINUTES
+  })
+
+  const fail = () => User.recordFailedLogin(new mongoose.Types.ObjectId(), { client: "web", ip: "203.0.113.1" })
+  const storedUser = () => new User({ username: "bob", email: "bob@example.com", ...stored })
+
+  it("doubles the delay for every failure below the threshold", async () => {
+    for (const seconds of [1, 2, 4, 8]) {
+      const result = await fail()
+      assert.equal(result.locked, false)
+      assert.equal(secondsUntil(result.lockedUntil), seconds)
+    }
+
+    const user = storedUser()
+    assert.equal(user.isLockedOut(), false)
+    assert.equal(user.getLoginRetryAfter(), 8)
+    assert.match(user.getLoginBlockedMessage(), /wait 8 second/)
+  })
+
+  it("locks the account at the threshold and doubles the lockout after that", async () => {
+    for (let i = 0; i < 4; i++) await fail()
+
+    const locked = await fail()
+    assert.equal(locked.attempts, 5)
+    assert.equal(locked.locked, true)
+    assert.equal(secondsUntil(locked.lockedUntil), 15 * MINUTE)
+    assert.equal(storedUser().isLockedOut(), true)
+    assert.match(storedUser().getLoginBlockedMessage(), /temporarily locked.*15 minute/)
+
+    assert.equal(secondsUntil((await fail()).lockedUntil), 30 * MINUTE)
+    assert.equal(secondsUntil((await fail()).lockedUntil), 60 * MINUTE)
+  })
+
+  it("never locks for longer than a day", async () => {
+    for (let i = 0; i < 20; i++) await fail()
+    assert.equal(secondsUntil(stored.lockedUntil), 24 * 60 * MINUTE)
+  })
+
+  it("counts every failure, also when parallel failures finish out of order", async () => {
+    await Promise.all(Array.from({ length: 6 }, () => fail()))
+
+    assert.equal(stored.failedLoginAttempts, 6)
+    assert.equal(stored.loginHistory.length, 6)
+    assert.ok(stored.loginHistory.every((event) => event.success === false && event.ip === "203.0.113.1"))
+    assert.equal(secondsUntil(stored.lockedUntil), 30 * MINUTE)
+  })
+
+  it("reads the threshold and lockout duration from the environment", async () => {
+    process.env.LOGIN_LOCKOUT_THRESHOLD = "2"
+    process.env.LOGIN_LOCKOUT_MINUTES = "5"
+
+    await fail()
+    const locked = await fail()
+    assert.equal(locked.locked, true)
+    assert.equal(secondsUntil(locked.lockedUntil), 5 * MINUTE)
+  })
+
+  it("is not locked out once the lockout has passed or the failures were reset", async () => {
+    for (let i = 0; i < 5; i++) await fail()
+
+    const user = storedUser()
+    user.lockedUntil = new Date(Date.now() - 1000)
+    assert.equal(user.isLockedOut(), false)
+    assert.equal(user.getLoginBlockedMessage(), null)
+
+    const unlocked = storedUser()
+    unlocked.resetLoginFailures()
+    assert.equal(unlocked.isLockedOut(), false)
+    assert.equal(unlocked.failedLoginAttempts, 0)
+  })
+})
+
+describe("User password history", () => {
+  // A low bcrypt cost keeps the fixtures fast; hashes made by the model use the real cost
+  const hash = (password) => bcrypt.hashSync(password, 4)
+
+  // A user as loaded from the database, so the stored hash is remembered
+  const loadUser = (password, passwordHistory = []) => {
+    return User.hydrate({
+      _id: new mongoose.Types.ObjectId(),
+      username: "bob",
+      email: "bob@example.com",
+      role: "admin",
+      password: hash(password),
+      passwordHistory,
+      createdAt: new Date("2024-01-01"),
+    })
+  }
+
+  beforeEach(() => {
+    mock.method(User.collection, "updateOne", async () => ({ acknowledged: true, matchedCount: 1, modifiedCount: 1 }))
+  })
+
+  afterEach(() => {
+    mock.restoreAll()
+    delete process.env.PASSWORD_HISTORY
+    delete process.env.PASSWORD_MAX_AGE_DAYS
+  })
+
+  it("refuses the current and recent passwords", async () => {
+    const user = loadUser("Current-pass1", [hash("Previous-pass1"), hash("Older-pass1")])
+
+    assert.equal(await user.checkNewPassword("Current-pass1"), "Please choose a password you have not used recently")
+    assert.equal(await user.checkNewPassword("Older-pass1"), "Please choose a password you have not used recently")
+    assert.equal(await user.checkNewPassword("Brand-new-pass1"), null)
+  })
+
+  it("only looks back PASSWORD_HISTORY passwords, and not at all for 0", async () => {
+    const user = loadUser("Current-pass1", [hash("Previous-pass1"), hash("Older-pass1")])
+
+    process.env.PASSWORD_HISTORY = "1"
+    assert.notEqual(await user.checkNewPassword("Previous-pass1"), null)
+    assert.equal(await user.checkNewPassword("Older-pass1"), null)
+
+    process.env.PASSWORD_HISTORY = "0"
+    assert.equal(await user.checkNewPassword("Current-pass1"), null)
+  })
+
+  it("reports policy problems before checking the history", async () => {
+    const user = loadUser("Current-pass1")
+    assert.equal(await user.checkNewPassword("short"), "Password must be at least 8 characters long")
+  })
+
+  it("moves the replaced password into the history when saved", async () => {
+    const user = loadUser("Current-pass1", [hash("Previous-pass1")])
+    const replaced = user.password
+
+    user.password = "Brand-new-pass1"
+    await user.save()
+
+    assert.match(user.password, /^\$2[aby]\$12\$/)
+    assert.equal(user.passwordHistory[0], replaced)
+    assert.equal(user.passwordHistory.length, 2)
+    assert.ok(user.passwordChangedAt > new Date(Date.now() - 60 * 1000))
+    assert.notEqual(await user.checkNewPassword("Current-pass1"), null)
+    assert.notEqual(await user.checkNewPassword("Brand-new-pass1"), null)
+  })
+
+  it("keeps at most PASSWORD_HISTORY old passwords", async () => {
+    process.env.PASSWORD_HISTORY = "2"
+    const user = loadUser("Current-pass1", [hash("Previous-pass1"), hash("Older-pass1")])
+    const [previous] = user.passwordHistory
+
+    user.password = "Brand-new-pass1"
+    await user.save()
+
+    assert.equal(user.passwordHistory.length, 2)
+    assert.equal(user.passwordHistory[1], previous)
+  })
+
+  it("expires passwords older than PASSWORD_MAX_AGE_DAYS", () => {
+    const user = loadUser("Current-pass1")
+    assert.equal(user.isPasswordExpired(), false)
+
+    process.env.PASSWORD_MAX_AGE_DAYS = "90"
+    assert.equal(user.isPasswordExpired(), true)
+
+    user.passwordChangedAt = new Date(Date.now() - 89 * 24 * 60 * 60 * 1000)
+    assert.equal(user.isPasswordExpired(), false)
+  })
+})
@@ -0,0 +1,120 @@
+const { describe, it, afterEach, mock } = require("node:test")
+const assert = require("node:assert/strict")
+
+const { HONEYPOT_FIELD, createChallenge, verifyChallenge } = require("../../utils/challenge")
+
+const NUMBERS = ["zero", "one", "two", "three", "four", "five", "six", "seven", "eight", "nine", "ten"]
+
+// Work out the answer the way a person would, from the question alone
+const solve = (question) => {
+  const [, a, b] = question.match(/^What is (\w+) plus (\w+)\?$/)
+  return NUMBERS.indexOf(a) + NUMBERS.indexOf(b)
+}
+
+// A request that answers the challenge shown in the same session
+const answer = (session, value, extra = {}) => {
+  const challengeId = session.challenges && session.challenges.register && session.challenges.register.id
+  return { session, body: { challengeId, challengeAnswer: String(value), ...extra } }
+}
+
+describe("challenge", () => {
+  afterEach(() => {
+    mock.restoreAll()
+  })
+
+  it("asks a sum of two numbers and keeps the answer out of the question", () => {
+    const session = {}
+    const { id, question } = createChallenge({ session }, "register")
+
+    assert.match(question, /^What is (one|two|three|four|five|six|seven|eight|nine|ten) plus (one|two|three|four|five|six|seven|eight|nine|ten)\?$/)
+    assert.doesNotMatch(question, /\d/)
+    assert.equal(session.challenges.register.answer, solve(question))
+    assert.match(id, /^[0-9a-f]{32}$/)
+  })
+
+  it("accepts the right answer, with surrounding spaces", () => {
+    const session = {}
+    const { question } = createChallenge({ session }, "register")
+
+    assert.equal(verifyChallenge(answer(session, ` ${solve(question)} `), "register"), true)
+  })
+
+  it("accepts an answer only once", () => {
+    const session = {}
+    const { question } = createChallenge({ session }, "register")
+
+    assert.equal(verifyChallenge(answer(session, solve(question)), "register"), true)
+    assert.equal(verifyChallenge(answer(session, solve(question)), "register"), false)
+  })
+
+  it("uses up the challenge on a wrong answer", () => {
+    const session = {}
+    const { question } = createChallenge({ session }, "register")
+
+    assert.equal(verifyChallenge(answer(session, solve(question) + 1), "register"), false)
+    assert.equal(verifyChallenge(answer(session, solve(question)), "register"), false)
+  })
+
+  it("refuses missing and non-numeric answers", () => {
+    for (const value of ["", "seven", undefined]) {
+      const session = {}
+      createChallenge({ session }, "register")
+      assert.equal(verifyChallenge({ session, body: { challengeId: session.challenges.register.id, challengeAnswer: value } }, "register"), false, String(value))
+    }
+  })
+
+  it("refuses an answer without a challenge in the session", () => {
+    assert.equal(verifyChallenge(answer({}, 5), "register"), false)
+  })
+
+  it("refuses the right answer when the honeypot is filled in", () => {
+    const session = {}
+    const { question } = createChallenge({ session }, "register")
+
+    assert.equal(verifyChallenge(answer(session, solve(question), { [HONEYPOT_FIELD]: "https://spam.example" }), "register"), false)
+  })
+
+  it("refuses an answer after five minutes", () => {
+    const session = {}
+    const { question } = createChallenge({ session }, "register")
+    const createdAt = Date.now()
+
+    mock.method(Date, "now", () => createdAt + 5 * 60 * 1000 + 1)
+    assert.equal(verifyChallenge(answer(session, solve(question)), "register"), false)
+  })
+
+  it("keeps the challenges of different forms apart", () => {
+    const session = {}
+    const { question: registerQuestion } = createChallenge({ session }, "register")
+    createChallenge({ session }, "contact")
+
+    assert.equal(verifyChallenge(answer(session, solve(registerQuestion)), "register"), true)
+    assert.ok(session.challenges.contact)
+  })
+
+  it("refuses an answer sent with the ID of another challenge", () => {
+    const session = {}
+    const { question } = createChallenge({ session }, "register")
+
+    assert.equal(verifyChallenge(answer(session, solve(question), { challengeId: "0".repeat(32) }), "register"), false)
+    assert.equal(verifyChallenge(answer(session, solve(question)), "register"), false)
+  })
+
+  it("replaces the previous challenge of a form", () => {
+    const session = {}
+    const first = createChallenge({ session }, "register")
+    const { id, question } = createChallenge({ session }, "register")
+
+    assert.notEqual(id, first.id)
+    assert.equal(session.challenges.register.id, id)
+    assert.equal(verifyChallenge(answer(session, solve(question)), "register"), true)
+  })
+
+  it("refuses an answer from the form of a replaced challenge", () => {
+    const session = {}
+    const first = createChallenge({ session }, "register")
+    const { question } = createChallenge({ session }, "register")
+
+    assert.equal(verifyChallenge(answer(session, solve(question), { challengeId: first.id }), "register"), false)
+  })
+})
@@ -0,0 +1,53 @@
+const { describe, it, before, afterEach } = require("node:test")
+const assert = require("node:assert/strict")
+
+const { registerTransport } = require("../../utils/mailer")
+const { getAppUrl, checkAppUrl, sendPasswordResetEmail } = require("../../utils/emails")
+
+const SETTINGS = ["APP_URL", "NODE_ENV", "PORT", "MAIL_TRANSPORT"]
+
+describe("emailed links", () => {
+  const sent = []
+
+  before(() => {
+    registerTransport("memory", async (message) => {
+      sent.push(message)
+    })
+  })
+
+  afterEach(() => {
+    SETTINGS.forEach((name) => delete process.env[name])
+    sent.length = 0
+  })
+
+  it("uses APP_URL without a trailing slash", () => {
+    process.env.APP_URL = "https://auth.example.com/"
+    assert.equal(getAppUrl(), "https://auth.example.com")
+  })
+
+  it("defaults to the local server outside production", () => {
+    process.env.PORT = "4000"
+    assert.equal(getAppUrl(), "http://localhost:4000")
+  })
+
+  it("refuses to build links in production without APP_URL", () => {
+    process.env.NODE_ENV = "production"
+
+    assert.throws(() => getAppUrl(), /APP_URL is not set/)
+    assert.equal(checkAppUrl(), false)
+
+    process.env.APP_URL = "https://auth.example.com"
+    assert.equal(checkAppUrl(), true)
+  })
+
+  it("builds reset links from APP_URL, not from the request", async () => {
+    process.env.APP_URL = "https://auth.example.com"
+    process.env.MAIL_TRANSPORT = "memory"
+
+    await sendPasswordResetEmail({ username: "bob", email: "bob@example.com" }, "abc123", 60)
+
+    assert.equal(sent.length, 1)
+    assert.equal(sent[0].to, "bob@example.com")
+    assert.match(sent[0].text, /^https:\/\/auth\.example\.com\/auth\/reset-password\/abc123$/m)
+  })
+})
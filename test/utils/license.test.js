@@ -0,0 +1,48 @@
+const { describe, it, afterEach, mock } = require("node:test")
+const assert = require("node:assert/strict")
+const crypto = require("crypto")
+
+const licenseModulePath = require.resolve("../../utils/license")
+
+// The signing key is loaded once per process, so every test loads a fresh copy of the module
+const loadLicense = () => {
+  delete require.cache[licenseModulePath]
+  return require(licenseModulePath)
+}
+
+const SETTINGS = ["LICENSE_SIGNING_KEY", "NODE_ENV"]
+
+describe("license signing key", () => {
+  afterEach(() => {
+    mock.restoreAll()
+    SETTINGS.forEach((name) => delete process.env[name])
+  })
+
+  it("refuses to use a temporary key in production", () => {
+    process.env.NODE_ENV = "production"
+    mock.method(console, "error", () => {})
+    const license = loadLicense()
+
+    assert.throws(() => license.getPublicKeys(), /LICENSE_SIGNING_KEY is not set/)
+    assert.equal(license.checkSigningKey(), false)
+  })
+
+  it("uses a temporary key outside production", () => {
+    mock.method(console, "warn", () => {})
+    const license = loadLicense()
+
+    assert.equal(license.checkSigningKey(), true)
+    assert.equal(license.getPublicKeys()[0].status, "active")
+    assert.notEqual(loadLicense().getPublicKeys()[0].kid, license.getPublicKeys()[0].kid)
+  })
+
+  it("signs with LICENSE_SIGNING_KEY, also in production", () => {
+    const { privateKey, publicKey } = crypto.generateKeyPairSync("ed25519")
+    process.env.LICENSE_SIGNING_KEY = privateKey.export({ type: "pkcs8", format: "pem" }).replace(/\n/g, "\\n")
+    process.env.NODE_ENV = "production"
+
+    const [active] = loadLicense().getPublicKeys()
+    assert.equal(active.x, publicKey.export({ format: "jwk" }).x)
+    assert.equal(loadLicense().getPublicKeys()[0].kid, active.kid)
+  })
+})
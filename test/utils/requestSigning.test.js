@@ -0,0 +1,143 @@
+const { describe, it, beforeEach, afterEach, mock } = require("node:test")
+const assert = require("node:assert/strict")
+
+const {
+  buildSigningString,
+  signRequest,
+  getSignatureHeaders,
+  verifyRequestSignature,
+  getMaxAgeSeconds,
+  generateSigningSecret,
+} = require("../../utils/requestSigning")
+const RequestNonce = require("../../models/RequestNonce")
+
+const secret = "test-signing-secret"
+const nonce = "abcdefghijklmnop1234"
+
+// A request as the auth middleware sees it, signed with the given secret unless headers are passed
+const buildRequest = ({ method = "POST", url = "/api/v1/usage?x=1", body = '{"checked":5}', timestamp = Math.floor(Date.now() / 1000) } = {}) => {
+  const signature = signRequest(secret, { method, path: url, body, timestamp, nonce })
+  return {
+    req: { method, originalUrl: url, rawBody: Buffer.from(body) },
+    headers: { signature, timestamp: String(timestamp), nonce },
+  }
+}
+
+describe("buildSigningString", () => {
+  it("joins the method, path, body hash, timestamp and nonce", () => {
+    const value = buildSigningString({ method: "post", path: "/a?b=1", body: "", timestamp: 1700000000, nonce })
+    assert.equal(
+      value,
+      ["POST", "/a?b=1", "e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855", "1700000000", nonce].join("\n"),
+    )
+  })
+})
+
+describe("verifyRequestSignature", () => {
+  afterEach(() => {
+    delete process.env.REQUEST_SIGNATURE_MAX_AGE_SECONDS
+  })
+
+  it("accepts a correctly signed request", () => {
+    const { req, headers } = buildRequest()
+    assert.equal(verifyRequestSignature(req, secret, headers), null)
+  })
+
+  it("accepts an uppercase signature", () => {
+    const { req, headers } = buildRequest()
+    assert.equal(verifyRequestSignature(req, secret, { ...headers, signature: headers.signature.toUpperCase() }), null)
+  })
+
+  it("refuses a request signed with another secret", () => {
+    const { req, headers } = buildRequest()
+    assert.equal(verifyRequestSignature(req, generateSigningSecret(), headers), "invalid")
+  })
+
+  it("refuses a request whose body, path or method was changed", () => {
+    const { req, headers } = buildRequest()
+
+    assert.equal(verifyRequestSignature({ ...req, rawBody: Buffer.from('{"checked":6}') }, secret, headers), "invalid")
+    assert.equal(verifyRequestSignature({ ...req, originalUrl: "/api/v1/usage?x=2" }, secret, headers), "invalid")
+    assert.equal(verifyRequestSignature({ ...req, method: "PUT" }, secret, headers), "invalid")
+  })
+
+  it("refuses a request whose nonce or timestamp was changed", () => {
+    const { req, headers } = buildRequest()
+
+    assert.equal(verifyRequestSignature(req, secret, { ...headers, nonce: "zzzzzzzzzzzzzzzz1234" }), "invalid")
+    assert.equal(verifyRequestSignature(req, secret, { ...headers, timestamp: String(Number(headers.timestamp) - 1) }), "invalid")
+  })
+
+  it("refuses malformed headers and a missing secret", () => {
+    const { req, headers } = buildRequest()
+
+    assert.equal(verifyRequestSignature(req, secret, { ...headers, signature: "abc" }), "invalid")
+    assert.equal(verifyRequestSignature(req, secret, { ...headers, timestamp: "soon" }), "invalid")
+    assert.equal(verifyRequestSignature(req, secret, { ...headers, nonce: "short" }), "invalid")
+    assert.equal(verifyRequestSignature(req, null, headers), "invalid")
+  })
+
+  it("refuses timestamps outside the maximum age in either direction", () => {
+    const now = Math.floor(Date.now() / 1000)
+    const maxAge = getMaxAgeSeconds()
+
+    for (const timestamp of [now - maxAge - 5, now + maxAge + 5]) {
+      const { req, headers } = buildRequest({ timestamp })
+      assert.equal(verifyRequestSignature(req, secret, headers), "expired")
+    }
+
+    const { req, headers } = buildRequest({ timestamp: now - maxAge + 5 })
+    assert.equal(verifyRequestSignature(req, secret, headers), null)
+  })
+
+  it("reads the maximum age from the environment", () => {
+    process.env.REQUEST_SIGNATURE_MAX_AGE_SECONDS = "10"
+    const { req, headers } = buildRequest({ timestamp: Math.floor(Date.now() / 1000) - 30 })
+    assert.equal(verifyRequestSignature(req, secret, headers), "expired")
+  })
+})
+
+describe("getSignatureHeaders", () => {
+  const requestWith = (headers) => ({ get: (name) => headers[name] })
+
+  it("returns null for an unsigned request", () => {
+    assert.equal(getSignatureHeaders(requestWith({})), null)
+  })
+
+  it("returns partial headers so they can be refused", () => {
+    assert.deepEqual(getSignatureHeaders(requestWith({ "X-Signature": "abc" })), { signature: "abc", timestamp: "", nonce: "" })
+  })
+})
+
+describe("RequestNonce.claim", () => {
+  let stored
+
+  beforeEach(() => {
+    stored = new Set()
+    // Stands in for the unique index on family and nonce
+    mock.method(RequestNonce, "create", async ({ family, nonce: value }) => {
+      const key = `${family}:${value}`
+      if (stored.has(key)) {
+        throw Object.assign(new Error("E11000 duplicate key error"), { code: 11000 })
+      }
+      stored.add(key)
+    })
+  })
+
+  afterEach(() => {
+    mock.restoreAll()
+  })
+
+  it("accepts a nonce once per login", async () => {
+    assert.equal(await RequestNonce.claim("family-a", nonce, 600), true)
+    assert.equal(await RequestNonce.claim("family-a", nonce, 600), false)
+    assert.equal(await RequestNonce.claim("family-b", nonce, 600), true)
+  })
+
+  it("passes on other errors", async () => {
+    RequestNonce.create.mock.mockImplementation(async () => {
+      throw new Error("connection lost")
+    })
+    await assert.rejects(RequestNonce.claim("family-a", nonce, 600), /connection lost/)
+  })
+})
@@ -0,0 +1,38 @@
+const { describe, it, beforeEach, afterEach, mock } = require("node:test")
+const assert = require("node:assert/strict")
+const mongoose = require("mongoose")
+
+const ApiKey = require("../../models/ApiKey")
+const DesktopToken = require("../../models/DesktopToken")
+const Presence = require("../../models/Presence")
+const { signOutEverywhere } = require("../../utils/sessions")
+
+describe("signOutEverywhere", () => {
+  const userId = new mongoose.Types.ObjectId()
+  let revokeApiKeys
+
+  beforeEach(() => {
+    mock.method(mongoose.connection, "collection", () => ({ deleteMany: async () => ({ deletedCount: 2 }) }))
+    mock.method(DesktopToken, "revokeAllForUser", async () => ({ modifiedCount: 3 }))
+    mock.method(Presence, "deleteMany", async () => ({ deletedCount: 1 }))
+    revokeApiKeys = mock.method(ApiKey, "revokeAllForUser", async () => ({ modifiedCount: 4 }))
+  })
+
+  afterEach(() => {
+    mock.restoreAll()
+  })
+
+  it("ends web sessions and desktop logins but keeps API keys by default", async () => {
+    const result = await signOutEverywhere(userId, { reason: "account_deactivated" })
+
+    assert.deepEqual(result, { sessions: 2, tokens: 3, apiKeys: 0 })
+    assert.equal(revokeApiKeys.mock.callCount(), 0)
+  })
+
+  it("revokes API keys when asked, e.g. after a password change", async () => {
+    const result = await signOutEverywhere([userId, userId], { reason: "password_changed", revokeApiKeys: true })
+
+    assert.deepEqual(result, { sessions: 2, tokens: 6, apiKeys: 8 })
+    assert.equal(revokeApiKeys.mock.callCount(), 2)
+  })
+})
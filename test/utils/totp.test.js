@@ -0,0 +1,175 @@
+const { describe, it, beforeEach, afterEach, mock } = require("node:test")
+const assert = require("node:assert/strict")
+
+const totp = require("../../utils/totp")
+const User = require("../../models/User")
+
+// Base32 of the ASCII secret "12345678901234567890" from the RFC 6238 test vectors
+const RFC_SECRET = "GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ"
+const STEP_MS = 30 * 1000
+
+// Pretend the clock is at the start of the given time step
+const setStep = (step) => {
+  mock.method(Date, "now", () => step * STEP_MS + 1000)
+}
+
+describe("generateCode", () => {
+  it("matches the RFC 6238 SHA-1 test vectors", () => {
+    const vectors = [
+      [59, "287082"],
+      [1111111109, "081804"],
+      [1111111111, "050471"],
+      [1234567890, "005924"],
+      [2000000000, "279037"],
+    ]
+
+    for (const [seconds, code] of vectors) {
+      assert.equal(totp.generateCode(RFC_SECRET, totp.getTimeStep(seconds * 1000)), code, `at ${seconds}s`)
+    }
+  })
+
+  it("ignores case, spaces and padding in the secret", () => {
+    assert.equal(totp.generateCode("gezd gnbv gy3t qojq gezd gnbv gy3t qojq====", 1), "287082")
+  })
+})
+
+describe("verifyCode", () => {
+  const step = 60000000
+
+  beforeEach(() => {
+    setStep(step)
+  })
+
+  afterEach(() => {
+    mock.restoreAll()
+  })
+
+  it("accepts the current code and its neighbours, and returns the matching step", () => {
+    for (const offset of [-1, 0, 1]) {
+      assert.equal(totp.verifyCode(RFC_SECRET, totp.generateCode(RFC_SECRET, step + offset)), step + offset)
+    }
+  })
+
+  it("refuses codes outside the window", () => {
+    assert.equal(totp.verifyCode(RFC_SECRET, totp.generateCode(RFC_SECRET, step - 2)), null)
+    assert.equal(totp.verifyCode(RFC_SECRET, totp.generateCode(RFC_SECRET, step + 2)), null)
+  })
+
+  it("refuses the last used step and earlier ones", () => {
+    const code = totp.generateCode(RFC_SECRET, step)
+
+    assert.equal(totp.verifyCode(RFC_SECRET, code, step), null)
+    assert.equal(totp.verifyCode(RFC_SECRET, totp.generateCode(RFC_SECRET, step - 1), step - 1), null)
+    assert.equal(totp.verifyCode(RFC_SECRET, code, step - 1), step)
+  })
+
+  it("accepts spaces in the code but nothing else", () => {
+    const code = totp.generateCode(RFC_SECRET, step)
+
+    assert.equal(totp.verifyCode(RFC_SECRET, `${code.slice(0, 3)} ${code.slice(3)}`), step)
+    assert.equal(totp.verifyCode(RFC_SECRET, code.slice(1)), null)
+    assert.equal(totp.verifyCode(RFC_SECRET, `${code}0`), null)
+    assert.equal(totp.verifyCode(RFC_SECRET, "abcdef"), null)
+    assert.equal(totp.verifyCode(RFC_SECRET, undefined), null)
+  })
+})
+
+describe("recovery codes", () => {
+  it("generates ten distinct codes", () => {
+    const codes = totp.generateRecoveryCodes()
+
+    assert.equal(codes.length, 10)
+    assert.equal(new Set(codes).size, 10)
+    codes.forEach((code) => assert.match(code, /^[0-9a-f]{5}-[0-9a-f]{5}$/))
+  })
+
+  it("hashes codes regardless of case and dash", () => {
+    assert.equal(totp.hashRecoveryCode("ABCDE-12345"), totp.hashRecoveryCode("abcde12345"))
+    assert.notEqual(totp.hashRecoveryCode("abcde-12345"), totp.hashRecoveryCode("abcde-12346"))
+  })
+})
+
+describe("getOtpauthUrl", () => {
+  it("describes the secret for authenticator apps", () => {
+    const url = new URL(totp.getOtpauthUrl(RFC_SECRET, "bob"))
+
+    assert.equal(url.protocol, "otpauth:")
+    assert.equal(url.host, "totp")
+    assert.equal(decodeURIComponent(url.pathname), "/Gmail Checker:bob")
+    assert.equal(url.searchParams.get("secret"), RFC_SECRET)
+    assert.equal(url.searchParams.get("digits"), "6")
+    assert.equal(url.searchParams.get("period"), "30")
+  })
+})
+
+describe("isTwoFactorRequired", () => {
+  afterEach(() => {
+    delete process.env.REQUIRE_ADMIN_TWO_FACTOR
+  })
+
+  it("requires two-factor authentication for admins unless turned off", () => {
+    assert.equal(totp.isTwoFactorRequired("admin"), true)
+    assert.equal(totp.isTwoFactorRequired("user"), false)
+
+    process.env.REQUIRE_ADMIN_TWO_FACTOR = "false"
+    assert.equal(totp.isTwoFactorRequired("admin"), false)
+  })
+})
+
+describe("User two-factor authentication", () => {
+  const step = 60000000
+
+  beforeEach(() => {
+    setStep(step)
+  })
+
+  afterEach(() => {
+    mock.restoreAll()
+  })
+
+  // Returns the user with the recovery codes shown at enrollment
+  const enrollUser = () => {
+    const user = new User({ username: "bob", email: "bob@example.com", role: "user" })
+    const codes = user.enableTwoFactor(RFC_SECRET, totp.generateCode(RFC_SECRET, step))
+    assert.equal(codes.length, 10)
+    return { user, codes }
+  }
+
+  it("refuses to enable with a wrong code", () => {
+    const user = new User({ username: "bob", email: "bob@example.com", role: "user" })
+    assert.equal(user.enableTwoFactor(RFC_SECRET, "000000"), null)
+    assert.equal(user.twoFactor.enabled, false)
+  })
+
+  it("does not accept the enrollment code again", () => {
+    const { user } = enrollUser()
+    assert.equal(user.verifyTwoFactor(totp.generateCode(RFC_SECRET, step)), null)
+  })
+
+  it("accepts each code once", () => {
+    const { user } = enrollUser()
+    setStep(step + 1)
+
+    const code = totp.generateCode(RFC_SECRET, step + 1)
+    assert.equal(user.verifyTwoFactor(code), "totp")
+    assert.equal(user.verifyTwoFactor(code), null)
+    // An older code from inside the window is refused after a newer one was used
+    assert.equal(user.verifyTwoFactor(totp.generateCode(RFC_SECRET, step)), null)
+  })
+
+  it("accepts each recovery code once", () => {
+    const { user, codes } = enrollUser()
+
+    assert.equal(user.verifyTwoFactor(codes[0].toUpperCase()), "recovery")
+    assert.equal(user.verifyTwoFactor(codes[0]), null)
+    assert.equal(user.twoFactor.recoveryCodes.length, codes.length - 1)
+  })
+
+  it("accepts nothing when two-factor authentication is off", () => {
+    const { user } = enrollUser()
+    user.disableTwoFactor()
+
+    setStep(step + 1)
+    assert.equal(user.verifyTwoFactor(totp.generateCode(RFC_SECRET, step + 1)), null)
+  })
+})
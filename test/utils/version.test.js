@@ -0,0 +1,48 @@
+const { describe, it } = require("node:test")
+const assert = require("node:assert/strict")
+
+const { parseVersion, isValidVersion, compareVersions } = require("../../utils/version")
+
+describe("parseVersion", () => {
+  it("parses releases and prereleases", () => {
+    assert.deepEqual(parseVersion("1.4.2"), { major: 1, minor: 4, patch: 2, prerelease: [] })
+    assert.deepEqual(parseVersion("v1.5.0-beta.1"), { major: 1, minor: 5, patch: 0, prerelease: ["beta", "1"] })
+    assert.deepEqual(parseVersion(" 2.0.0 "), { major: 2, minor: 0, patch: 0, prerelease: [] })
+  })
+
+  it("returns null for anything else", () => {
+    for (const version of ["1.4", "1.4.2.1", "1.4.x", "", "latest", null, undefined, 142]) {
+      assert.equal(parseVersion(version), null, String(version))
+      assert.equal(isValidVersion(version), false, String(version))
+    }
+  })
+})
+
+describe("compareVersions", () => {
+  it("compares major, minor and patch numerically", () => {
+    assert.ok(compareVersions("1.10.0", "1.9.9") > 0)
+    assert.ok(compareVersions("1.2.3", "2.0.0") < 0)
+    assert.ok(compareVersions("1.2.10", "1.2.9") > 0)
+    assert.equal(compareVersions("1.2.3", "v1.2.3"), 0)
+  })
+
+  it("sorts a prerelease before its release", () => {
+    assert.ok(compareVersions("1.5.0-beta.1", "1.5.0") < 0)
+    assert.ok(compareVersions("1.5.0", "1.5.0-rc.1") > 0)
+    assert.ok(compareVersions("1.5.0-rc.1", "1.4.9") > 0)
+  })
+
+  it("orders prerelease identifiers", () => {
+    const ordered = ["1.0.0-alpha", "1.0.0-alpha.1", "1.0.0-alpha.beta", "1.0.0-beta", "1.0.0-beta.2", "1.0.0-beta.11", "1.0.0-rc.1", "1.0.0"]
+
+    for (let i = 0; i < ordered.length - 1; i++) {
+      assert.ok(compareVersions(ordered[i], ordered[i + 1]) < 0, `${ordered[i]} < ${ordered[i + 1]}`)
+      assert.ok(compareVersions(ordered[i + 1], ordered[i]) > 0, `${ordered[i + 1]} > ${ordered[i]}`)
+    }
+  })
+
+  it("throws on an invalid version", () => {
+    assert.throws(() => compareVersions("1.0.0", "one"), /Invalid version: one/)
+    assert.throws(() => compareVersions("", "1.0.0"), /Invalid version/)
+  })
+})
@@ -0,0 +1,87 @@
+/**
+ * Error responses for the desktop API
+ *
+ * Every error has the same envelope, so clients can rely on error.code
+ * instead of comparing messages:
+ * { success: false, message, code, error: { code, message, details }, requestId }
+ * "message" and "code" are repeated at the top level for older clients.
+ */
+
+/**
+ * Machine-readable error codes; never rename one, clients depend on them
+ */
+const ERROR_CODES = {
+  VALIDATION_FAILED: "VALIDATION_FAILED",
+  BAD_REQUEST: "BAD_REQUEST",
+  INVALID_JSON: "INVALID_JSON",
+  INVALID_CREDENTIALS: "INVALID_CREDENTIALS",
+  TOKEN_MISSING: "TOKEN_MISSING",
+  TOKEN_INVALID: "TOKEN_INVALID",
+  TOKEN_REVOKED: "TOKEN_REVOKED",
+  TOKEN_REUSED: "TOKEN_REUSED",
+  USER_NOT_FOUND: "USER_NOT_FOUND",
+  ACCOUNT_DISABLED: "ACCOUNT_DISABLED",
+  PACKAGE_EXPIRED: "PACKAGE_EXPIRED",
+  EMAIL_NOT_VERIFIED: "EMAIL_NOT_VERIFIED",
+  PASSWORD_EXPIRED: "PASSWORD_EXPIRED",
+  ACCOUNT_LOCKED: "ACCOUNT_LOCKED",
+  NO_PACKAGE: "NO_PACKAGE",
+  DEVICE_MISMATCH: "DEVICE_MISMATCH",
+  DEVICE_LIMIT_REACHED: "DEVICE_LIMIT_REACHED",
+  SIGNATURE_REQUIRED: "SIGNATURE_REQUIRED",
+  SIGNATURE_INVALID: "SIGNATURE_INVALID",
+  SIGNATURE_EXPIRED: "SIGNATURE_EXPIRED",
+  NONCE_REUSED: "NONCE_REUSED",
+  SCOPE_MISSING: "SCOPE_MISSING",
+  IP_NOT_ALLOWED: "IP_NOT_ALLOWED",
+  CLIENT_OUTDATED: "CLIENT_OUTDATED",
+  INSUFFICIENT_CREDITS: "INSUFFICIENT_CREDITS",
+  CONCURRENCY_LIMIT_REACHED: "CONCURRENCY_LIMIT_REACHED",
+  LEASE_NOT_FOUND: "LEASE_NOT_FOUND",
+  RATE_LIMITED: "RATE_LIMITED",
+  NOT_FOUND: "NOT_FOUND",
+  INTERNAL_ERROR: "INTERNAL_ERROR",
+};
+
+/**
+ * Send an error response in the API envelope
+ * @param {Object} res - Express response
+ * @param {number} status - HTTP status code
+ * @param {string} code - One of ERROR_CODES
+ * @param {string} message - Message that can be shown to the user
+ * @param {Object} [extra] - Additional top-level fields, e.g. the current balance
+ * @param {*} [details] - Additional details for error.details
+ * @returns {Object} Express response
+ */
+function sendError(res, status, code, message, extra = {}, details) {
+  const error = { code, message };
+  if (details !== undefined) {
+    error.details = details;
+  }
+
+  return res.status(status).json({
+    success: false,
+    message,
+    code,
+    ...extra,
+    error,
+    requestId: res.req.id,
+  });
+}
+
+/**
+ * Send the errors collected by express-validator
+ * @param {Object} res - Express response
+ * @param {Object} errors - Result of validationResult(req)
+ * @returns {Object} Express response
+ */
+function sendValidationError(res, errors) {
+  const list = errors.array();
+  return sendError(res, 400, ERROR_CODES.VALIDATION_FAILED, "Validation failed", { errors: list }, list);
+}
+
+module.exports = {
+  ERROR_CODES,
+  sendError,
+  sendValidationError,
+};
@@ -0,0 +1,66 @@
+const crypto = require("crypto");
+
+/**
+ * Self-hosted challenge for public forms
+ *
+ * Asks a small sum written in words, with the answer kept in the session rather than
+ * sent to the browser. Forms also carry a hidden honeypot field that people leave empty
+ * and bots tend to fill in.
+ *
+ * This is not a CAPTCHA: a script can read the question from the form and work out the
+ * answer. It only turns away untargeted form spam, so public forms also need a rate limit.
+ * Each challenge has an ID that the form sends back, can be answered once and expires
+ * after CHALLENGE_TTL_MS, so an answer cannot be reused for further submissions.
+ */
+
+const CHALLENGE_TTL_MS = 5 * 60 * 1000;
+const NUMBER_WORDS = ["zero", "one", "two", "three", "four", "five", "six", "seven", "eight", "nine", "ten"];
+
+/**
+ * Name of the hidden field that must stay empty
+ */
+const HONEYPOT_FIELD = "website";
+
+/**
+ * Create a challenge for a form, replacing the form's previous one
+ * @param {Object} req - Express request with a session
+ * @param {string} form - Form name, so challenges of different forms do not collide
+ * @returns {{id: string, question: string}} Challenge ID for a hidden challengeId field, and the question to show
+ */
+function createChallenge(req, form) {
+  const a = crypto.randomInt(1, NUMBER_WORDS.length);
+  const b = crypto.randomInt(1, NUMBER_WORDS.length);
+  const id = crypto.randomBytes(16).toString("hex");
+
+  req.session.challenges = req.session.challenges || {};
+  req.session.challenges[form] = { id, answer: a + b, expiresAt: Date.now() + CHALLENGE_TTL_MS };
+
+  return { id, question: `What is ${NUMBER_WORDS[a]} plus ${NUMBER_WORDS[b]}?` };
+}
+
+/**
+ * Check the answer to a form's challenge and the honeypot field
+ * The challenge is used up either way, so a wrong answer cannot be retried
+ * @param {Object} req - Express request with a session
+ * @param {string} form - Form name
+ * @returns {boolean} Whether the challenge was passed
+ */
+function verifyChallenge(req, form) {
+  const challenge = req.session.challenges && req.session.challenges[form];
+  if (challenge) {
+    delete req.session.challenges[form];
+  }
+
+  if (req.body[HONEYPOT_FIELD]) return false;
+  if (!challenge || challenge.expiresAt < Date.now()) return false;
+  // An answer to an earlier form, e.g. from another tab, does not count for the current challenge
+  if (req.body.challengeId !== challenge.id) return false;
+
+  return Number.parseInt(String(req.body.challengeAnswer || "").trim(), 10) === challenge.answer;
+}
+
+module.exports = {
+  HONEYPOT_FIELD,
+  createChallenge,
+  verifyChallenge,
+};
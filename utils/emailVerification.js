@@ -0,0 +1,85 @@
+const crypto = require("crypto");
+
+/**
+ * Signed email verification tokens
+ *
+ * A token carries the user ID, the email address being verified and an expiry,
+ * signed with HMAC-SHA256. Nothing is stored: a token stops working when it expires
+ * or when the user's email address changes, because the address is part of what is signed.
+ */
+
+/**
+ * Number of hours a verification link stays valid
+ * @returns {number} Lifetime in hours
+ */
+function getVerificationTtlHours() {
+  return Number.parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 48;
+}
+
+/**
+ * Get the key verification tokens are signed with
+ * @returns {string} Signing key
+ */
+function getSigningKey() {
+  const key = process.env.EMAIL_VERIFICATION_SECRET || process.env.SESSION_SECRET;
+  if (!key) {
+    throw new Error("EMAIL_VERIFICATION_SECRET or SESSION_SECRET must be set to sign verification links");
+  }
+  return key;
+}
+
+/**
+ * Sign a token payload
+ * @param {string} payload - Encoded payload
+ * @returns {string} Signature, base64url encoded
+ */
+function sign(payload) {
+  return crypto.createHmac("sha256", getSigningKey()).update(`email-verification.${payload}`).digest("base64url");
+}
+
+/**
+ * Create a verification token for the user's current email address
+ * @param {Object} user - User document
+ * @returns {string} Token
+ */
+function createVerificationToken(user) {
+  const payload = Buffer.from(
+    JSON.stringify({
+      u: String(user._id),
+      e: user.email,
+      exp: Math.floor(Date.now() / 1000) + getVerificationTtlHours() * 3600,
+    }),
+  ).toString("base64url");
+
+  return `${payload}.${sign(payload)}`;
+}
+
+/**
+ * Check a verification token
+ * @param {string} token - Token from the verification link
+ * @returns {{userId: string, email: string}|null} Verified address, or null when the token is invalid or expired
+ */
+function readVerificationToken(token) {
+  const [payload, signature] = String(token).split(".");
+  if (!payload || !signature) return null;
+
+  const expected = Buffer.from(sign(payload));
+  const received = Buffer.from(signature);
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    return null;
+  }
+
+  try {
+    const { u, e, exp } = JSON.parse(Buffer.from(payload, "base64url").toString("utf8"));
+    if (!u || !e || !(exp > Date.now() / 1000)) return null;
+    return { userId: u, email: e };
+  } catch (error) {
+    return null;
+  }
+}
+
+module.exports = {
+  getVerificationTtlHours,
+  createVerificationToken,
+  readVerificationToken,
+};
@@ -0,0 +1,145 @@
+const { sendMail } = require("./mailer");
+const { createVerificationToken, getVerificationTtlHours } = require("./emailVerification");
+
+/**
+ * Emails sent to users
+ */
+
+/**
+ * Get the public base URL used in links sent by email
+ * Links are never built from the request's Host header, which a client can forge to
+ * point a reset link at its own server. Outside production the local server is the default.
+ * @returns {string} Base URL without a trailing slash
+ * @throws {Error} When APP_URL is not set in production
+ */
+function getAppUrl() {
+  if (process.env.APP_URL) {
+    return process.env.APP_URL.replace(/\/$/, "");
+  }
+
+  if (process.env.NODE_ENV === "production") {
+    throw new Error("APP_URL is not set. Set it to the public URL of the server");
+  }
+
+  return `http://localhost:${process.env.PORT || 3000}`;
+}
+
+/**
+ * Log an error when emailed links have no base URL, called at startup
+ * @returns {boolean} Whether a base URL is available
+ */
+function checkAppUrl() {
+  try {
+    getAppUrl();
+    return true;
+  } catch (error) {
+    console.error(`Configuration error: ${error.message}.`);
+    return false;
+  }
+}
+
+/**
+ * Send a password reset link
+ * @param {Object} user - User document
+ * @param {string} token - Raw reset token
+ * @param {number} ttlMinutes - Minutes until the link expires
+ * @returns {Promise<void>}
+ */
+async function sendPasswordResetEmail(user, token, ttlMinutes) {
+  const link = `${getAppUrl()}/auth/reset-password/${token}`;
+
+  await sendMail({
+    to: user.email,
+    subject: "Reset your Gmail Checker password",
+    text: [
+      `Hello ${user.username},`,
+      "",
+      "We received a request to reset the password of your Gmail Checker account.",
+      `Open this link to choose a new password. It expires in ${ttlMinutes} minutes and can only be used once:`,
+      "",
+      link,
+      "",
+      "If you did not ask for a new password, you can ignore this email; your password stays the same.",
+    ].join("\n"),
+  });
+}
+
+/**
+ * Send a link that verifies the user's current email address
+ * @param {Object} user - User document
+ * @returns {Promise<void>}
+ */
+async function sendVerificationEmail(user) {
+  const link = `${getAppUrl()}/auth/verify-email/${createVerificationToken(user)}`;
+
+  await sendMail({
+    to: user.email,
+    subject: "Verify your Gmail Checker email address",
+    text: [
+      `Hello ${user.username},`,
+      "",
+      `Please confirm that ${user.email} is your email address by opening this link.`,
+      `It expires in ${getVerificationTtlHours()} hours:`,
+      "",
+      link,
+      "",
+      "If you do not have a Gmail Checker account, you can ignore this email.",
+    ].join("\n"),
+  });
+}
+
+/**
+ * Send an invite link, where the user sets their own password
+ * @param {Object} user - User document
+ * @param {string} token - Raw invite token
+ * @param {number} ttlHours - Hours until the link expires
+ * @returns {Promise<void>}
+ */
+async function sendInviteEmail(user, token, ttlHours) {
+  const link = `${getAppUrl()}/auth/invite/${token}`;
+
+  await sendMail({
+    to: user.email,
+    subject: "You are invited to Gmail Checker",
+    text: [
+      `Hello ${user.username},`,
+      "",
+      "An account has been created for you on Gmail Checker.",
+      `Open this link to choose your password and get started. It expires in ${ttlHours} hours and can only be used once:`,
+      "",
+      link,
+      "",
+      "If you were not expecting this invite, you can ignore this email.",
+    ].join("\n"),
+  });
+}
+
+/**
+ * Tell a prospect their registration was rejected, with the admin's reason
+ * @param {Object} registration - Registration document
+ * @returns {Promise<void>}
+ */
+async function sendRegistrationRejectedEmail(registration) {
+  await sendMail({
+    to: registration.email,
+    subject: "Your Gmail Checker registration",
+    text: [
+      `Hello ${registration.username},`,
+      "",
+      "Thank you for your interest in Gmail Checker. Unfortunately we could not approve your registration:",
+      "",
+      registration.rejectionReason,
+      "",
+      "If you have any questions, please reply to this email.",
+    ].join("\n"),
+  });
+}
+
+module.exports = {
+  getAppUrl,
+  checkAppUrl,
+  sendPasswordResetEmail,
+  sendVerificationEmail,
+  sendInviteEmail,
+  sendRegistrationRejectedEmail,
+};
@@ -0,0 +1,179 @@
+const crypto = require("crypto");
+
+/**
+ * Signed offline licenses for the desktop application
+ *
+ * A license is a JSON document signed with the server's Ed25519 key. The client
+ * keeps the last license it received and may keep working until its
+ * offlineValidUntil time when the server cannot be reached.
+ */
+
+const LICENSE_VERSION = 1;
+
+let signingKey = null;
+
+/**
+ * Read a PEM key from the environment, allowing "\n" escapes for single-line values
+ * @param {string} value - Environment value
+ * @returns {string} PEM text
+ */
+function readPem(value) {
+  return value.replace(/\\n/g, "\n");
+}
+
+/**
+ * Derive a short, stable key ID from a public key
+ * @param {crypto.KeyObject} publicKey - Ed25519 public key
+ * @returns {string} Key ID
+ */
+function getKeyId(publicKey) {
+  const raw = publicKey.export({ format: "jwk" }).x;
+  return crypto.createHash("sha256").update(raw).digest("hex").slice(0, 16);
+}
+
+/**
+ * Describe a public key as a JWK for the public key endpoint
+ * @param {crypto.KeyObject} publicKey - Ed25519 public key
+ * @param {string} status - "active" or "retired"
+ * @returns {Object} JWK with key ID and status
+ */
+function toJwk(publicKey, status) {
+  const { kty, crv, x } = publicKey.export({ format: "jwk" });
+  return { kid: getKeyId(publicKey), kty, crv, x, alg: "EdDSA", use: "sig", status };
+}
+
+/**
+ * Get the active signing key, loading it on first use
+ * Outside production a temporary key is generated when LICENSE_SIGNING_KEY is not set,
+ * so licenses stop verifying after a restart
+ * @returns {{privateKey: crypto.KeyObject, publicKey: crypto.KeyObject, kid: string}}
+ * @throws {Error} When LICENSE_SIGNING_KEY is not set in production
+ */
+function getSigningKey() {
+  if (signingKey) return signingKey;
+
+  let privateKey;
+  if (process.env.LICENSE_SIGNING_KEY) {
+    privateKey = crypto.createPrivateKey(readPem(process.env.LICENSE_SIGNING_KEY));
+  } else if (process.env.NODE_ENV === "production") {
+    throw new Error("LICENSE_SIGNING_KEY is not set. Generate one with node scripts/generate-license-key.js");
+  } else {
+    console.warn("LICENSE_SIGNING_KEY is not set, using a temporary license signing key");
+    privateKey = crypto.generateKeyPairSync("ed25519").privateKey;
+  }
+
+  if (privateKey.asymmetricKeyType !== "ed25519") {
+    throw new Error("LICENSE_SIGNING_KEY must be an Ed25519 private key");
+  }
+
+  const publicKey = crypto.createPublicKey(privateKey);
+  signingKey = { privateKey, publicKey, kid: getKeyId(publicKey) };
+  return signingKey;
+}
+
+/**
+ * Log an error when licenses cannot be signed, called at startup
+ * @returns {boolean} Whether the signing key is usable
+ */
+function checkSigningKey() {
+  try {
+    getSigningKey();
+    return true;
+  } catch (error) {
+    console.error(`License signing key error: ${error.message}.`);
+    return false;
+  }
+}
+
+/**
+ * Get retired public keys that clients should still accept during a key rotation
+ * LICENSE_RETIRED_PUBLIC_KEYS holds PEM public keys separated by commas
+ * @returns {crypto.KeyObject[]} Retired public keys
+ */
+function getRetiredPublicKeys() {
+  const value = process.env.LICENSE_RETIRED_PUBLIC_KEYS || "";
+
+  return value
+    .split(",")
+    .map((pem) => pem.trim())
+    .filter((pem) => pem.length > 0)
+    .map((pem) => crypto.createPublicKey(readPem(pem)));
+}
+
+/**
+ * Number of hours a license stays valid without contacting the server
+ * @returns {number} Grace period in hours
+ */
+function getOfflineGraceHours() {
+  return Number.parseInt(process.env.LICENSE_OFFLINE_GRACE_HOURS) || 72;
+}
+
+/**
+ * Get every public key a client may need to verify a license, active key first
+ * @returns {Object[]} JWKs
+ */
+function getPublicKeys() {
+  const active = getSigningKey();
+  const retired = getRetiredPublicKeys()
+    .map((publicKey) => toJwk(publicKey, "retired"))
+    .filter((jwk) => jwk.kid !== active.kid);
+
+  return [toJwk(active.publicKey, "active"), ...retired];
+}
+
+/**
+ * Issue a signed license for a user on a device
+ * @param {Object} user - User document with its package populated
+ * @param {string} deviceId - Device the license is bound to
+ * @returns {{kid: string, alg: string, payload: string, signature: string}} Signed license
+ */
+function issueLicense(user, deviceId) {
+  const { privateKey, kid } = getSigningKey();
+  const now = new Date();
+
+  // Offline use never outlasts the package itself
+  let offlineValidUntil = new Date(now.getTime() + getOfflineGraceHours() * 60 * 60 * 1000);
+  if (!user.isAdmin() && user.packageEndDate < offlineValidUntil) {
+    offlineValidUntil = user.packageEndDate;
+  }
+
+  const document = {
+    version: LICENSE_VERSION,
+    licenseId: crypto.randomUUID(),
+    kid,
+    user: {
+      id: user._id,
+      username: user.username,
+      role: user.role,
+    },
+    deviceId,
+    package: user.package ? {
+      id: user.package._id,
+      name: user.package.name,
+      emailCredits: user.package.emailCredits,
+      concurrencyLimit: user.package.concurrencyLimit,
+      maxDevices: user.package.maxDevices,
+    } : null,
+    entitlements: user.getEntitlements(),
+    packageEndDate: user.packageEndDate,
+    issuedAt: now,
+    offlineValidUntil,
+  };
+
+  // The signature covers the exact payload bytes the client receives
+  const payload = Buffer.from(JSON.stringify(document));
+
+  return {
+    kid,
+    alg: "EdDSA",
+    payload: payload.toString("base64url"),
+    signature: crypto.sign(null, payload, privateKey).toString("base64url"),
+  };
+}
+
+module.exports = {
+  checkSigningKey,
+  getOfflineGraceHours,
+  getPublicKeys,
+  issueLicense,
+};
@@ -0,0 +1,100 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Outgoing email with pluggable transports
+ *
+ * A transport is a function that receives a message ({ from, to, subject, text })
+ * and returns a promise. MAIL_TRANSPORT selects the transport by name. "console"
+ * and "file" are built in for local development; production deployments register
+ * their own transport (SMTP, an email API, ...) with registerTransport at startup.
+ * Outside production "console" is the default; in production MAIL_TRANSPORT must be
+ * set, so reset and invite links are never written to the log by accident.
+ */
+
+const transports = {
+  /**
+   * Print messages to the server log
+   */
+  console: async (message) => {
+    console.log(`[MAIL] To: ${message.to} - Subject: ${message.subject}\n${message.text}`);
+  },
+
+  /**
+   * Write each message to a file in MAIL_FILE_DIR
+   */
+  file: async (message) => {
+    const directory = process.env.MAIL_FILE_DIR || path.join(__dirname, "../logs/mail");
+    await fs.promises.mkdir(directory, { recursive: true });
+
+    const fileName = `${new Date().toISOString().replace(/[:.]/g, "-")}-${message.to.replace(/[^A-Za-z0-9@._-]/g, "_")}.txt`;
+    const content = [`From: ${message.from}`, `To: ${message.to}`, `Subject: ${message.subject}`, "", message.text].join("\n");
+
+    await fs.promises.writeFile(path.join(directory, fileName), content);
+  },
+};
+
+/**
+ * Register a transport, replacing any transport with the same name
+ * @param {string} name - Name to select the transport with in MAIL_TRANSPORT
+ * @param {Function} transport - async (message) => void
+ */
+function registerTransport(name, transport) {
+  if (typeof transport !== "function") {
+    throw new Error("A mail transport must be a function");
+  }
+  transports[name] = transport;
+}
+
+/**
+ * Get the configured transport
+ * @returns {Function} Transport
+ */
+function getTransport() {
+  const name = process.env.MAIL_TRANSPORT || (process.env.NODE_ENV === "production" ? null : "console");
+
+  if (!name) {
+    throw new Error("MAIL_TRANSPORT is not set. Register a mail transport and select it with MAIL_TRANSPORT");
+  }
+
+  const transport = transports[name];
+
+  if (!transport) {
+    throw new Error(`Unknown mail transport "${name}"`);
+  }
+
+  return transport;
+}
+
+/**
+ * Log an error when no usable transport is configured, called once transports are registered
+ * @returns {boolean} Whether a transport is available
+ */
+function checkMailTransport() {
+  try {
+    getTransport();
+    return true;
+  } catch (error) {
+    console.error(`Mail transport error: ${error.message}. No emails can be sent.`);
+    return false;
+  }
+}
+
+/**
+ * Send an email through the configured transport
+ * @param {Object} message - Message
+ * @param {string} message.to - Recipient address
+ * @param {string} message.subject - Subject line
+ * @param {string} message.text - Plain text body
+ * @returns {Promise<void>}
+ */
+async function sendMail({ to, subject, text }) {
+  const from = process.env.MAIL_FROM || "Gmail Checker <no-reply@localhost>";
+  await getTransport()({ from, to, subject, text });
+}
+
+module.exports = {
+  registerTransport,
+  checkMailTransport,
+  sendMail,
+};
@@ -0,0 +1,574 @@
+const { ERROR_CODES, sendError, sendValidationError } = require("./apiResponse");
+const { authenticateDesktopToken, checkClientVersion } = require("../middleware/auth");
+const { SIGNATURE_HEADER, TIMESTAMP_HEADER, NONCE_HEADER } = require("./requestSigning");
+const { info, tags, schemas, operations, errorExamples, SIGNATURE_ERRORS } = require("../config/openapi");
+
+/**
+ * OpenAPI 3 document for the desktop API
+ *
+ * Paths, parameters, request fields, authentication and the common error
+ * responses are read from the router and its express-validator chains, so the
+ * document cannot drift from the routes. Summaries, success responses and
+ * examples come from config/openapi.js.
+ */
+
+const OPENAPI_VERSION = "3.0.3";
+const EXAMPLE_REQUEST_ID = "0f6f6c1e-4c7b-4b8e-9a57-3d1f0b7d2a41";
+
+/**
+ * Collect the routes of an Express router
+ * @param {Object} router - Express router
+ * @returns {Array<{method: string, path: string, key: string, handlers: Function[]}>} Routes in declaration order
+ */
+function getRoutes(router) {
+  return router.stack
+    .filter((layer) => layer.route)
+    .flatMap((layer) =>
+      Object.keys(layer.route.methods).map((method) => ({
+        method,
+        path: layer.route.path,
+        key: `${method} ${layer.route.path}`,
+        handlers: layer.route.stack.map((routeLayer) => routeLayer.handle),
+      }))
+    );
+}
+
+/**
+ * Turn the validators of an express-validator chain into a JSON schema
+ * Reads the chain's context, which express-validator does not document; custom
+ * validators and sanitizers are skipped
+ * @param {Object} context - Built validation context
+ * @returns {{schema: Object, description: string|undefined}} Schema and the first validator message
+ */
+function schemaFromContext(context) {
+  const schema = {};
+  let description;
+
+  context.stack.forEach((item) => {
+    if (!item.validator || !item.options) return;
+
+    const options = item.options[0] || {};
+
+    switch (item.validator.name) {
+      case "isInt":
+        schema.type = "integer";
+        if (options.min !== undefined) schema.minimum = options.min;
+        if (options.max !== undefined) schema.maximum = options.max;
+        break;
+      case "isLength":
+        if (options.min !== undefined) schema.minLength = options.min;
+        if (options.max !== undefined) schema.maxLength = options.max;
+        break;
+      case "isEmpty":
+        if (item.negated) schema.minLength = Math.max(schema.minLength || 0, 1);
+        break;
+      case "isIn":
+        schema.enum = item.options[0];
+        break;
+      case "isMongoId":
+        schema.pattern = "^[0-9a-fA-F]{24}$";
+        break;
+      case "isISO8601":
+        schema.format = "date-time";
+        break;
+      default:
+        return;
+    }
+
+    if (!description && typeof item.message === "string") {
+      description = item.message;
+    }
+  });
+
+  return { schema, description };
+}
+
+/**
+ * Describe the fields validated by a route's express-validator chains
+ * @param {Function[]} handlers - Route handlers
+ * @returns {Array<{location: string, field: string, required: boolean, schema: Object}>} Fields, merged by location and name
+ */
+function getValidatedFields(handlers) {
+  const fields = new Map();
+
+  handlers
+    .filter((handler) => handler.builder)
+    .forEach((handler) => {
+      const context = handler.builder.build();
+      const { schema, description } = schemaFromContext(context);
+
+      context.fields.forEach((field) => {
+        context.locations.forEach((location) => {
+          const key = `${location}.${field}`;
+          const existing = fields.get(key) || { location, field, required: false, schema: {} };
+
+          existing.required = existing.required || context.optional === false;
+          existing.schema = { ...existing.schema, ...schema };
+          if (description && !existing.schema.description) {
+            existing.schema.description = description;
+          }
+
+          fields.set(key, existing);
+        });
+      });
+    });
+
+  // Fields without a typed validator arrive as strings
+  return [...fields.values()].map((field) => ({ ...field, schema: { type: "string", ...field.schema } }));
+}
+
+/**
+ * Build an error example with the real envelope helpers
+ * @param {number} status - HTTP status code
+ * @param {string} code - One of ERROR_CODES
+ * @returns {Object} Example response body
+ */
+function buildErrorExample(status, code) {
+  let body;
+  const res = {
+    req: { id: EXAMPLE_REQUEST_ID },
+    status() {
+      return this;
+    },
+    json(value) {
+      body = value;
+      return this;
+    },
+  };
+
+  if (code === ERROR_CODES.VALIDATION_FAILED) {
+    const details = [{ type: "field", value: "", msg: "Device ID is required", path: "device_id", location: "body" }];
+    sendValidationError(res, { array: () => details });
+  } else {
+    const example = errorExamples[code] || { message: code };
+    sendError(res, status, code, example.message, example.extra);
+  }
+
+  return JSON.parse(JSON.stringify(body));
+}
+
+/**
+ * Describe an error response
+ * @param {number} status - HTTP status code
+ * @param {{codes: string[], extra?: Object}} error - Possible codes and extra top-level fields
+ * @returns {Object} OpenAPI response
+ */
+function buildErrorResponse(status, { codes, extra = {} }) {
+  return {
+    description: codes.map((code) => `\`${code}\``).join(", "),
+    headers: { "X-Request-ID": { $ref: "#/components/headers/RequestId" } },
+    content: {
+      "application/json": {
+        schema: {
+          allOf: [
+            { $ref: "#/components/schemas/Error" },
+            { type: "object", properties: { code: { type: "string", enum: codes }, ...extra } },
+          ],
+        },
+        example: buildErrorExample(status, codes[0]),
+      },
+    },
+  };
+}
+
+/**
+ * Add error codes to a status, keeping the codes already listed
+ * @param {Object} errors - Errors by status
+ * @param {number} status - HTTP status code
+ * @param {string[]} codes - Codes to add
+ * @param {Object} [extra] - Extra top-level fields
+ */
+function addErrors(errors, status, codes, extra = {}) {
+  const existing = errors[status] || { codes: [], extra: {} };
+  codes.forEach((code) => {
+    if (!existing.codes.includes(code)) existing.codes.push(code);
+  });
+  existing.extra = { ...existing.extra, ...extra };
+  errors[status] = existing;
+}
+
+/**
+ * Build the OpenAPI operation of one route
+ * @param {Object} route - Route from getRoutes
+ * @returns {Object} OpenAPI operation
+ */
+function buildOperation(route) {
+  const doc = operations[route.key] || {};
+  const fields = getValidatedFields(route.handlers);
+  const requiresAuth = route.handlers.includes(authenticateDesktopToken);
+  const checksVersion = route.handlers.includes(checkClientVersion);
+  const scopes = route.handlers.filter((handler) => handler.scope).map((handler) => handler.scope);
+  const example = doc.requestExample || {};
+
+  const operation = {
+    tags: doc.tags || [],
+    operationId: doc.operationId,
+    summary: doc.summary || route.key,
+    description: doc.description,
+    parameters: [],
+  };
+
+  // Request fields from the validation chains, plus fields the handler reads without validating them
+  const body = { type: "object", required: [], properties: {} };
+  fields.forEach(({ location, field, required, schema }) => {
+    if (location === "body") {
+      body.properties[field] = schema;
+      if (required) body.required.push(field);
+    } else if (location === "query") {
+      operation.parameters.push({
+        name: field,
+        in: "query",
+        required,
+        schema,
+        ...(example[field] !== undefined ? { example: example[field] } : {}),
+      });
+    }
+  });
+
+  if (doc.body) {
+    Object.assign(body.properties, doc.body.properties);
+    (doc.body.required || []).forEach((field) => {
+      if (!body.required.includes(field)) body.required.push(field);
+    });
+  }
+
+  if (checksVersion) {
+    body.properties.client_version = { type: "string", description: "Desktop client version, e.g. 1.4.2" };
+    body.properties.channel = { type: "string", enum: schemas.UpdateManifest.properties.channel.enum, default: "stable" };
+    operation.parameters.push(
+      { name: "X-Client-Version", in: "header", required: false, schema: { type: "string" }, description: "Alternative to client_version" },
+      { name: "X-Client-Channel", in: "header", required: false, schema: { type: "string" }, description: "Alternative to channel" }
+    );
+  }
+
+  if (requiresAuth) {
+    operation.security = [{ bearerAuth: [] }];
+    operation.parameters.push({
+      name: "X-Device-ID",
+      in: "header",
+      required: false,
+      schema: { type: "string" },
+      description: "Device the access token was issued to; refused with DEVICE_MISMATCH when it differs",
+    });
+    if (scopes.length > 0) {
+      operation["x-api-key-scopes"] = scopes;
+      operation.description = [operation.description, `API keys need the ${scopes.map((scope) => `\`${scope}\``).join(", ")} scope.`]
+        .filter(Boolean)
+        .join("\n\n");
+    }
+  } else {
+    operation.security = [];
+  }
+
+  if (requiresAuth || doc.signed) {
+    operation.parameters.push(
+      { name: SIGNATURE_HEADER, in: "header", required: false, schema: { type: "string", pattern: "^[0-9a-f]{64}$" }, description: "HMAC-SHA256 request signature, hex" },
+      { name: TIMESTAMP_HEADER, in: "header", required: false, schema: { type: "string" }, description: "Unix time in seconds the request was signed at" },
+      { name: NONCE_HEADER, in: "header", required: false, schema: { type: "string" }, description: "Single-use value, 16 to 128 letters, digits, - or _" }
+    );
+  }
+
+  if (Object.keys(body.properties).length > 0) {
+    if (body.required.length === 0) delete body.required;
+    operation.requestBody = {
+      required: true,
+      content: { "application/json": { schema: body, ...(doc.requestExample ? { example: doc.requestExample } : {}) } },
+    };
+  }
+
+  if (operation.parameters.length === 0) delete operation.parameters;
+  if (!operation.description) delete operation.description;
+  if (!operation.operationId) delete operation.operationId;
+
+  // Success responses are documented by hand, errors are collected from the middleware in use
+  const responses = {};
+  const errors = {};
+  Object.keys(doc.responses || {}).forEach((status) => {
+    const response = doc.responses[status];
+    if (response.codes) {
+      addErrors(errors, status, response.codes, response.extra);
+    } else {
+      responses[status] = {
+        ...response,
+        headers: { "X-Request-ID": { $ref: "#/components/headers/RequestId" } },
+      };
+    }
+  });
+
+  if (fields.length > 0) addErrors(errors, 400, [ERROR_CODES.VALIDATION_FAILED]);
+  if (operation.requestBody) addErrors(errors, 400, [ERROR_CODES.INVALID_JSON]);
+  if (requiresAuth) {
+    addErrors(errors, 401, [
+      ERROR_CODES.TOKEN_MISSING,
+      ERROR_CODES.TOKEN_INVALID,
+      ERROR_CODES.TOKEN_REVOKED,
+      ERROR_CODES.DEVICE_MISMATCH,
+      ERROR_CODES.USER_NOT_FOUND,
+      ...SIGNATURE_ERRORS,
+    ]);
+    addErrors(errors, 403, [ERROR_CODES.ACCOUNT_DISABLED, ERROR_CODES.PACKAGE_EXPIRED, ERROR_CODES.IP_NOT_ALLOWED]);
+  }
+  if (scopes.length > 0) addErrors(errors, 403, [ERROR_CODES.SCOPE_MISSING]);
+  if (checksVersion) {
+    addErrors(errors, 426, [ERROR_CODES.CLIENT_OUTDATED], { update: { $ref: "#/components/schemas/UpdateManifest" } });
+  }
+  addErrors(errors, 429, [ERROR_CODES.RATE_LIMITED]);
+  addErrors(errors, 500, [ERROR_CODES.INTERNAL_ERROR]);
+
+  Object.keys(errors)
+    .sort()
+    .forEach((status) => {
+      responses[status] = buildErrorResponse(Number(status), errors[status]);
+    });
+
+  operation.responses = responses;
+  return operation;
+}
+
+/**
+ * Build the OpenAPI document of a router
+ * @param {Object} router - The desktop API router
+ * @param {string} basePath - Path the router is mounted at
+ * @returns {Object} OpenAPI document
+ */
+function buildOpenApiDocument(router, basePath) {
+  const paths = {};
+
+  getRoutes(router).forEach((route) => {
+    paths[route.path] = paths[route.path] || {};
+    paths[route.path][route.method] = buildOperation(route);
+  });
+
+  return {
+    openapi: OPENAPI_VERSION,
+    info,
+    servers: [
+      { url: basePath, description: "Current version" },
+      { url: "/auth/api", description: "Deprecated alias of the current version" },
+    ],
+    tags,
+    paths,
+    components: {
+      schemas,
+      securitySchemes: {
+        bearerAuth: {
+          type: "http",
+          scheme: "bearer",
+          description:
+            "A desktop access token from /login or /refresh, or an API key (gck_...) created on the dashboard. " +
+            "Send it as `Authorization: Bearer <token>`; the `token` body field is accepted as well.",
+        },
+      },
+      headers: {
+        RequestId: {
+          description: "Request ID, taken from the request's X-Request-ID header when it is safe, otherwise generated",
+          schema: { type: "string" },
+        },
+      },
+    },
+  };
+}
+
+/**
+ * Compare the router with the hand-written operation docs
+ * @param {Object} router - The desktop API router
+ * @returns {{undocumented: string[], unknown: string[]}} Routes without docs, and docs without a route
+ */
+function findDocumentationGaps(router) {
+  const keys = getRoutes(router).map((route) => route.key);
+
+  return {
+    undocumented: keys.filter((key) => !operations[key]),
+    unknown: Object.keys(operations).filter((key) => !keys.includes(key)),
+  };
+}
+
+/**
+ * Resolve a local $ref
+ * @param {Object} document - OpenAPI document
+ * @param {Object} schema - Schema that may be a reference
+ * @returns {Object} Referenced schema
+ */
+function resolveSchema(document, schema) {
+  if (!schema || !schema.$ref) return schema;
+  const target = schema.$ref
+    .replace(/^#\//, "")
+    .split("/")
+    .reduce((node, part) => node && node[part], document);
+
+  if (!target) throw new Error(`Unknown schema reference ${schema.$ref}`);
+  return resolveSchema(document, target);
+}
+
+/**
+ * Check a value against a schema
+ * Supports the subset of JSON schema used by this document
+ * @param {Object} document - OpenAPI document, for references
+ * @param {Object} schema - Schema
+ * @param {*} value - Value to check
+ * @param {string} [path] - Location of the value, for messages
+ * @returns {string[]} Problems found, empty when the value matches
+ */
+function validateSchema(document, schema, value, path = "$") {
+  const resolved = resolveSchema(document, schema);
+  if (!resolved) return [];
+
+  if (value === null && resolved.nullable) return [];
+
+  const errors = [];
+
+  if (resolved.allOf) {
+    resolved.allOf.forEach((part) => errors.push(...validateSchema(document, part, value, path)));
+  }
+
+  if (resolved.oneOf) {
+    const matches = resolved.oneOf.filter((part) => validateSchema(document, part, value, path).length === 0);
+    if (matches.length !== 1) errors.push(`${path} must match exactly one allowed schema`);
+  }
+
+  if (resolved.type) {
+    const typeChecks = {
+      string: (item) => typeof item === "string",
+      integer: (item) => Number.isInteger(item),
+      number: (item) => typeof item === "number",
+      boolean: (item) => typeof item === "boolean",
+      array: (item) => Array.isArray(item),
+      object: (item) => typeof item === "object" && item !== null && !Array.isArray(item),
+    };
+
+    if (!typeChecks[resolved.type](value)) {
+      errors.push(`${path} must be of type ${resolved.type}`);
+      return errors;
+    }
+  }
+
+  if (resolved.enum && !resolved.enum.includes(value)) {
+    errors.push(`${path} must be one of ${resolved.enum.join(", ")}`);
+  }
+
+  if (typeof value === "string") {
+    if (resolved.minLength !== undefined && value.length < resolved.minLength) errors.push(`${path} is too short`);
+    if (resolved.maxLength !== undefined && value.length > resolved.maxLength) errors.push(`${path} is too long`);
+    if (resolved.pattern && !new RegExp(resolved.pattern).test(value)) errors.push(`${path} does not match ${resolved.pattern}`);
+    if (resolved.format === "date-time" && (!/^\d{4}-\d{2}-\d{2}T/.test(value) || Number.isNaN(Date.parse(value)))) {
+      errors.push(`${path} must be a date-time`);
+    }
+  }
+
+  if (typeof value === "number") {
+    if (resolved.minimum !== undefined && value < resolved.minimum) errors.push(`${path} must be at least ${resolved.minimum}`);
+    if (resolved.maximum !== undefined && value > resolved.maximum) errors.push(`${path} must be at most ${resolved.maximum}`);
+  }
+
+  if (Array.isArray(value) && resolved.items) {
+    value.forEach((item, index) => errors.push(...validateSchema(document, resolved.items, item, `${path}[${index}]`)));
+  }
+
+  if (typeof value === "object" && value !== null && !Array.isArray(value)) {
+    (resolved.required || []).forEach((key) => {
+      if (value[key] === undefined) errors.push(`${path}.${key} is required`);
+    });
+
+    Object.keys(value).forEach((key) => {
+      if (resolved.properties && resolved.properties[key]) {
+        errors.push(...validateSchema(document, resolved.properties[key], value[key], `${path}.${key}`));
+      } else if (resolved.additionalProperties === false) {
+        errors.push(`${path}.${key} is not allowed`);
+      }
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * Summarize a schema in a few words for the documentation page
+ * @param {Object} document - OpenAPI document, for references
+ * @param {Object} schema - Schema
+ * @returns {string} Summary such as "integer, 1 to 1000"
+ */
+function describeSchema(document, schema) {
+  if (schema.$ref) {
+    return schema.$ref.split("/").pop();
+  }
+
+  const parts = [schema.type || "any"];
+  if (schema.enum) parts.push(`one of ${schema.enum.join(", ")}`);
+  if (schema.minimum !== undefined && schema.maximum !== undefined) parts.push(`${schema.minimum} to ${schema.maximum}`);
+  else if (schema.minimum !== undefined) parts.push(`at least ${schema.minimum}`);
+  if (schema.maxLength !== undefined) parts.push(`up to ${schema.maxLength} characters`);
+  if (schema.format) parts.push(schema.format);
+  if (schema.pattern === document.components.schemas.ObjectId.pattern) parts.push("ObjectId");
+  return parts.join(", ");
+}
+
+/**
+ * List the operations of a document, grouped by tag, in the shape the documentation page renders
+ * @param {Object} document - OpenAPI document
+ * @returns {Array<{name: string, description: string, operations: Object[]}>} Tags with their operations
+ */
+function listOperationsByTag(document) {
+  const groups = document.tags.map((tag) => ({ ...tag, operations: [] }));
+
+  Object.keys(document.paths).forEach((path) => {
+    Object.keys(document.paths[path]).forEach((method) => {
+      const operation = document.paths[path][method];
+      const body = operation.requestBody && operation.requestBody.content["application/json"];
+      const parameters = (operation.parameters || []).map((parameter) => ({
+        name: parameter.name,
+        location: parameter.in,
+        type: describeSchema(document, parameter.schema),
+        required: parameter.required,
+        description: parameter.description || parameter.schema.description || "",
+      }));
+
+      if (body) {
+        Object.keys(body.schema.properties).forEach((name) => {
+          const schema = body.schema.properties[name];
+          parameters.push({
+            name,
+            location: "body",
+            type: describeSchema(document, schema),
+            required: (body.schema.required || []).includes(name),
+            description: schema.description || "",
+          });
+        });
+      }
+
+      const query = (operation.parameters || []).filter((parameter) => parameter.in === "query");
+
+      const entry = {
+        id: operation.operationId || `${method}-${path}`,
+        method,
+        path,
+        summary: operation.summary,
+        description: operation.description || "",
+        requiresAuth: operation.security.length > 0,
+        parameters,
+        requestExample: body && body.example ? body.example : null,
+        queryExample: query.map((parameter) => ({ name: parameter.name, value: parameter.example === undefined ? "" : parameter.example })),
+        responses: Object.keys(operation.responses).map((status) => {
+          const content = operation.responses[status].content;
+          return {
+            status,
+            description: operation.responses[status].description,
+            example: content ? content["application/json"].example : null,
+          };
+        }),
+      };
+
+      const group = groups.find((item) => operation.tags.includes(item.name)) || groups[groups.length - 1];
+      group.operations.push(entry);
+    });
+  });
+
+  return groups.filter((group) => group.operations.length > 0);
+}
+
+module.exports = {
+  getRoutes,
+  buildOpenApiDocument,
+  listOperationsByTag,
+  findDocumentationGaps,
+  validateSchema,
+};
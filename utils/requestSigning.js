@@ -0,0 +1,121 @@
+const crypto = require("crypto");
+
+/**
+ * HMAC request signing for the desktop API
+ *
+ * A desktop client receives a signing secret at login and signs each request with
+ * HMAC-SHA256 over:
+ *   METHOD \n path with query string \n SHA-256 hex of the raw body \n timestamp \n nonce
+ * The signature, timestamp (Unix seconds) and nonce are sent in the
+ * X-Signature, X-Signature-Timestamp and X-Signature-Nonce headers.
+ */
+
+const SIGNATURE_HEADER = "X-Signature";
+const TIMESTAMP_HEADER = "X-Signature-Timestamp";
+const NONCE_HEADER = "X-Signature-Nonce";
+const NONCE_PATTERN = /^[A-Za-z0-9_-]{16,128}$/;
+
+/**
+ * Number of seconds a signed request stays acceptable, in either direction to allow for clock drift
+ * @returns {number} Maximum age in seconds
+ */
+function getMaxAgeSeconds() {
+  return Number.parseInt(process.env.REQUEST_SIGNATURE_MAX_AGE_SECONDS) || 300;
+}
+
+/**
+ * Generate a signing secret for a new login
+ * @returns {string} Secret, base64url encoded
+ */
+function generateSigningSecret() {
+  return crypto.randomBytes(32).toString("base64url");
+}
+
+/**
+ * Build the string a request signature covers
+ * @param {Object} parts - Request parts
+ * @param {string} parts.method - HTTP method
+ * @param {string} parts.path - Request path including the query string
+ * @param {Buffer|string} parts.body - Raw request body, empty when there is none
+ * @param {string|number} parts.timestamp - Unix time in seconds
+ * @param {string} parts.nonce - Single-use random value
+ * @returns {string} String to sign
+ */
+function buildSigningString({ method, path, body, timestamp, nonce }) {
+  const bodyHash = crypto.createHash("sha256").update(body || "").digest("hex");
+  return [method.toUpperCase(), path, bodyHash, String(timestamp), nonce].join("\n");
+}
+
+/**
+ * Sign a request
+ * @param {string} secret - Signing secret from login
+ * @param {Object} parts - Request parts, see buildSigningString
+ * @returns {string} Signature, lowercase hex
+ */
+function signRequest(secret, parts) {
+  return crypto.createHmac("sha256", secret).update(buildSigningString(parts)).digest("hex");
+}
+
+/**
+ * Read the signature headers of a request
+ * @param {Object} req - Express request
+ * @returns {{signature: string, timestamp: string, nonce: string}|null} Headers, or null when the request is not signed
+ */
+function getSignatureHeaders(req) {
+  const signature = req.get(SIGNATURE_HEADER);
+  const timestamp = req.get(TIMESTAMP_HEADER);
+  const nonce = req.get(NONCE_HEADER);
+
+  if (!signature && !timestamp && !nonce) return null;
+  return { signature: signature || "", timestamp: timestamp || "", nonce: nonce || "" };
+}
+
+/**
+ * Check the signature of a request; the nonce still has to be claimed by the caller
+ * @param {Object} req - Express request, with rawBody set by the JSON parser
+ * @param {string} secret - Signing secret of the login
+ * @param {{signature: string, timestamp: string, nonce: string}} headers - From getSignatureHeaders
+ * @returns {string|null} "invalid" or "expired" when the request must be refused, otherwise null
+ */
+function verifyRequestSignature(req, secret, { signature, timestamp, nonce }) {
+  if (!secret || !/^\d{1,12}$/.test(timestamp) || !NONCE_PATTERN.test(nonce) || !/^[0-9a-f]{64}$/i.test(signature)) {
+    return "invalid";
+  }
+
+  if (Math.abs(Date.now() / 1000 - Number(timestamp)) > getMaxAgeSeconds()) {
+    return "expired";
+  }
+
+  const expected = signRequest(secret, {
+    method: req.method,
+    path: req.originalUrl,
+    body: req.rawBody,
+    timestamp,
+    nonce,
+  });
+
+  const matches = crypto.timingSafeEqual(Buffer.from(expected, "hex"), Buffer.from(signature.toLowerCase(), "hex"));
+  return matches ? null : "invalid";
+}
+
+/**
+ * Describe the signing requirement for a login response
+ * @param {boolean} required - Whether the user's package requires signed requests
+ * @returns {{required: boolean, algorithm: string, maxAgeSeconds: number}} Signing policy
+ */
+function getSigningPolicy(required) {
+  return { required, algorithm: "HMAC-SHA256", maxAgeSeconds: getMaxAgeSeconds() };
+}
+
+module.exports = {
+  SIGNATURE_HEADER,
+  TIMESTAMP_HEADER,
+  NONCE_HEADER,
+  getMaxAgeSeconds,
+  generateSigningSecret,
+  buildSigningString,
+  signRequest,
+  getSignatureHeaders,
+  verifyRequestSignature,
+  getSigningPolicy,
+};
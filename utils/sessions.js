@@ -0,0 +1,188 @@
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const ApiKey = require("../models/ApiKey");
+const DesktopToken = require("../models/DesktopToken");
+const Presence = require("../models/Presence");
+
+/**
+ * Collection used by connect-mongo for web sessions
+ */
+const SESSION_COLLECTION = "sessions";
+
+/**
+ * Build the filter matching the stored web sessions of the given users
+ * connect-mongo stores each session as a JSON string, so sessions are matched
+ * on the serialized req.session.user._id
+ * @param {string[]} ids - Valid user IDs
+ * @returns {Object} MongoDB filter
+ */
+function userSessionsFilter(ids) {
+  return {
+    session: { $regex: `"user":\\{"_id":"(${ids.join("|")})"` },
+  };
+}
+
+/**
+ * Get the public handle of a session
+ * Session IDs are what the session cookie carries, so pages only ever show this hash
+ * @param {string} sessionId - Session ID
+ * @returns {string} Handle
+ */
+function getSessionHandle(sessionId) {
+  return crypto.createHash("sha256").update(String(sessionId)).digest("hex").slice(0, 32);
+}
+
+/**
+ * Record who is using a session, called when the user logs in
+ * @param {Object} req - Express request with a logged in session
+ */
+function tagSession(req) {
+  const now = Date.now();
+  req.session.ip = req.ip;
+  req.session.userAgent = (req.get("User-Agent") || "").slice(0, 300);
+  req.session.createdAt = now;
+  req.session.lastActiveAt = now;
+}
+
+/**
+ * List the web sessions of a user, most recently active first
+ * @param {string} userId - User ID
+ * @param {string} [currentSessionId] - Session of the request, marked as current
+ * @returns {Promise<Object[]>} Sessions with handle, ip, userAgent, createdAt, lastActiveAt, expiresAt and current
+ */
+async function listUserSessions(userId, currentSessionId) {
+  if (!mongoose.isValidObjectId(String(userId))) return [];
+
+  const documents = await mongoose.connection
+    .collection(SESSION_COLLECTION)
+    .find({ ...userSessionsFilter([String(userId)]), expires: { $gt: new Date() } })
+    .toArray();
+
+  return documents
+    .map((document) => {
+      let data = {};
+      try {
+        data = typeof document.session === "string" ? JSON.parse(document.session) : document.session;
+      } catch (error) {
+        // Unreadable sessions are still listed so they can be ended
+      }
+
+      return {
+        sessionId: document._id,
+        handle: getSessionHandle(document._id),
+        ip: data.ip || null,
+        userAgent: data.userAgent || null,
+        createdAt: data.createdAt ? new Date(data.createdAt) : null,
+        lastActiveAt: data.lastActiveAt ? new Date(data.lastActiveAt) : null,
+        expiresAt: document.expires,
+        current: document._id === currentSessionId,
+      };
+    })
+    .sort((a, b) => (b.lastActiveAt || 0) - (a.lastActiveAt || 0));
+}
+
+/**
+ * End one web session of a user
+ * @param {string} userId - User ID
+ * @param {string} handle - Session handle from listUserSessions
+ * @returns {Promise<boolean>} Whether a session was ended
+ */
+async function destroyUserSession(userId, handle) {
+  const session = (await listUserSessions(userId)).find((item) => item.handle === handle);
+  if (!session) return false;
+
+  const result = await mongoose.connection
+    .collection(SESSION_COLLECTION)
+    .deleteOne({ _id: session.sessionId, ...userSessionsFilter([String(userId)]) });
+  return result.deletedCount > 0;
+}
+
+/**
+ * Get the maximum number of concurrent web sessions for a role
+ * Set with MAX_WEB_SESSIONS_ADMIN and MAX_WEB_SESSIONS_USER; 0 or unset means no limit
+ * @param {string} role - User role
+ * @returns {number} Limit, 0 for none
+ */
+function getWebSessionLimit(role) {
+  const variable = role === "admin" ? "MAX_WEB_SESSIONS_ADMIN" : "MAX_WEB_SESSIONS_USER";
+  return Math.max(Number.parseInt(process.env[variable]) || 0, 0);
+}
+
+/**
+ * End a user's least recently active sessions so a new login stays within the role's limit
+ * @param {Object} user - User document
+ * @param {string} currentSessionId - The new session, which is kept
+ * @returns {Promise<number>} Number of ended sessions
+ */
+async function enforceWebSessionLimit(user, currentSessionId) {
+  const limit = getWebSessionLimit(user.role);
+  if (limit === 0) return 0;
+
+  const others = (await listUserSessions(user._id)).filter((session) => session.sessionId !== currentSessionId);
+  const excess = others.slice(Math.max(limit - 1, 0));
+  if (excess.length === 0) return 0;
+
+  const result = await mongoose.connection
+    .collection(SESSION_COLLECTION)
+    .deleteMany({ _id: { $in: excess.map((session) => session.sessionId) } });
+  return result.deletedCount;
+}
+
+/**
+ * Destroy the web sessions of the given users
+ * @param {string|string[]} userIds - User IDs
+ * @param {string} [exceptSessionId] - Session to keep, e.g. the admin's own
+ * @returns {Promise<number>} Number of destroyed sessions
+ */
+async function destroyUserSessions(userIds, exceptSessionId) {
+  const ids = [].concat(userIds)
+    .map((id) => String(id))
+    .filter((id) => mongoose.isValidObjectId(id));
+
+  if (ids.length === 0) return 0;
+
+  const filter = userSessionsFilter(ids);
+
+  if (exceptSessionId) {
+    filter._id = { $ne: exceptSessionId };
+  }
+
+  const result = await mongoose.connection.collection(SESSION_COLLECTION).deleteMany(filter);
+  return result.deletedCount;
+}
+
+/**
+ * End every web session and desktop login of the given users
+ * API keys are kept unless asked for, as revoking them cannot be undone, e.g. by reactivating the account
+ * @param {string|string[]} userIds - User IDs
+ * @param {Object} [options]
+ * @param {string} [options.reason] - Revocation reason stored on the desktop tokens
+ * @param {string} [options.exceptSessionId] - Web session to keep
+ * @param {boolean} [options.revokeApiKeys=false] - Also revoke the users' API keys, e.g. after a password change
+ * @returns {Promise<{sessions: number, tokens: number, apiKeys: number}>} Number of ended sessions, revoked tokens and revoked API keys
+ */
+async function signOutEverywhere(userIds, { reason = "admin_signout", exceptSessionId, revokeApiKeys = false } = {}) {
+  const ids = [].concat(userIds);
+
+  const [sessions, tokenResults, apiKeyResults] = await Promise.all([
+    destroyUserSessions(ids, exceptSessionId),
+    Promise.all(ids.map((id) => DesktopToken.revokeAllForUser(id, reason))),
+    revokeApiKeys ? Promise.all(ids.map((id) => ApiKey.revokeAllForUser(id))) : [],
+    Presence.deleteMany({ user: { $in: ids } }),
+  ]);
+
+  const tokens = tokenResults.reduce((total, result) => total + result.modifiedCount, 0);
+  const apiKeys = apiKeyResults.reduce((total, result) => total + result.modifiedCount, 0);
+  return { sessions, tokens, apiKeys };
+}
+
+module.exports = {
+  getSessionHandle,
+  tagSession,
+  listUserSessions,
+  destroyUserSession,
+  getWebSessionLimit,
+  enforceWebSessionLimit,
+  destroyUserSessions,
+  signOutEverywhere,
+};
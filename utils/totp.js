@@ -0,0 +1,175 @@
+const crypto = require("crypto");
+
+/**
+ * Time-based one-time passwords (RFC 6238) for two-factor authentication
+ *
+ * Codes are 6 digits from HMAC-SHA1 over 30 second time steps, which is what
+ * Google Authenticator, Authy, 1Password and similar apps expect.
+ */
+
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+const RECOVERY_CODE_COUNT = 10;
+
+/**
+ * Check if the global policy makes two-factor authentication mandatory for a role
+ * Admins must use it unless REQUIRE_ADMIN_TWO_FACTOR is "false"
+ * @param {string} role - User role
+ * @returns {boolean} Whether users with the role must enroll
+ */
+function isTwoFactorRequired(role) {
+  return role === "admin" && process.env.REQUIRE_ADMIN_TWO_FACTOR !== "false";
+}
+
+/**
+ * Encode bytes as base32 without padding
+ * @param {Buffer} buffer - Bytes
+ * @returns {string} Base32 string
+ */
+function base32Encode(buffer) {
+  let bits = "";
+  for (const byte of buffer) {
+    bits += byte.toString(2).padStart(8, "0");
+  }
+
+  let output = "";
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[Number.parseInt(bits.slice(i, i + 5).padEnd(5, "0"), 2)];
+  }
+  return output;
+}
+
+/**
+ * Decode a base32 string, ignoring case, spaces and padding
+ * @param {string} input - Base32 string
+ * @returns {Buffer} Bytes
+ */
+function base32Decode(input) {
+  const clean = input.toUpperCase().replace(/[\s=]/g, "");
+  let bits = "";
+
+  for (const char of clean) {
+    const value = BASE32_ALPHABET.indexOf(char);
+    if (value === -1) {
+      throw new Error("Invalid base32 character");
+    }
+    bits += value.toString(2).padStart(5, "0");
+  }
+
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(Number.parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+}
+
+/**
+ * Generate a secret for a new authenticator
+ * @returns {string} Secret, base32 encoded
+ */
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+/**
+ * Get the time step a moment falls in
+ * @param {number} [time] - Unix time in milliseconds
+ * @returns {number} Time step
+ */
+function getTimeStep(time = Date.now()) {
+  return Math.floor(time / 1000 / STEP_SECONDS);
+}
+
+/**
+ * Generate the code for a time step
+ * @param {string} secret - Secret, base32 encoded
+ * @param {number} step - Time step
+ * @returns {string} Code, zero padded
+ */
+function generateCode(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac("sha1", base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const value = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(value % 10 ** DIGITS).padStart(DIGITS, "0");
+}
+
+/**
+ * Check a code against the current time step and its neighbours, to allow for clock drift
+ * @param {string} secret - Secret, base32 encoded
+ * @param {string} code - Code entered by the user
+ * @param {number} [lastUsedStep] - Step of the last accepted code; it and earlier steps are refused so a code works once
+ * @returns {number|null} Matching time step, or null when the code is wrong or already used
+ */
+function verifyCode(secret, code, lastUsedStep = -1) {
+  const normalized = String(code || "").replace(/\s/g, "");
+  if (!new RegExp(`^\\d{${DIGITS}}$`).test(normalized)) return null;
+
+  const current = getTimeStep();
+  for (const step of [current - 1, current, current + 1]) {
+    if (step <= lastUsedStep) continue;
+
+    const expected = generateCode(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return step;
+    }
+  }
+  return null;
+}
+
+/**
+ * Build the otpauth:// URL shown as a QR code during enrollment
+ * @param {string} secret - Secret, base32 encoded
+ * @param {string} accountName - Account label shown in the authenticator app
+ * @returns {string} otpauth URL
+ */
+function getOtpauthUrl(secret, accountName) {
+  const issuer = process.env.TWO_FACTOR_ISSUER || "Gmail Checker";
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({ secret, issuer, algorithm: "SHA1", digits: String(DIGITS), period: String(STEP_SECONDS) });
+  return `otpauth://totp/${label}?${params}`;
+}
+
+/**
+ * Normalize a recovery code so it can be typed with or without the dash and in any case
+ * @param {string} code - Recovery code
+ * @returns {string} Normalized code
+ */
+function normalizeRecoveryCode(code) {
+  return String(code || "").toLowerCase().replace(/[^0-9a-f]/g, "");
+}
+
+/**
+ * Hash a recovery code for storage
+ * @param {string} code - Recovery code
+ * @returns {string} SHA-256 hash, hex encoded
+ */
+function hashRecoveryCode(code) {
+  return crypto.createHash("sha256").update(normalizeRecoveryCode(code)).digest("hex");
+}
+
+/**
+ * Generate a new set of single-use recovery codes
+ * @returns {string[]} Codes formatted as xxxxx-xxxxx
+ */
+function generateRecoveryCodes() {
+  return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(5).toString("hex");
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+}
+
+module.exports = {
+  isTwoFactorRequired,
+  generateSecret,
+  generateCode,
+  getTimeStep,
+  verifyCode,
+  getOtpauthUrl,
+  hashRecoveryCode,
+  generateRecoveryCodes,
+};
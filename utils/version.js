@@ -0,0 +1,91 @@
+/**
+ * Version helpers for desktop client releases
+ * Versions look like "1.4.2" or "1.5.0-beta.1"
+ */
+
+const VERSION_PATTERN = /^v?(\d+)\.(\d+)\.(\d+)(?:-([0-9A-Za-z.-]+))?$/;
+
+/**
+ * Parse a version string
+ * @param {string} version - Version string
+ * @returns {{major: number, minor: number, patch: number, prerelease: string[]}|null} Parsed version, or null if invalid
+ */
+function parseVersion(version) {
+  if (typeof version !== "string") return null;
+
+  const match = version.trim().match(VERSION_PATTERN);
+  if (!match) return null;
+
+  return {
+    major: Number(match[1]),
+    minor: Number(match[2]),
+    patch: Number(match[3]),
+    prerelease: match[4] ? match[4].split(".") : [],
+  };
+}
+
+/**
+ * Check if a string is a valid version
+ * @param {string} version - Version string
+ * @returns {boolean} True if valid
+ */
+function isValidVersion(version) {
+  return parseVersion(version) !== null;
+}
+
+/**
+ * Compare two prerelease identifiers, numeric identifiers sort before text
+ * @param {string} a - Identifier
+ * @param {string} b - Identifier
+ * @returns {number} Negative, zero or positive
+ */
+function compareIdentifiers(a, b) {
+  const aNumeric = /^\d+$/.test(a);
+  const bNumeric = /^\d+$/.test(b);
+
+  if (aNumeric && bNumeric) return Number(a) - Number(b);
+  if (aNumeric) return -1;
+  if (bNumeric) return 1;
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+/**
+ * Compare two versions
+ * A prerelease sorts before the release it leads up to (1.5.0-beta.1 < 1.5.0)
+ * @param {string} a - Version string
+ * @param {string} b - Version string
+ * @returns {number} Negative if a is older, zero if equal, positive if a is newer
+ */
+function compareVersions(a, b) {
+  const left = parseVersion(a);
+  const right = parseVersion(b);
+
+  if (!left || !right) {
+    throw new Error(`Invalid version: ${left ? b : a}`);
+  }
+
+  for (const part of ["major", "minor", "patch"]) {
+    if (left[part] !== right[part]) return left[part] - right[part];
+  }
+
+  if (left.prerelease.length === 0 || right.prerelease.length === 0) {
+    return right.prerelease.length - left.prerelease.length;
+  }
+
+  const length = Math.max(left.prerelease.length, right.prerelease.length);
+  for (let i = 0; i < length; i++) {
+    if (left.prerelease[i] === undefined) return -1;
+    if (right.prerelease[i] === undefined) return 1;
+
+    const result = compareIdentifiers(left.prerelease[i], right.prerelease[i]);
+    if (result !== 0) return result;
+  }
+
+  return 0;
+}
+
+module.exports = {
+  parseVersion,
+  isValidVersion,
+  compareVersions,
+};